@@ -0,0 +1,376 @@
+// analysis.js - Oscilloscope, spectrum and spectrogram views of the output
+
+export const FFT_SIZES = [512, 1024, 2048, 4096, 8192, 16384];
+
+// Log frequency axis shared by the spectrum and spectrogram
+const MIN_FREQUENCY = 20;
+const MAX_FREQUENCY = 20000;
+
+// Level range drawn, dB
+const MIN_DB = -100;
+const MAX_DB = -10;
+
+// Peaks hold this long, then fall
+const PEAK_HOLD = 1; // seconds
+const PEAK_FALL = 24; // dB per second
+
+// Where the filter's 0 dB line sits on the spectrum, as a fraction of height
+const RESPONSE_ZERO = 0.3;
+
+const COLORS = {
+    trace: '#00d4ff',
+    peak: '#ff006e',
+    marker: '#b24bf3',
+    grid: 'rgba(255, 255, 255, 0.1)',
+    text: 'rgba(255, 255, 255, 0.6)'
+};
+
+// x (0-1) of a frequency on the log axis, and back
+export function frequencyToPosition(frequency) {
+    return Math.log(frequency / MIN_FREQUENCY) / Math.log(MAX_FREQUENCY / MIN_FREQUENCY);
+}
+
+export function positionToFrequency(position) {
+    return MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, position);
+}
+
+function levelOf(db) {
+    return Math.max(0, Math.min(1, (db - MIN_DB) / (MAX_DB - MIN_DB)));
+}
+
+// dB per pixel along the log axis. Where a pixel spans several FFT bins it
+// takes the loudest, so narrow peaks at the top don't vanish.
+function columnLevels(data, count, sampleRate, out) {
+    const binWidth = sampleRate / 2 / data.length;
+
+    for (let i = 0; i < count; i++) {
+        const from = Math.floor(positionToFrequency(i / count) / binWidth);
+        const to = Math.max(from + 1, Math.floor(positionToFrequency((i + 1) / count) / binWidth));
+
+        let db = -Infinity;
+        for (let bin = from; bin < to && bin < data.length; bin++) {
+            db = Math.max(db, data[bin]);
+        }
+        out[i] = db;
+    }
+    return out;
+}
+
+// Black -> purple -> pink -> white, 256 steps, for the spectrogram
+function heatPalette() {
+    const stops = [[10, 0, 20], [178, 75, 243], [255, 0, 110], [255, 255, 255]];
+    const palette = new Uint8ClampedArray(256 * 3);
+
+    for (let i = 0; i < 256; i++) {
+        const position = i / 255 * (stops.length - 1);
+        const stop = Math.min(stops.length - 2, Math.floor(position));
+        const t = position - stop;
+        for (let c = 0; c < 3; c++) {
+            palette[i * 3 + c] = stops[stop][c] + (stops[stop + 1][c] - stops[stop][c]) * t;
+        }
+    }
+    return palette;
+}
+
+function formatFrequency(frequency) {
+    return frequency >= 1000 ? (frequency / 1000).toFixed(1) + ' kHz' : Math.round(frequency) + ' Hz';
+}
+
+// Cutoff and resonance readout, in the corner of every view
+function drawFilterLabel(g, filter, width) {
+    g.fillStyle = COLORS.marker;
+    g.font = '10px sans-serif';
+    g.textAlign = 'right';
+    g.fillText('Cutoff ' + formatFrequency(filter.frequency) + ' · Q ' + filter.q.toFixed(1), width - 4, 12);
+}
+
+function drawFrequencyGrid(g, width, height, vertical) {
+    g.strokeStyle = COLORS.grid;
+    g.fillStyle = COLORS.text;
+    g.font = '10px sans-serif';
+    g.textAlign = 'left';
+
+    [100, 1000, 10000].forEach(frequency => {
+        const position = frequencyToPosition(frequency);
+        g.beginPath();
+        if (vertical) {
+            g.moveTo(position * width, 0);
+            g.lineTo(position * width, height);
+        } else {
+            g.moveTo(0, (1 - position) * height);
+            g.lineTo(width, (1 - position) * height);
+        }
+        g.stroke();
+
+        const label = formatFrequency(frequency);
+        if (vertical) {
+            g.fillText(label, position * width + 2, height - 3);
+        } else {
+            g.fillText(label, 2, (1 - position) * height - 2);
+        }
+    });
+}
+
+// What each view draws. draw(view, g, width, height) runs every frame the
+// view is open; reset(view) clears history when the size changes.
+export const VIEW_TYPES = {
+    scope: {
+        label: 'Oscilloscope',
+        fftSize: 2048,
+        smoothing: 0,
+
+        reset(view) {
+            view.trace = new Float32Array(view.analyser.fftSize / 2);
+        },
+
+        // Starts at a rising zero crossing, so a steady wave stands still.
+        // Smoothing blends in the previous trace, like phosphor persistence.
+        draw(view, g, width, height) {
+            const data = view.timeData;
+            view.analyser.getFloatTimeDomainData(data);
+
+            const length = view.trace.length;
+            let start = 0;
+            for (let i = 1; i < length; i++) {
+                if (data[i - 1] < 0 && data[i] >= 0) {
+                    start = i;
+                    break;
+                }
+            }
+
+            const keep = view.smoothing;
+            for (let i = 0; i < length; i++) {
+                view.trace[i] = view.trace[i] * keep + data[start + i] * (1 - keep);
+            }
+
+            g.strokeStyle = COLORS.grid;
+            g.beginPath();
+            g.moveTo(0, height / 2);
+            g.lineTo(width, height / 2);
+            g.stroke();
+
+            g.strokeStyle = COLORS.trace;
+            g.beginPath();
+            for (let x = 0; x < width; x++) {
+                const sample = view.trace[Math.floor(x / width * length)];
+                const y = (0.5 - sample * 0.45) * height;
+                if (x === 0) g.moveTo(x, y); else g.lineTo(x, y);
+            }
+            g.stroke();
+
+            g.fillStyle = COLORS.text;
+            g.font = '10px sans-serif';
+            g.textAlign = 'left';
+            g.fillText((length / view.audio.audioContext.sampleRate * 1000).toFixed(1) + ' ms', 4, height - 3);
+        }
+    },
+
+    spectrum: {
+        label: 'Spectrum',
+        fftSize: 8192,
+        smoothing: 0.8,
+
+        reset(view) {
+            view.levels = new Float32Array(view.canvas.width);
+            view.peaks = new Float32Array(view.canvas.width).fill(-Infinity);
+            view.peakAges = new Float32Array(view.canvas.width);
+        },
+
+        draw(view, g, width, height, deltaTime) {
+            view.analyser.getFloatFrequencyData(view.frequencyData);
+            const levels = columnLevels(view.frequencyData, width, view.audio.audioContext.sampleRate, view.levels);
+
+            drawFrequencyGrid(g, width, height, true);
+
+            // Spectrum, filled
+            g.fillStyle = 'rgba(0, 212, 255, 0.25)';
+            g.strokeStyle = COLORS.trace;
+            g.beginPath();
+            g.moveTo(0, height);
+            for (let x = 0; x < width; x++) {
+                g.lineTo(x, (1 - levelOf(levels[x])) * height);
+            }
+            g.lineTo(width, height);
+            g.fill();
+            g.stroke();
+
+            // Peak hold
+            g.fillStyle = COLORS.peak;
+            for (let x = 0; x < width; x++) {
+                if (levels[x] >= view.peaks[x]) {
+                    view.peaks[x] = levels[x];
+                    view.peakAges[x] = 0;
+                } else {
+                    view.peakAges[x] += deltaTime;
+                    if (view.peakAges[x] > PEAK_HOLD) view.peaks[x] -= PEAK_FALL * deltaTime;
+                }
+                if (view.peaks[x] > MIN_DB) g.fillRect(x, (1 - levelOf(view.peaks[x])) * height, 1, 1);
+            }
+
+            // The filter's response curve, 0 dB near the top, on the same dB scale
+            const filter = view.filter();
+            if (filter) {
+                const response = view.filterResponse(filter, width);
+                const pixelsPerDb = height / (MAX_DB - MIN_DB);
+
+                g.strokeStyle = COLORS.marker;
+                g.setLineDash([4, 3]);
+                g.beginPath();
+                for (let x = 0; x < width; x++) {
+                    const y = RESPONSE_ZERO * height - 20 * Math.log10(Math.max(1e-5, response[x])) * pixelsPerDb;
+                    if (x === 0) g.moveTo(x, y); else g.lineTo(x, y);
+                }
+                g.stroke();
+
+                const cutoff = frequencyToPosition(filter.frequency) * width;
+                g.beginPath();
+                g.moveTo(cutoff, 0);
+                g.lineTo(cutoff, height);
+                g.stroke();
+                g.setLineDash([]);
+
+                drawFilterLabel(g, filter, width);
+            }
+        }
+    },
+
+    spectrogram: {
+        label: 'Spectrogram',
+        fftSize: 2048,
+        smoothing: 0,
+
+        // History scrolls on a canvas of its own, so markers can go on top
+        reset(view) {
+            const { width, height } = view.canvas;
+            view.history = document.createElement('canvas');
+            view.history.width = width;
+            view.history.height = height;
+            view.levels = new Float32Array(height);
+            view.column = new ImageData(1, height);
+            if (!view.palette) view.palette = heatPalette();
+        },
+
+        draw(view, g, width, height) {
+            view.analyser.getFloatFrequencyData(view.frequencyData);
+            const levels = columnLevels(view.frequencyData, height, view.audio.audioContext.sampleRate, view.levels);
+
+            // Low frequencies at the bottom
+            const pixels = view.column.data;
+            for (let y = 0; y < height; y++) {
+                const index = Math.round(levelOf(levels[height - 1 - y]) * 255) * 3;
+                pixels[y * 4] = view.palette[index];
+                pixels[y * 4 + 1] = view.palette[index + 1];
+                pixels[y * 4 + 2] = view.palette[index + 2];
+                pixels[y * 4 + 3] = 255;
+            }
+
+            const history = view.history.getContext('2d');
+            history.drawImage(view.history, -1, 0);
+            history.putImageData(view.column, width - 1, 0);
+            g.drawImage(view.history, 0, 0);
+
+            drawFrequencyGrid(g, width, height, false);
+
+            const filter = view.filter();
+            if (filter) {
+                const y = (1 - frequencyToPosition(filter.frequency)) * height;
+                g.strokeStyle = COLORS.marker;
+                g.setLineDash([4, 3]);
+                g.beginPath();
+                g.moveTo(0, y);
+                g.lineTo(width, y);
+                g.stroke();
+                g.setLineDash([]);
+
+                drawFilterLabel(g, filter, width);
+            }
+        }
+    }
+};
+
+// One view on a canvas, with its own AnalyserNode so FFT size and
+// smoothing don't disturb the visuals' feed. `filter` returns the
+// BiquadFilterNode, frequency and Q to mark, or null.
+export class AnalysisView {
+    constructor(type, audio, canvas, filter) {
+        this.type = type;
+        this.spec = VIEW_TYPES[type];
+        this.audio = audio;
+        this.canvas = canvas;
+        this.filter = filter;
+
+        this.fftSize = this.spec.fftSize;
+        this.smoothing = this.spec.smoothing;
+        this.visible = false;
+        this.analyser = null;
+    }
+
+    setVisible(visible) {
+        if (visible === this.visible) return;
+
+        this.visible = visible;
+        if (!this.analyser) return;
+
+        // Closed views stop taking samples
+        if (visible) {
+            this.audio.analyser.connect(this.analyser);
+        } else {
+            this.audio.analyser.disconnect(this.analyser);
+        }
+    }
+
+    setFftSize(size) {
+        this.fftSize = size;
+        if (!this.analyser) return;
+
+        this.analyser.fftSize = size;
+        this.allocate();
+    }
+
+    setSmoothing(smoothing) {
+        this.smoothing = Math.max(0, Math.min(0.99, smoothing));
+        if (!this.analyser) return;
+
+        this.analyser.smoothingTimeConstant = this.smoothing;
+    }
+
+    // The analyser waits for the audio graph
+    createAnalyser() {
+        this.analyser = this.audio.audioContext.createAnalyser();
+        this.analyser.fftSize = this.fftSize;
+        this.analyser.smoothingTimeConstant = this.smoothing;
+        this.analyser.minDecibels = MIN_DB;
+        this.analyser.maxDecibels = MAX_DB;
+        this.audio.analyser.connect(this.analyser);
+        this.allocate();
+    }
+
+    allocate() {
+        this.timeData = new Float32Array(this.analyser.fftSize);
+        this.frequencyData = new Float32Array(this.analyser.frequencyBinCount);
+        this.spec.reset(this);
+    }
+
+    // Magnitude response per pixel column. Asked of the node itself, so it
+    // follows the filter through its ramps.
+    filterResponse(filter, width) {
+        const frequencies = new Float32Array(width);
+        for (let x = 0; x < width; x++) {
+            frequencies[x] = positionToFrequency(x / width);
+        }
+        const magnitude = new Float32Array(width);
+        filter.node.getFrequencyResponse(frequencies, magnitude, new Float32Array(width));
+        return magnitude;
+    }
+
+    update(deltaTime) {
+        if (!this.visible || !this.audio.initialized) return;
+        if (!this.analyser) this.createAnalyser();
+
+        const { width, height } = this.canvas;
+        const g = this.canvas.getContext('2d');
+        g.clearRect(0, 0, width, height);
+        g.lineWidth = 1;
+        this.spec.draw(this, g, width, height, deltaTime);
+    }
+}
@@ -1,5 +1,11 @@
 // audio.js - Web Audio API synthesis engine
 
+import { VoiceAllocator, MORPH_SHAPES, MORPH_MAX, loadMorphOscillator } from './voices.js';
+import { ShapeVoice, createSpatialPanner, placePanner, placeListener } from './spatial.js';
+import { MicrophoneInput, FilePlayer } from './sources.js';
+import { EffectsRack, DEFAULT_CHAIN } from './effects.js';
+import { MIN_BPM, MAX_BPM } from './clock.js';
+
 export class AudioSynthesizer {
     constructor() {
         this.isPlaying = false;
@@ -10,25 +16,78 @@ export class AudioSynthesizer {
         this.currentFrequency = 440;
         this.filterFrequency = 1000;
         this.filterQ = 5;
-        this.reverbMix = 0.3;
-        this.delayTime = 0.2;
-        this.waveform = 'sine';
+        this.masterVolume = 0.3;
+        this.waveform = 'sine'; // a morph shape, 'morph' (in between) or 'geometry' for the mesh-derived wave
+        this.morph = 0; // 0-3 along sine -> triangle -> saw -> square
+        this.morphWorklet = false; // true once the morph oscillator has loaded
+        this.periodicWave = null;
+        this.periodicWaveCoefficients = null;
+        this.reverbSeed = 1;
+        this.tuning = null; // optional TuningSystem
+        this.glideTime = 0.05;
+        this.bpm = 120; // shared by the clock, synced delays and LFOs
+
+        // Voice parameters
+        this.voiceMode = 'mono'; // 'mono' (legato drone) or 'poly'
+        this.maxVoices = 8;
+        this.envelope = {
+            attack: 0.1,
+            decay: 0.1,
+            sustain: 1,
+            release: 0.1
+        };
+
+        // What feeds the filter: 'synth' (the voices), 'mic' or 'file'
+        this.source = 'synth';
+
+        // Spatial parameters of the main shape
+        this.position = { x: 0, y: 0, z: 0 };
+        this.channelLevel = 1; // 0 when muted or soloed out
+
+        // Drones of the other shapes in the scene
+        this.shapeVoices = [];
+
+        // Effects after the spatial bus - editable before the graph exists
+        this.effects = new EffectsRack();
     }
 
-    async init() {
+    // Pass an OfflineAudioContext to build the same graph for rendering
+    async init(context = null) {
         if (this.initialized) return;
 
         // Create audio context
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.audioContext = context || new (window.AudioContext || window.webkitAudioContext)();
+
+        // Voices need the worklet registered before they're built
+        this.morphWorklet = await loadMorphOscillator(this.audioContext);
 
-        // Main oscillator
-        this.oscillator = this.audioContext.createOscillator();
-        this.oscillator.type = this.waveform;
-        this.oscillator.frequency.value = this.currentFrequency;
+        this.buildGraph();
+
+        this.initialized = true;
+    }
 
-        // Gain node for volume control
+    buildGraph() {
+        // Voice bus - all voices sum here before the filter
         this.gainNode = this.audioContext.createGain();
-        this.gainNode.gain.value = 0;
+        this.gainNode.gain.value = this.source === 'synth' ? 0.5 : 0;
+
+        // External input bus - microphone or file, in place of the voices
+        this.inputGain = this.audioContext.createGain();
+        this.inputGain.gain.value = this.source === 'synth' ? 0 : 1;
+        this.microphone = new MicrophoneInput(this.audioContext, this.inputGain);
+        this.filePlayer = new FilePlayer(this.audioContext, this.inputGain);
+
+        // Voices (oscillator + ADSR envelope each)
+        this.voices = new VoiceAllocator(this.audioContext, this.gainNode, {
+            mode: this.voiceMode,
+            maxVoices: this.maxVoices,
+            waveform: this.waveform,
+            periodicWave: this.periodicWave,
+            morph: this.morph,
+            worklet: this.morphWorklet,
+            glideTime: this.glideTime,
+            envelope: this.envelope
+        });
 
         // Filter
         this.filter = this.audioContext.createBiquadFilter();
@@ -36,25 +95,16 @@ export class AudioSynthesizer {
         this.filter.frequency.value = this.filterFrequency;
         this.filter.Q.value = this.filterQ;
 
-        // Delay effect
-        this.delayNode = this.audioContext.createDelay();
-        this.delayNode.delayTime.value = this.delayTime;
-
-        this.delayFeedback = this.audioContext.createGain();
-        this.delayFeedback.gain.value = 0.4;
-
-        this.delayMix = this.audioContext.createGain();
-        this.delayMix.gain.value = 0.3;
-
-        // Reverb (using convolver with generated impulse response)
-        this.reverb = this.audioContext.createConvolver();
-        this.reverb.buffer = this.generateReverbImpulse();
+        // Main shape channel - panned from the shape's position, gain for mute/solo
+        this.panner = createSpatialPanner(this.audioContext);
+        placePanner(this.panner, this.position, this.audioContext);
+        placeListener(this.audioContext);
 
-        this.reverbMixNode = this.audioContext.createGain();
-        this.reverbMixNode.gain.value = this.reverbMix;
+        this.channelGain = this.audioContext.createGain();
+        this.channelGain.gain.value = this.channelLevel;
 
-        this.dryGain = this.audioContext.createGain();
-        this.dryGain.gain.value = 1 - this.reverbMix;
+        // Spatial bus - every shape's panned voice sums here before the effects
+        this.spatialBus = this.audioContext.createGain();
 
         // Analyser for visual feedback
         this.analyser = this.audioContext.createAnalyser();
@@ -63,92 +113,186 @@ export class AudioSynthesizer {
 
         // Master output
         this.masterGain = this.audioContext.createGain();
-        this.masterGain.gain.value = 0.3;
+        this.masterGain.gain.value = this.masterVolume;
 
         // Connect nodes
-        // Oscillator -> Gain -> Filter
-        this.oscillator.connect(this.gainNode);
+        // Voices -> Gain -> Filter, with external input alongside
         this.gainNode.connect(this.filter);
+        this.inputGain.connect(this.filter);
 
-        // Delay chain
-        this.filter.connect(this.delayNode);
-        this.delayNode.connect(this.delayFeedback);
-        this.delayFeedback.connect(this.delayNode); // Feedback loop
-        this.delayNode.connect(this.delayMix);
+        // Filter -> Panner -> Spatial bus
+        this.filter.connect(this.panner);
+        this.panner.connect(this.channelGain);
+        this.channelGain.connect(this.spatialBus);
 
-        // Dry/Wet mix for delay
-        this.filter.connect(this.dryGain);
-        this.delayMix.connect(this.dryGain);
-
-        // Reverb chain
-        this.dryGain.connect(this.reverb);
-        this.reverb.connect(this.reverbMixNode);
-
-        // Mix dry and reverb
-        const finalMix = this.audioContext.createGain();
-        this.dryGain.connect(finalMix);
-        this.reverbMixNode.connect(finalMix);
+        // Spatial bus -> Effects rack -> Analyser
+        this.effects.attach(this.audioContext, this.spatialBus, this.analyser, {
+            reverbSeed: this.reverbSeed
+        });
 
         // Final output
-        finalMix.connect(this.analyser);
         this.analyser.connect(this.masterGain);
         this.masterGain.connect(this.audioContext.destination);
+    }
 
-        // Start oscillator
-        this.oscillator.start();
+    // Drone gate - held as its own voice so it can sit under played notes
+    start() {
+        if (!this.initialized) return;
 
-        this.initialized = true;
+        this.isPlaying = true;
+        this.voices.noteOn('drone', this.currentFrequency);
+        this.shapeVoices.forEach(voice => voice.start());
     }
 
-    generateReverbImpulse() {
-        const sampleRate = this.audioContext.sampleRate;
-        const length = sampleRate * 2; // 2 seconds
-        const impulse = this.audioContext.createBuffer(2, length, sampleRate);
+    stop() {
+        if (!this.initialized) return;
 
-        for (let channel = 0; channel < 2; channel++) {
-            const channelData = impulse.getChannelData(channel);
-            for (let i = 0; i < length; i++) {
-                channelData[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 2);
-            }
-        }
+        this.isPlaying = false;
+        this.voices.noteOff('drone');
+        this.shapeVoices.forEach(voice => voice.stop());
+    }
 
-        return impulse;
+    setFrequency(freq) {
+        this.currentFrequency = Math.max(50, Math.min(2000, freq));
+
+        if (!this.initialized) return;
+
+        this.voices.setFrequency('drone', this.currentFrequency);
     }
 
-    start() {
+    // Performer pitch control - snaps to the current scale when quantization is on
+    setPitch(freq) {
+        this.setFrequency(this.tuning ? this.tuning.quantize(freq) : freq);
+    }
+
+    // Note API - notes are MIDI note numbers, velocity 0-1
+    noteOn(note, velocity = 1) {
         if (!this.initialized) return;
 
-        this.isPlaying = true;
-        this.gainNode.gain.linearRampToValueAtTime(
-            0.5,
-            this.audioContext.currentTime + 0.1
-        );
+        const frequency = this.tuning
+            ? this.tuning.noteFrequency(note)
+            : AudioSynthesizer.noteToFrequency(note);
+        if (frequency === null) return; // unmapped key in the tuning
+
+        this.voices.noteOn(note, frequency, velocity);
     }
 
-    stop() {
+    noteOff(note) {
+        if (!this.initialized) return;
+
+        this.voices.noteOff(note);
+    }
+
+    allNotesOff() {
         if (!this.initialized) return;
 
         this.isPlaying = false;
-        this.gainNode.gain.linearRampToValueAtTime(
-            0,
-            this.audioContext.currentTime + 0.1
-        );
+        this.voices.allNotesOff();
+        this.shapeVoices.forEach(voice => voice.stop());
     }
 
-    setFrequency(freq) {
+    setVoiceMode(mode) {
+        this.voiceMode = mode;
+
         if (!this.initialized) return;
 
-        this.currentFrequency = Math.max(50, Math.min(2000, freq));
-        this.oscillator.frequency.linearRampToValueAtTime(
-            this.currentFrequency,
-            this.audioContext.currentTime + 0.05
-        );
+        // Switching modes releases everything, including the drone
+        this.isPlaying = false;
+        this.voices.setMode(mode);
     }
 
-    setFilterFrequency(freq) {
+    // Switch what runs through the effects. The microphone asks for
+    // permission first, so this rejects (leaving the source as it was) if refused.
+    async setSource(source) {
+        if (source === 'mic' && this.initialized) {
+            await this.microphone.open();
+        }
+
+        this.source = source;
+
+        if (!this.initialized) return;
+
+        if (source !== 'mic') this.microphone.close();
+        if (source !== 'file') this.filePlayer.pause();
+
+        const now = this.audioContext.currentTime;
+        this.gainNode.gain.linearRampToValueAtTime(source === 'synth' ? 0.5 : 0, now + 0.05);
+        this.inputGain.gain.linearRampToValueAtTime(source === 'synth' ? 0 : 1, now + 0.05);
+    }
+
+    setTuning(tuning) {
+        this.tuning = tuning;
+    }
+
+    // Portamento time for pitch changes on held notes
+    setGlideTime(seconds) {
+        this.glideTime = Math.max(0, seconds);
+
+        if (!this.initialized) return;
+
+        this.voices.glideTime = this.glideTime;
+    }
+
+    setEnvelope(params) {
+        Object.assign(this.envelope, params);
+
+        if (!this.initialized) return;
+
+        this.voices.setEnvelope(this.envelope);
+    }
+
+    // Frequency AudioParam of the voice sounding the drone, for automation.
+    // A held key can take the mono voice over; until the drone is back on top
+    // its pitch goes through setPitch, so lanes don't bend the played note.
+    getDroneFrequencyParam() {
+        if (!this.initialized) return null;
+
+        const voice = this.voices.voiceFor('drone');
+        return voice && voice.key === 'drone' ? voice.frequencyParam : null;
+    }
+
+    // Voice for another shape, sharing this synth's effects and envelope
+    createShapeVoice(settings) {
+        if (!this.initialized) return null;
+
+        const voice = new ShapeVoice(this, settings);
+        this.shapeVoices.push(voice);
+        if (this.isPlaying) voice.start();
+        return voice;
+    }
+
+    removeShapeVoice(voice) {
+        this.shapeVoices = this.shapeVoices.filter(v => v !== voice);
+        voice.dispose();
+    }
+
+    // Position of the main shape, in scene units
+    setPosition(position) {
+        this.position = { x: position.x, y: position.y, z: position.z };
+
+        if (!this.initialized) return;
+
+        placePanner(this.panner, this.position, this.audioContext);
+    }
+
+    // Mute / solo gain of the main shape
+    setChannelGain(gain) {
+        this.channelLevel = gain;
+
         if (!this.initialized) return;
 
+        this.channelGain.gain.setTargetAtTime(this.channelLevel, this.audioContext.currentTime, 0.02);
+    }
+
+    static noteToFrequency(note) {
+        return 440 * Math.pow(2, (note - 69) / 12);
+    }
+
+    setFilterFrequency(freq) {
         this.filterFrequency = Math.max(200, Math.min(5000, freq));
+
+        if (!this.initialized) return;
+
         this.filter.frequency.linearRampToValueAtTime(
             this.filterFrequency,
             this.audioContext.currentTime + 0.05
@@ -156,49 +300,146 @@ export class AudioSynthesizer {
     }
 
     setFilterQ(q) {
+        this.filterQ = Math.max(1, Math.min(20, q));
+
         if (!this.initialized) return;
 
-        this.filterQ = Math.max(1, Math.min(20, q));
         this.filter.Q.linearRampToValueAtTime(
             this.filterQ,
             this.audioContext.currentTime + 0.05
         );
     }
 
-    setReverbMix(mix) {
-        if (!this.initialized) return;
+    // Classic controls act on the first module of their type in the rack
+    getEffectValue(type, name) {
+        const module = this.effects.find(type);
+        return module ? module.get(name) : 0;
+    }
 
-        this.reverbMix = Math.max(0, Math.min(1, mix));
-        this.reverbMixNode.gain.linearRampToValueAtTime(
-            this.reverbMix,
-            this.audioContext.currentTime + 0.05
-        );
+    setEffectValue(type, name, value) {
+        const module = this.effects.find(type);
+        if (module) module.set(name, value);
+    }
+
+    trackEffectValue(type, name, value) {
+        const module = this.effects.find(type);
+        if (module) module.track(name, value);
+    }
+
+    getEffectAudioParam(type, name) {
+        const module = this.effects.find(type);
+        return module ? module.getAudioParam(name) : null;
+    }
+
+    setReverbMix(mix) {
+        this.setEffectValue('reverb', 'mix', mix);
     }
 
     setDelayTime(time) {
+        this.setEffectValue('delay', 'time', time);
+    }
+
+    setDelayFeedback(amount) {
+        this.setEffectValue('delay', 'feedback', amount);
+    }
+
+    setDelayMix(amount) {
+        this.setEffectValue('delay', 'mix', amount);
+    }
+
+    setTempo(bpm) {
+        this.bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, bpm));
+        this.effects.setTempo(this.bpm);
+    }
+
+    setMasterVolume(volume) {
+        this.masterVolume = Math.max(0, Math.min(1, volume));
+
         if (!this.initialized) return;
 
-        this.delayTime = Math.max(0, Math.min(0.5, time));
-        this.delayNode.delayTime.linearRampToValueAtTime(
-            this.delayTime,
+        this.masterGain.gain.linearRampToValueAtTime(
+            this.masterVolume,
             this.audioContext.currentTime + 0.05
         );
     }
 
     setWaveform(type) {
         this.waveform = type;
+        const position = MORPH_SHAPES.indexOf(type);
+        if (position >= 0) this.morph = position;
+
+        if (!this.initialized) return;
+
+        this.voices.setWaveform(type);
+    }
+
+    // Position between the morph shapes. Moving it off the geometry wave
+    // makes the waveform 'morph'; on geometry it waits for the next shape.
+    setMorph(position) {
+        this.morph = Math.max(0, Math.min(MORPH_MAX, position));
+        if (this.waveform !== 'geometry') this.waveform = 'morph';
 
         if (!this.initialized) return;
 
-        // Need to recreate oscillator to change waveform
-        this.oscillator.disconnect();
-        this.oscillator.stop();
+        this.voices.setMorph(this.morph);
+    }
+
+    // Plain copy of every synth setting (used by patches and offline renders)
+    getSettings() {
+        return {
+            waveform: this.waveform,
+            morph: this.morph,
+            voiceMode: this.voiceMode,
+            envelope: Object.assign({}, this.envelope),
+            frequency: this.currentFrequency,
+            filterFrequency: this.filterFrequency,
+            filterQ: this.filterQ,
+            effects: this.effects.toJSON(),
+            bpm: this.bpm,
+            masterVolume: this.masterVolume
+        };
+    }
+
+    applySettings(settings) {
+        // Older settings have no morph; a named waveform sets its own anyway
+        if (settings.morph !== undefined) this.setMorph(settings.morph);
+
+        // Changing these restarts oscillators / releases voices, so skip no-ops
+        if (settings.waveform !== this.waveform) this.setWaveform(settings.waveform);
+        if (settings.voiceMode !== this.voiceMode) this.setVoiceMode(settings.voiceMode);
+
+        this.setEnvelope(settings.envelope);
+        this.setFrequency(settings.frequency);
+        this.setFilterFrequency(settings.filterFrequency);
+        this.setFilterQ(settings.filterQ);
+
+        // Older settings keep the current tempo
+        if (settings.bpm !== undefined) this.setTempo(settings.bpm);
+
+        // Settings from before the rack describe the original delay -> reverb chain
+        if (settings.effects) {
+            this.effects.load(settings.effects);
+        } else {
+            this.effects.load(DEFAULT_CHAIN);
+            this.setReverbMix(settings.reverbMix);
+            this.setDelayTime(settings.delayTime);
+            this.setDelayFeedback(settings.delayFeedback);
+            this.setDelayMix(settings.delayMix);
+        }
+
+        this.setMasterVolume(settings.masterVolume);
+    }
+
+    // Custom waveform from Fourier coefficients (cosine terms, sine terms)
+    setPeriodicWave(real, imag) {
+        if (!this.initialized) return;
 
-        this.oscillator = this.audioContext.createOscillator();
-        this.oscillator.type = type;
-        this.oscillator.frequency.value = this.currentFrequency;
-        this.oscillator.connect(this.gainNode);
-        this.oscillator.start();
+        this.periodicWaveCoefficients = { real, imag };
+        this.periodicWave = this.audioContext.createPeriodicWave(real, imag);
+        this.voices.setPeriodicWave(this.periodicWave);
+        this.shapeVoices.forEach(voice => {
+            if (voice.waveform === 'geometry') voice.voice.setPeriodicWave(this.periodicWave);
+        });
     }
 
     getAudioLevel() {
@@ -220,6 +461,6 @@ export class AudioSynthesizer {
         const minFreq = 110;
         const maxFreq = 1760;
         const freq = minFreq * Math.pow(maxFreq / minFreq, value);
-        this.setFrequency(freq);
+        this.setPitch(freq);
     }
 }
@@ -0,0 +1,337 @@
+// automation.js - Gesture recording and looping automation playback
+
+const LOOKAHEAD = 0.1; // seconds scheduled ahead of the audio clock
+const TOUCH_HOLD = 0.3; // seconds a lane stays muted after overdub input
+
+// Lanes of per-shape parameters belong to the shape they were recorded on
+function laneKey(paramId, shape) {
+    return shape === null ? paramId : paramId + '@' + shape;
+}
+
+export class AutomationLane {
+    constructor(paramId, shape = null) {
+        this.paramId = paramId;
+        this.shape = shape; // shape id for per-shape parameters, else null
+        this.points = []; // { time, value } sorted by time
+        this.touchedUntil = 0;
+        this.needsResync = true;
+    }
+
+    add(time, value) {
+        // Keep points sorted; recording nearly always appends
+        let i = this.points.length;
+        while (i > 0 && this.points[i - 1].time > time) i--;
+        this.points.splice(i, 0, { time, value });
+    }
+
+    // Replace everything in (from, to] - used while overdubbing
+    erase(from, to) {
+        this.points = this.points.filter(p => p.time <= from || p.time > to);
+    }
+
+    valueAt(time) {
+        const points = this.points;
+        if (points.length === 0) return undefined;
+        if (time <= points[0].time) return points[0].value;
+
+        for (let i = 1; i < points.length; i++) {
+            if (points[i].time >= time) {
+                const a = points[i - 1];
+                const b = points[i];
+                const t = (time - a.time) / (b.time - a.time || 1);
+                return a.value + (b.value - a.value) * t;
+            }
+        }
+        return points[points.length - 1].value;
+    }
+
+    pointsBetween(from, to) {
+        return this.points.filter(p => p.time >= from && p.time < to);
+    }
+}
+
+export class AutomationRecorder {
+    constructor(audio, params) {
+        this.audio = audio;
+        this.params = params;
+
+        this.state = 'idle'; // 'idle' | 'recording' | 'playing'
+        this.overdub = false;
+        this.loop = true;
+
+        this.lanes = new Map();
+        this.loopLength = 0;
+        this.startTime = 0;
+        this.scheduledUntil = 0;
+        this.lastOverdubPosition = new Map();
+
+        this.onStateChange = null;
+    }
+
+    get now() {
+        return this.audio.audioContext.currentTime;
+    }
+
+    hasRecording() {
+        return this.loopLength > 0 && this.lanes.size > 0;
+    }
+
+    // Position within the loop, in seconds
+    getPosition() {
+        if (this.state === 'idle') return 0;
+
+        const elapsed = this.now - this.startTime;
+        if (this.state === 'recording' || !this.loop) return elapsed;
+        return elapsed % this.loopLength;
+    }
+
+    record() {
+        if (!this.audio.initialized) return;
+
+        this.stop();
+        this.lanes.clear();
+        this.loopLength = 0;
+        this.startTime = this.now;
+        this.setState('recording');
+    }
+
+    play() {
+        if (!this.audio.initialized) return;
+
+        // Finishing a take starts it looping straight away
+        if (this.state === 'recording') {
+            this.loopLength = this.now - this.startTime;
+        }
+        if (!this.hasRecording()) {
+            this.setState('idle');
+            return;
+        }
+
+        this.startTime = this.now;
+        this.scheduledUntil = this.now;
+        this.lanes.forEach(lane => { lane.needsResync = true; });
+        this.setState('playing');
+    }
+
+    stop() {
+        if (this.state === 'recording') {
+            this.loopLength = this.now - this.startTime;
+        }
+
+        this.cancelScheduled();
+        this.overdub = false;
+        this.setState('idle');
+    }
+
+    clear() {
+        this.stop();
+        this.lanes.clear();
+        this.loopLength = 0;
+    }
+
+    setOverdub(enabled) {
+        this.overdub = enabled;
+        this.lastOverdubPosition.clear();
+        if (this.onStateChange) this.onStateChange(this.state);
+    }
+
+    setLoop(enabled) {
+        this.loop = enabled;
+    }
+
+    setState(state) {
+        this.state = state;
+        if (this.onStateChange) this.onStateChange(state);
+    }
+
+    // Called for every parameter change made by the performer
+    capture(paramId, value) {
+        const shape = this.params.shapeFor(paramId);
+
+        if (this.state === 'recording') {
+            this.getLane(paramId, shape).add(this.now - this.startTime, value);
+            return;
+        }
+
+        if (this.state === 'playing' && this.overdub) {
+            const key = laneKey(paramId, shape);
+            const lane = this.getLane(paramId, shape);
+            const position = this.getPosition();
+            const last = this.lastOverdubPosition.get(key);
+
+            // The performer takes over this lane while they are touching it
+            if (this.now >= lane.touchedUntil) {
+                this.releaseLane(lane, value);
+            }
+            lane.touchedUntil = this.now + TOUCH_HOLD;
+
+            // Punch in: replace what was there since the last overdub point
+            if (last !== undefined && last < position) {
+                lane.erase(last, position);
+            }
+            lane.add(position, value);
+            this.lastOverdubPosition.set(key, position);
+        }
+    }
+
+    getLane(paramId, shape = null) {
+        const key = laneKey(paramId, shape);
+        if (!this.lanes.has(key)) {
+            this.lanes.set(key, new AutomationLane(paramId, shape));
+        }
+        return this.lanes.get(key);
+    }
+
+    // The AudioParam behind a lane, on the lane's own shape
+    audioParamOf(lane) {
+        const param = this.params.get(lane.paramId);
+        if (!param || !param.audioParam) return null;
+
+        return this.params.withShape(lane.shape, () => param.audioParam()) || null;
+    }
+
+    // Hand an audio lane back to direct control
+    releaseLane(lane, value) {
+        const audioParam = this.audioParamOf(lane);
+        if (audioParam) {
+            audioParam.cancelScheduledValues(this.now);
+            audioParam.setValueAtTime(value, this.now);
+        }
+        lane.needsResync = true;
+    }
+
+    cancelScheduled() {
+        this.lanes.forEach(lane => {
+            const audioParam = this.audioParamOf(lane);
+            if (audioParam) {
+                audioParam.cancelScheduledValues(this.now);
+            }
+        });
+    }
+
+    // Called every frame from the render loop
+    tick() {
+        if (this.state !== 'playing') return;
+
+        const position = this.getPosition();
+
+        // One-shot playback ends after a single pass
+        if (!this.loop && position >= this.loopLength) {
+            this.stop();
+            return;
+        }
+
+        this.scheduleAhead();
+
+        // Scene lanes follow the audio clock at frame rate; audio lanes only
+        // update their stored value so displays stay in step
+        this.lanes.forEach(lane => {
+            if (this.now < lane.touchedUntil) return;
+
+            const value = lane.valueAt(position);
+            if (value === undefined) return;
+
+            const param = this.params.get(lane.paramId);
+            if (!param) return;
+
+            this.params.withShape(lane.shape, () => {
+                if (param.audioParam && param.audioParam()) {
+                    param.track(value);
+                } else {
+                    param.set(value);
+                }
+            });
+        });
+    }
+
+    // Schedule audio lane points that fall inside the lookahead window
+    scheduleAhead() {
+        const windowStart = this.scheduledUntil;
+        const windowEnd = this.now + LOOKAHEAD;
+        if (windowEnd <= windowStart) return;
+
+        this.lanes.forEach(lane => {
+            // Picked up from the current value once the parameter is back
+            const audioParam = this.audioParamOf(lane);
+            if (!audioParam) {
+                lane.needsResync = true;
+                return;
+            }
+
+            // Lanes being overdubbed are left to the performer
+            if (this.now < lane.touchedUntil) {
+                lane.needsResync = true;
+                return;
+            }
+
+            if (lane.needsResync) {
+                const value = lane.valueAt(this.positionAt(windowStart));
+                audioParam.cancelScheduledValues(windowStart);
+                audioParam.setValueAtTime(value, windowStart);
+                lane.needsResync = false;
+            }
+
+            this.forEachOccurrence(lane, windowStart, windowEnd, (point, when, isFirst) => {
+                // Jump back to the start of the take at each loop boundary
+                if (isFirst) {
+                    audioParam.setValueAtTime(point.value, when);
+                } else {
+                    audioParam.linearRampToValueAtTime(point.value, when);
+                }
+            });
+        });
+
+        this.scheduledUntil = windowEnd;
+    }
+
+    // Schedule the whole take onto another graph (e.g. an offline render) from
+    // time 0. Per-shape lanes only play there if they belong to `shape`.
+    scheduleRender(params, duration, shape = null) {
+        if (!this.hasRecording()) return;
+
+        const repeats = this.loop ? Math.ceil(duration / this.loopLength) : 1;
+
+        this.lanes.forEach(lane => {
+            if (lane.shape !== null && lane.shape !== shape) return;
+
+            const param = params.get(lane.paramId);
+            const audioParam = param && param.audioParam && param.audioParam();
+            if (!audioParam) return;
+
+            for (let i = 0; i < repeats; i++) {
+                const offset = i * this.loopLength;
+                lane.points.forEach((point, index) => {
+                    const when = offset + point.time;
+                    if (when > duration) return;
+
+                    if (index === 0) {
+                        audioParam.setValueAtTime(point.value, when);
+                    } else {
+                        audioParam.linearRampToValueAtTime(point.value, when);
+                    }
+                });
+            }
+        });
+    }
+
+    positionAt(time) {
+        const elapsed = time - this.startTime;
+        return this.loop ? elapsed % this.loopLength : elapsed;
+    }
+
+    // Visit each point whose absolute time falls in [from, to), across loop repeats
+    forEachOccurrence(lane, from, to, callback) {
+        const first = lane.points[0];
+        const startIteration = Math.max(0, Math.floor((from - this.startTime) / this.loopLength));
+        const endIteration = this.loop
+            ? Math.floor((to - this.startTime) / this.loopLength)
+            : 0;
+
+        for (let i = startIteration; i <= endIteration; i++) {
+            const offset = this.startTime + i * this.loopLength;
+            lane.pointsBetween(from - offset, to - offset).forEach(point => {
+                callback(point, offset + point.time, point === first);
+            });
+        }
+    }
+}
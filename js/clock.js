@@ -0,0 +1,141 @@
+// clock.js - Tempo clock scheduled ahead on the audio timeline, and tap tempo
+
+// Note values in beats (quarter notes); '.' is dotted, 'T' is triplet
+export const DIVISIONS = {
+    '1/1': 4,
+    '1/2': 2,
+    '1/2.': 3,
+    '1/4': 1,
+    '1/4.': 1.5,
+    '1/4T': 2 / 3,
+    '1/8': 0.5,
+    '1/8.': 0.75,
+    '1/8T': 1 / 3,
+    '1/16': 0.25,
+    '1/16.': 0.375,
+    '1/16T': 1 / 6
+};
+
+// Tempo range for everything that sets it - tap, slider, mappings, OSC
+export const MIN_BPM = 40;
+export const MAX_BPM = 240;
+
+export function divisionSeconds(division, bpm) {
+    return DIVISIONS[division] * 60 / bpm;
+}
+
+// Beats are scheduled this far ahead of the audio clock, from a timer that
+// runs more often than that, so a late timer never drops one
+const LOOKAHEAD = 0.1; // seconds
+const INTERVAL = 25; // ms
+
+// Taps further apart than this start a new count
+const TAP_TIMEOUT = 2; // seconds
+const MAX_TAPS = 5;
+
+export class TempoClock {
+    constructor(audio) {
+        this.audio = audio; // owns the tempo, so patches and mappings can set it
+        this.beatsPerBar = 4;
+
+        this.running = false;
+        this.timer = null;
+        this.beat = 0; // index of the next beat to schedule
+        this.nextBeatTime = 0;
+
+        // Scheduled beats not yet heard: { beat, bar, downbeat, time }
+        this.queue = [];
+
+        this.scheduleListeners = [];
+        this.beatListeners = [];
+        this.taps = [];
+    }
+
+    get bpm() {
+        return this.audio.bpm;
+    }
+
+    // fn(event) as soon as a beat is scheduled - event.time is in context
+    // time, for sample-accurate audio
+    onSchedule(fn) {
+        this.scheduleListeners.push(fn);
+    }
+
+    // fn(event) when the beat is heard - for visuals and UI
+    onBeat(fn) {
+        this.beatListeners.push(fn);
+    }
+
+    start() {
+        if (this.running || !this.audio.initialized) return;
+
+        this.running = true;
+        this.beat = 0;
+        this.nextBeatTime = this.audio.audioContext.currentTime + 0.05;
+        this.schedule();
+        this.timer = setInterval(() => this.schedule(), INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.running = false;
+        this.queue = [];
+    }
+
+    schedule() {
+        const now = this.audio.audioContext.currentTime;
+        const beatLength = 60 / this.bpm;
+
+        // Timers stall in background tabs - skip what was missed, keep the grid
+        if (this.nextBeatTime < now) {
+            const missed = Math.ceil((now - this.nextBeatTime) / beatLength);
+            this.beat += missed;
+            this.nextBeatTime += missed * beatLength;
+        }
+
+        while (this.nextBeatTime < now + LOOKAHEAD) {
+            const event = {
+                beat: this.beat,
+                bar: Math.floor(this.beat / this.beatsPerBar),
+                downbeat: this.beat % this.beatsPerBar === 0,
+                time: this.nextBeatTime
+            };
+            this.queue.push(event);
+            this.scheduleListeners.forEach(fn => fn(event));
+
+            this.beat++;
+            this.nextBeatTime += 60 / this.bpm;
+        }
+    }
+
+    // Called every frame. Starts with the audio, and fires the beats whose
+    // time has come.
+    update() {
+        if (!this.running) {
+            this.start();
+            return;
+        }
+
+        const now = this.audio.audioContext.currentTime;
+        while (this.queue.length > 0 && this.queue[0].time <= now) {
+            const event = this.queue.shift();
+            this.beatListeners.forEach(fn => fn(event));
+        }
+    }
+
+    // Tempo from the average gap between recent taps. Returns the tap count.
+    tap(time = performance.now() / 1000) {
+        const last = this.taps[this.taps.length - 1];
+        if (last !== undefined && time - last > TAP_TIMEOUT) this.taps = [];
+
+        this.taps.push(time);
+        this.taps = this.taps.slice(-MAX_TAPS);
+
+        if (this.taps.length >= 2) {
+            const interval = (time - this.taps[0]) / (this.taps.length - 1);
+            this.audio.setTempo(60 / interval);
+        }
+        return this.taps.length;
+    }
+}
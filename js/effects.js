@@ -0,0 +1,733 @@
+// effects.js - Modular effects rack: reorderable modules with bypass and wet/dry
+
+import { generateImpulse, SPACES } from './impulse.js';
+import { DIVISIONS, divisionSeconds } from './clock.js';
+
+// Smooth parameter change, same 50ms ramp as the synth's setters
+function ramp(param, value, audioContext) {
+    param.linearRampToValueAtTime(value, audioContext.currentTime + 0.05);
+}
+
+// Soft clipping curve, harder as drive goes from 0 to 1
+function distortionCurve(drive) {
+    const k = drive * 100;
+    const curve = new Float32Array(1024);
+    for (let i = 0; i < curve.length; i++) {
+        const x = (i / (curve.length - 1)) * 2 - 1;
+        curve[i] = (1 + k) * x / (1 + k * Math.abs(x));
+    }
+    return curve;
+}
+
+// Stereo modulated delay - chorus at ~20ms, flanger at a few ms with feedback
+function buildChorus(ctx, options, initial) {
+    const input = ctx.createGain();
+    const output = ctx.createChannelMerger(2);
+    const lfo = ctx.createOscillator();
+    const sides = [0, 1].map(channel => {
+        const delay = ctx.createDelay(0.1);
+        const depth = ctx.createGain();
+        const feedback = ctx.createGain();
+
+        input.connect(delay);
+        delay.connect(feedback);
+        feedback.connect(delay);
+        delay.connect(output, 0, channel);
+        lfo.connect(depth);
+        depth.connect(delay.delayTime);
+        return { delay, depth, feedback };
+    });
+    lfo.start();
+
+    const values = Object.assign({}, initial);
+    const updateDepth = () => {
+        // Swing either side of the base delay, opposite in each ear
+        const swing = values.delay * 0.9 * values.depth;
+        ramp(sides[0].depth.gain, swing, ctx);
+        ramp(sides[1].depth.gain, -swing, ctx);
+    };
+
+    return {
+        input,
+        output,
+        set: {
+            rate: (value) => ramp(lfo.frequency, value, ctx),
+            depth: (value) => { values.depth = value; updateDepth(); },
+            delay: (value) => {
+                values.delay = value;
+                sides.forEach(side => ramp(side.delay.delayTime, value, ctx));
+                updateDepth();
+            },
+            feedback: (value) => sides.forEach(side => ramp(side.feedback.gain, value, ctx))
+        },
+        audioParams: { rate: lfo.frequency },
+        stop: () => lfo.stop()
+    };
+}
+
+// Four swept allpass stages; mixed with the dry signal they cut moving notches
+function buildPhaser(ctx, options, initial) {
+    const input = ctx.createGain();
+    const feedback = ctx.createGain();
+    const loop = ctx.createDelay(); // A feedback cycle needs a delay in it
+    const lfo = ctx.createOscillator();
+    const depth = ctx.createGain();
+    const stages = [];
+
+    let previous = input;
+    for (let i = 0; i < 4; i++) {
+        const stage = ctx.createBiquadFilter();
+        stage.type = 'allpass';
+        stage.Q.value = 0.5;
+        previous.connect(stage);
+        depth.connect(stage.frequency);
+        stages.push(stage);
+        previous = stage;
+    }
+    previous.connect(feedback);
+    feedback.connect(loop);
+    loop.connect(stages[0]);
+    lfo.connect(depth);
+    lfo.start();
+
+    const values = Object.assign({}, initial);
+    const updateDepth = () => ramp(depth.gain, values.frequency * 0.9 * values.depth, ctx);
+
+    return {
+        input,
+        output: previous,
+        set: {
+            rate: (value) => ramp(lfo.frequency, value, ctx),
+            depth: (value) => { values.depth = value; updateDepth(); },
+            frequency: (value) => {
+                values.frequency = value;
+                stages.forEach(stage => ramp(stage.frequency, value, ctx));
+                updateDepth();
+            },
+            feedback: (value) => ramp(feedback.gain, value, ctx)
+        },
+        audioParams: { rate: lfo.frequency },
+        stop: () => lfo.stop()
+    };
+}
+
+// Echoes bounce left, right, left... - the input goes in on the left only
+function buildPingPong(ctx) {
+    const input = ctx.createGain();
+    const output = ctx.createChannelMerger(2);
+    const left = ctx.createDelay(2);
+    const right = ctx.createDelay(2);
+    const feedback = ctx.createGain();
+
+    input.connect(left);
+    left.connect(right);
+    right.connect(feedback);
+    feedback.connect(left);
+    left.connect(output, 0, 0);
+    right.connect(output, 0, 1);
+
+    return {
+        input,
+        output,
+        set: {
+            time: (value) => {
+                ramp(left.delayTime, value, ctx);
+                ramp(right.delayTime, value, ctx);
+            },
+            feedback: (value) => ramp(feedback.gain, value, ctx)
+        },
+        audioParams: { feedback: feedback.gain }
+    };
+}
+
+// Convolver fed through a pre-delay. The impulse is regenerated off-thread
+// when decay, damping or width change; a change that arrives mid-build is
+// folded into one more build once the current one lands.
+function buildReverb(ctx, options, initial) {
+    const preDelay = ctx.createDelay(1);
+    const convolver = ctx.createConvolver();
+    preDelay.connect(convolver);
+
+    const values = Object.assign({}, initial);
+    let custom = null; // loaded impulse, in place of the generated one
+    let building = false;
+    let again = false;
+    const waiters = [];
+
+    const regenerate = () => {
+        if (building) {
+            again = true;
+            return;
+        }
+        building = true;
+
+        generateImpulse({
+            sampleRate: ctx.sampleRate,
+            decay: values.decay,
+            damping: values.damping,
+            width: values.width,
+            seed: options.reverbSeed
+        }).then(({ left, right }) => {
+            building = false;
+            if (again) {
+                again = false;
+                regenerate();
+                return;
+            }
+
+            if (!custom) {
+                const buffer = ctx.createBuffer(2, left.length, ctx.sampleRate);
+                buffer.copyToChannel(left, 0);
+                buffer.copyToChannel(right, 1);
+                convolver.buffer = buffer;
+            }
+            waiters.splice(0).forEach(resolve => resolve());
+        });
+    };
+
+    const setImpulse = (name) => (value) => {
+        values[name] = value;
+        custom = null;
+        regenerate();
+    };
+
+    regenerate();
+
+    return {
+        input: preDelay,
+        output: convolver,
+        set: {
+            decay: setImpulse('decay'),
+            predelay: (value) => ramp(preDelay.delayTime, value, ctx),
+            damping: setImpulse('damping'),
+            width: setImpulse('width')
+        },
+        audioParams: { predelay: preDelay.delayTime },
+        // Decoded AudioBuffer, or null to go back to the generated impulse
+        setImpulse: (buffer) => {
+            custom = buffer;
+            if (buffer) {
+                convolver.buffer = buffer;
+            } else {
+                regenerate();
+            }
+        },
+        ready: () => building ? new Promise(resolve => waiters.push(resolve)) : Promise.resolve()
+    };
+}
+
+// Each type: label, default wet/dry mix, parameter specs (params flagged
+// `impulse` rebuild the reverb impulse), the param tempo sync drives
+// (`syncs`), optional presets and a builder
+// (ctx, options, initial values) that returns
+// { input, output, set: {param: fn}, audioParams?, stop?, setImpulse?, ready? }
+export const EFFECT_TYPES = {
+    filter: {
+        label: 'Filter',
+        mix: 1,
+        params: {
+            frequency: { label: 'Cutoff', min: 20, max: 20000, default: 8000, curve: 'exponential' },
+            q: { label: 'Resonance', min: 0.1, max: 20, default: 0.7 }
+        },
+        build(ctx) {
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'lowpass';
+            return {
+                input: filter,
+                output: filter,
+                set: {
+                    frequency: (value) => ramp(filter.frequency, value, ctx),
+                    q: (value) => ramp(filter.Q, value, ctx)
+                },
+                audioParams: { frequency: filter.frequency, q: filter.Q }
+            };
+        }
+    },
+    distortion: {
+        label: 'Distortion',
+        mix: 1,
+        params: {
+            drive: { label: 'Drive', min: 0, max: 1, default: 0.3 },
+            level: { label: 'Level', min: 0, max: 1, default: 0.5 }
+        },
+        build(ctx) {
+            const shaper = ctx.createWaveShaper();
+            shaper.oversample = '4x';
+            const level = ctx.createGain();
+            shaper.connect(level);
+            return {
+                input: shaper,
+                output: level,
+                set: {
+                    drive: (value) => { shaper.curve = distortionCurve(value); },
+                    level: (value) => ramp(level.gain, value, ctx)
+                },
+                audioParams: { level: level.gain }
+            };
+        }
+    },
+    chorus: {
+        label: 'Chorus / Flanger',
+        mix: 0.5,
+        params: {
+            rate: { label: 'Rate', min: 0.05, max: 8, default: 0.8, curve: 'exponential' },
+            depth: { label: 'Depth', min: 0, max: 1, default: 0.5 },
+            delay: { label: 'Delay', min: 0.001, max: 0.03, default: 0.02, curve: 'exponential' },
+            feedback: { label: 'Feedback', min: 0, max: 0.9, default: 0 }
+        },
+        build: buildChorus
+    },
+    phaser: {
+        label: 'Phaser',
+        mix: 0.5,
+        params: {
+            rate: { label: 'Rate', min: 0.05, max: 8, default: 0.5, curve: 'exponential' },
+            depth: { label: 'Depth', min: 0, max: 1, default: 0.7 },
+            frequency: { label: 'Centre', min: 200, max: 4000, default: 1000, curve: 'exponential' },
+            feedback: { label: 'Feedback', min: 0, max: 0.9, default: 0.4 }
+        },
+        build: buildPhaser
+    },
+    compressor: {
+        label: 'Compressor',
+        mix: 1,
+        params: {
+            threshold: { label: 'Threshold', min: -60, max: 0, default: -24 },
+            ratio: { label: 'Ratio', min: 1, max: 20, default: 4 },
+            attack: { label: 'Attack', min: 0.001, max: 1, default: 0.003, curve: 'exponential' },
+            release: { label: 'Release', min: 0.01, max: 1, default: 0.25, curve: 'exponential' },
+            makeup: { label: 'Makeup', min: 1, max: 4, default: 1 }
+        },
+        build(ctx) {
+            const compressor = ctx.createDynamicsCompressor();
+            const makeup = ctx.createGain();
+            compressor.connect(makeup);
+            return {
+                input: compressor,
+                output: makeup,
+                set: {
+                    threshold: (value) => ramp(compressor.threshold, value, ctx),
+                    ratio: (value) => ramp(compressor.ratio, value, ctx),
+                    attack: (value) => ramp(compressor.attack, value, ctx),
+                    release: (value) => ramp(compressor.release, value, ctx),
+                    makeup: (value) => ramp(makeup.gain, value, ctx)
+                },
+                audioParams: { threshold: compressor.threshold, makeup: makeup.gain }
+            };
+        }
+    },
+    delay: {
+        label: 'Delay',
+        mix: 0.3,
+        syncs: 'time',
+        params: {
+            time: { label: 'Time', min: 0, max: 2, default: 0.2 },
+            feedback: { label: 'Feedback', min: 0, max: 0.95, default: 0.4 }
+        },
+        build(ctx) {
+            const delay = ctx.createDelay(2);
+            const feedback = ctx.createGain();
+            delay.connect(feedback);
+            feedback.connect(delay); // Feedback loop
+            return {
+                input: delay,
+                output: delay,
+                set: {
+                    time: (value) => ramp(delay.delayTime, value, ctx),
+                    feedback: (value) => ramp(feedback.gain, value, ctx)
+                },
+                audioParams: { time: delay.delayTime, feedback: feedback.gain }
+            };
+        }
+    },
+    pingpong: {
+        label: 'Ping-Pong Delay',
+        mix: 0.3,
+        syncs: 'time',
+        params: {
+            time: { label: 'Time', min: 0.01, max: 2, default: 0.25 },
+            feedback: { label: 'Feedback', min: 0, max: 0.95, default: 0.5 }
+        },
+        build: buildPingPong
+    },
+    reverb: {
+        label: 'Reverb',
+        mix: 0.3,
+        params: {
+            decay: { label: 'Decay', min: 0.1, max: 10, default: 2, curve: 'exponential', impulse: true },
+            predelay: { label: 'Pre-delay', min: 0, max: 0.2, default: 0 },
+            damping: { label: 'Damping', min: 0, max: 1, default: 0, impulse: true },
+            width: { label: 'Width', min: 0, max: 1, default: 1, impulse: true }
+        },
+        presets: SPACES,
+        loadsImpulse: true,
+        build: buildReverb
+    }
+};
+
+// The original fixed chain: delay into reverb
+export const DEFAULT_CHAIN = [
+    { type: 'delay', mix: 0.3, params: { time: 0.2, feedback: 0.4 } },
+    { type: 'reverb', mix: 0.3 }
+];
+
+let nextId = 1;
+
+export class EffectModule {
+    constructor(type, settings = {}) {
+        const spec = EFFECT_TYPES[type];
+        if (!spec) throw new Error('Unknown effect: ' + type);
+
+        this.id = 'fx' + nextId++;
+        this.type = type;
+        this.spec = spec;
+        this.bypass = !!settings.bypass;
+        this.mix = settings.mix !== undefined ? settings.mix : spec.mix;
+
+        this.values = {};
+        Object.keys(spec.params).forEach(name => {
+            const value = settings.params && settings.params[name];
+            this.values[name] = value !== undefined ? value : spec.params[name].default;
+        });
+
+        // Note division (a key of DIVISIONS) the synced param follows, or null
+        this.sync = spec.syncs && DIVISIONS[settings.sync] ? settings.sync : null;
+
+        // Loaded impulse response: { name, data } with the file's undecoded bytes
+        this.file = null;
+
+        this.audioContext = null;
+    }
+
+    // input -> dry -> output, input -> effect -> wet -> output. One constant
+    // source sets both levels (wet = mix, dry = 1 - mix) so mix is a single,
+    // automatable AudioParam.
+    build(audioContext, options = {}) {
+        const ctx = audioContext;
+        this.audioContext = ctx;
+
+        this.input = ctx.createGain();
+        this.output = ctx.createGain();
+        this.dryGain = ctx.createGain();
+        this.wetGain = ctx.createGain();
+        this.wetGain.gain.value = 0;
+
+        this.mixSource = ctx.createConstantSource();
+        this.mixSource.offset.value = this.bypass ? 0 : this.mix;
+        const invert = ctx.createGain();
+        invert.gain.value = -1;
+        this.mixSource.connect(this.wetGain.gain);
+        this.mixSource.connect(invert);
+        invert.connect(this.dryGain.gain);
+        this.mixSource.start();
+
+        this.nodes = this.spec.build(ctx, options, this.values);
+
+        this.input.connect(this.dryGain);
+        this.dryGain.connect(this.output);
+        this.input.connect(this.nodes.input);
+        this.nodes.output.connect(this.wetGain);
+        this.wetGain.connect(this.output);
+
+        // The builder already made its impulse from the initial values
+        Object.keys(this.values)
+            .filter(name => !this.spec.params[name].impulse)
+            .forEach(name => this.applyParam(name, true));
+    }
+
+    applyParam(name, immediate = false) {
+        const audioParam = this.getAudioParam(name);
+        if (immediate && audioParam) {
+            audioParam.value = this.values[name];
+        } else {
+            this.nodes.set[name](this.values[name]);
+        }
+    }
+
+    // 'mix' is handled alongside the type's own parameters
+    get(name) {
+        return name === 'mix' ? this.mix : this.values[name];
+    }
+
+    set(name, value) {
+        const spec = name === 'mix' ? { min: 0, max: 1 } : this.spec.params[name];
+        if (!spec) return;
+
+        const clamped = Math.max(spec.min, Math.min(spec.max, value));
+        if (name === 'mix') {
+            this.mix = clamped;
+            this.applyMix();
+            return;
+        }
+
+        if (spec.impulse) this.file = null; // Back to the generated impulse
+        if (name === this.spec.syncs) this.sync = null; // Free time again
+        this.setValue(name, clamped);
+    }
+
+    setValue(name, value) {
+        this.values[name] = value;
+        if (this.nodes) this.applyParam(name);
+    }
+
+    // Follow a note division at the given tempo, or go free with null
+    setSync(division, bpm) {
+        this.sync = this.spec.syncs && DIVISIONS[division] ? division : null;
+        this.applyTempo(bpm);
+    }
+
+    applyTempo(bpm) {
+        if (!this.sync) return;
+
+        const spec = this.spec.params[this.spec.syncs];
+        const seconds = divisionSeconds(this.sync, bpm);
+        this.setValue(this.spec.syncs, Math.max(spec.min, Math.min(spec.max, seconds)));
+    }
+
+    // Decode an impulse-response file (WAV etc.) into the convolver
+    async loadImpulse(data, name = '') {
+        if (!this.nodes || !this.nodes.setImpulse) return;
+
+        // decodeAudioData detaches its input, so keep a copy for offline renders
+        const file = { name, data: data.slice(0) };
+        const buffer = await this.audioContext.decodeAudioData(data);
+        this.nodes.setImpulse(buffer);
+        this.file = file;
+    }
+
+    clearImpulse() {
+        if (!this.file) return;
+
+        this.file = null;
+        this.nodes.setImpulse(null);
+    }
+
+    // Settles once any impulse being generated is in place
+    ready() {
+        return this.nodes && this.nodes.ready ? this.nodes.ready() : Promise.resolve();
+    }
+
+    // Set every parameter of a preset (the reverb's spaces)
+    applyPreset(id) {
+        const preset = this.spec.presets && this.spec.presets[id];
+        if (!preset) return;
+
+        Object.keys(this.spec.params).forEach(name => {
+            if (preset[name] !== undefined) this.set(name, preset[name]);
+        });
+    }
+
+    // Keep the stored value in step with automation scheduled on the AudioParam
+    track(name, value) {
+        if (name === 'mix') {
+            this.mix = value;
+        } else {
+            this.values[name] = value;
+        }
+    }
+
+    getAudioParam(name) {
+        if (!this.nodes) return null;
+        if (name === 'mix') return this.mixSource.offset;
+        return (this.nodes.audioParams && this.nodes.audioParams[name]) || null;
+    }
+
+    setBypass(bypass) {
+        this.bypass = bypass;
+        this.applyMix();
+    }
+
+    applyMix() {
+        if (!this.nodes) return;
+
+        ramp(this.mixSource.offset, this.bypass ? 0 : this.mix, this.audioContext);
+    }
+
+    dispose() {
+        if (!this.nodes) return;
+
+        this.input.disconnect();
+        this.output.disconnect();
+        this.mixSource.stop();
+        if (this.nodes.stop) this.nodes.stop();
+        this.nodes = null;
+    }
+
+    toJSON() {
+        return {
+            type: this.type,
+            bypass: this.bypass,
+            mix: this.mix,
+            sync: this.sync,
+            params: Object.assign({}, this.values)
+        };
+    }
+}
+
+// Ordered chain of modules. Settings can be changed before there is an
+// AudioContext; attach() builds the nodes.
+export class EffectsRack {
+    constructor(chain = DEFAULT_CHAIN) {
+        this.modules = [];
+        this.audioContext = null;
+        this.listeners = [];
+        this.bpm = 120;
+        this.load(chain);
+    }
+
+    attach(audioContext, input, output, options = {}) {
+        this.audioContext = audioContext;
+        this.input = input;
+        this.output = output;
+        this.options = options;
+
+        this.modules.forEach(module => module.build(audioContext, options));
+        this.rewire();
+    }
+
+    // Notified after modules are added, removed, moved or reloaded
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    notify() {
+        this.listeners.forEach(fn => fn());
+    }
+
+    // input -> module 1 -> module 2 ... -> output
+    rewire() {
+        if (!this.audioContext) return;
+
+        this.input.disconnect();
+        this.modules.forEach(module => module.output.disconnect());
+
+        let previous = this.input;
+        this.modules.forEach(module => {
+            previous.connect(module.input);
+            previous = module.output;
+        });
+        previous.connect(this.output);
+    }
+
+    // Same module types in the same order just take the new values, so
+    // switching presets doesn't rebuild (and click) the whole chain
+    load(chain) {
+        const sameLayout = chain.length === this.modules.length &&
+            chain.every((entry, i) => entry.type === this.modules[i].type);
+
+        if (sameLayout) {
+            chain.forEach((entry, i) => {
+                const module = this.modules[i];
+                const fresh = new EffectModule(entry.type, entry);
+                module.setBypass(fresh.bypass);
+                module.set('mix', fresh.mix);
+                Object.keys(fresh.values).forEach(name => module.set(name, fresh.values[name]));
+                module.setSync(fresh.sync, this.bpm);
+            });
+        } else {
+            this.modules.forEach(module => module.dispose());
+            this.modules = chain.map(entry => this.createModule(entry.type, entry));
+            this.rewire();
+        }
+
+        this.notify();
+    }
+
+    // Move the existing modules to new values, touching only what changed and
+    // without notifying - for continuous changes like the snapshot pad.
+    // Returns false if the chain's layout differs from the rack's.
+    update(chain) {
+        const sameLayout = chain.length === this.modules.length &&
+            chain.every((entry, i) => entry.type === this.modules[i].type);
+        if (!sameLayout) return false;
+
+        chain.forEach((entry, i) => {
+            const module = this.modules[i];
+            const fresh = new EffectModule(entry.type, entry);
+            if (fresh.bypass !== module.bypass) module.setBypass(fresh.bypass);
+            if (fresh.mix !== module.mix) module.set('mix', fresh.mix);
+            Object.keys(fresh.values).forEach(name => {
+                // A synced time follows the tempo instead
+                if (fresh.sync && name === module.spec.syncs) return;
+                if (fresh.values[name] !== module.values[name]) module.set(name, fresh.values[name]);
+            });
+            if (fresh.sync !== module.sync) module.setSync(fresh.sync, this.bpm);
+        });
+        return true;
+    }
+
+    createModule(type, settings) {
+        const module = new EffectModule(type, settings);
+        module.applyTempo(this.bpm);
+        if (this.audioContext) module.build(this.audioContext, this.options);
+        return module;
+    }
+
+    add(type, index = this.modules.length) {
+        const module = this.createModule(type);
+        this.modules.splice(index, 0, module);
+        this.rewire();
+        this.notify();
+        return module;
+    }
+
+    remove(id) {
+        const module = this.get(id);
+        if (!module) return;
+
+        this.modules = this.modules.filter(m => m !== module);
+        module.dispose();
+        this.rewire();
+        this.notify();
+    }
+
+    move(id, index) {
+        const module = this.get(id);
+        if (!module) return;
+
+        this.modules = this.modules.filter(m => m !== module);
+        this.modules.splice(Math.max(0, Math.min(this.modules.length, index)), 0, module);
+        this.rewire();
+        this.notify();
+    }
+
+    get(id) {
+        return this.modules.find(m => m.id === id);
+    }
+
+    setTempo(bpm) {
+        this.bpm = bpm;
+        this.modules.forEach(module => module.applyTempo(bpm));
+    }
+
+    setSync(id, division) {
+        const module = this.get(id);
+        if (module) module.setSync(division, this.bpm);
+    }
+
+    // First module of a type (the one the classic delay/reverb controls drive)
+    find(type) {
+        return this.modules.find(m => m.type === type);
+    }
+
+    indexOf(id) {
+        return this.modules.findIndex(m => m.id === id);
+    }
+
+    ready() {
+        return Promise.all(this.modules.map(module => module.ready()));
+    }
+
+    // Loaded impulse files aren't part of the settings - copy them from
+    // another rack with the same layout (the offline renderer uses this)
+    async copyFiles(rack) {
+        await Promise.all(this.modules.map((module, i) => {
+            const file = rack.modules[i] && rack.modules[i].type === module.type && rack.modules[i].file;
+            return file ? module.loadImpulse(file.data.slice(0), file.name) : null;
+        }));
+    }
+
+    toJSON() {
+        return this.modules.map(module => module.toJSON());
+    }
+}
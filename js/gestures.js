@@ -0,0 +1,81 @@
+// gestures.js - Pointer tracking for multi-touch gestures (pinch, twist, long-press)
+
+// How long a still press takes to become a hold, ms
+export const LONG_PRESS_TIME = 500;
+
+// How far (px) a press can wander and still count as still
+export const PRESS_SLOP = 10;
+
+export class GestureTracker {
+    constructor() {
+        // pointer id -> { x, y, startX, startY, moved }
+        this.pointers = new Map();
+
+        // Distance and angle between the first two pointers at the last move
+        this.pair = null;
+    }
+
+    get count() {
+        return this.pointers.size;
+    }
+
+    has(id) {
+        return this.pointers.has(id);
+    }
+
+    down(id, x, y) {
+        this.pointers.set(id, { x, y, startX: x, startY: y, moved: false });
+        this.resetPair();
+    }
+
+    up(id) {
+        this.pointers.delete(id);
+        this.resetPair();
+    }
+
+    // Returns { scale, rotation } - the change in spread (ratio) and angle
+    // (radians) since the last move - while two pointers are down, else null
+    move(id, x, y) {
+        const pointer = this.pointers.get(id);
+        if (!pointer) return null;
+
+        pointer.x = x;
+        pointer.y = y;
+        if (Math.hypot(x - pointer.startX, y - pointer.startY) > PRESS_SLOP) {
+            pointer.moved = true;
+        }
+
+        if (!this.pair || !this.pair.ids.includes(id)) return null;
+
+        const { distance, angle } = this.measure();
+        let rotation = angle - this.pair.angle;
+        if (rotation > Math.PI) rotation -= Math.PI * 2;
+        if (rotation < -Math.PI) rotation += Math.PI * 2;
+
+        const scale = this.pair.distance > 0 ? distance / this.pair.distance : 1;
+        this.pair.distance = distance;
+        this.pair.angle = angle;
+
+        return { scale, rotation };
+    }
+
+    // A pointer coming or going restarts the gesture, so nothing jumps
+    resetPair() {
+        if (this.pointers.size < 2) {
+            this.pair = null;
+            return;
+        }
+
+        const ids = Array.from(this.pointers.keys()).slice(0, 2);
+        this.pair = { ids };
+        Object.assign(this.pair, this.measure());
+    }
+
+    measure() {
+        const [a, b] = this.pair.ids.map(id => this.pointers.get(id));
+        return {
+            distance: Math.hypot(b.x - a.x, b.y - a.y),
+            angle: Math.atan2(b.y - a.y, b.x - a.x)
+        };
+    }
+}
@@ -0,0 +1,172 @@
+// history.js - Undo/redo of the parameter changes and actions made from user input
+
+// Changes closer together than this merge into one step, so a wheel spin or
+// a mouse sweep undoes in one go. A held drag stays one step however slow.
+const MERGE_TIME = 500; // ms
+
+const HISTORY_LIMIT = 100;
+
+// Sources that move with the pointer whether or not it's pressed. Only
+// changes made while it's down count - hovering isn't an edit.
+const HOVER_SOURCES = ['mouseX', 'mouseY'];
+
+export class UndoHistory {
+    constructor(params, interaction, scene) {
+        this.params = params;
+        this.interaction = interaction;
+        this.scene = scene;
+
+        // Steps: { changes: Map(key -> change), time, held, actions, sealed }
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Set while undoing, so the changes made don't record themselves
+        this.applying = false;
+
+        // Nothing merges into a step that was undone or redone
+        this.boundary = false;
+
+        // Optional fn() -> true while changes come from elsewhere (a preset,
+        // a jam partner, OSC) rather than the performer
+        this.isExternal = null;
+        this.listeners = [];
+
+        interaction.onParameterChange((id, value, previous, source) => {
+            const param = params.get(id);
+            if (!param || (HOVER_SOURCES.includes(source) && !this.held)) return;
+
+            const shape = param.perShape ? this.scene.selectedShape.id : null;
+            this.record({ type: 'param', id, shape, before: previous, after: value });
+        });
+        interaction.onAction((name, value, previous) => {
+            const shape = name === 'voiceMode' ? null : this.scene.selectedShape.id;
+            this.record({ type: 'action', id: name, shape, before: previous, after: value });
+        });
+    }
+
+    // Notified when steps are added, undone or redone
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    notify() {
+        this.listeners.forEach(fn => fn());
+    }
+
+    // A pointer is down on the canvas
+    get held() {
+        return this.interaction.isDragging || this.interaction.gestures.count > 0;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    record(change) {
+        if (this.applying || (this.isExternal && this.isExternal())) return;
+        if (change.before === undefined || change.before === change.after) return;
+
+        const now = performance.now();
+        const held = this.held;
+        const isAction = change.type === 'action';
+
+        // Everything from one event handler is one step (a waveform button
+        // also moves the morph position). Beyond that, continuous changes
+        // merge while the drag is held or they keep coming; actions don't.
+        const top = this.undoStack[this.undoStack.length - 1];
+        const merge = top && !this.boundary && (!top.sealed ||
+            (!isAction && !top.actions && ((held && top.held) || now - top.time < MERGE_TIME)));
+
+        let step = top;
+        if (!merge) {
+            step = { changes: new Map(), actions: false, sealed: false };
+            queueMicrotask(() => { step.sealed = true; });
+            this.undoStack.push(step);
+            if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+        }
+
+        this.boundary = false;
+        step.time = now;
+        step.held = held;
+        step.actions = step.actions || isAction;
+
+        // A change to something already in the step only moves its end point
+        const key = change.type + ':' + change.id + '@' + change.shape;
+        const existing = step.changes.get(key);
+        if (existing) {
+            existing.after = change.after;
+        } else {
+            step.changes.set(key, change);
+        }
+
+        this.redoStack = [];
+        this.notify();
+    }
+
+    undo() {
+        const step = this.undoStack.pop();
+        if (!step) return false;
+
+        this.restore(Array.from(step.changes.values()).reverse(), 'before');
+        this.redoStack.push(step);
+        this.boundary = true;
+        this.notify();
+        return true;
+    }
+
+    redo() {
+        const step = this.redoStack.pop();
+        if (!step) return false;
+
+        this.restore(Array.from(step.changes.values()), 'after');
+        this.undoStack.push(step);
+        this.boundary = true;
+        this.notify();
+        return true;
+    }
+
+    restore(changes, which) {
+        this.applying = true;
+        try {
+            changes.forEach(change => this.apply(change, change[which]));
+        } finally {
+            this.applying = false;
+        }
+        this.interaction.updateUI();
+    }
+
+    // Per-shape changes go back to their shape, selecting it; changes to a
+    // shape that has since been removed are skipped
+    apply(change, value) {
+        if (change.shape !== null && change.shape !== this.scene.selectedShape.id) {
+            if (!this.scene.shapes.some(shape => shape.id === change.shape)) return;
+
+            if (this.interaction.shapes) {
+                this.interaction.shapes.select(change.shape);
+            } else {
+                this.scene.selectShape(change.shape);
+            }
+        }
+
+        if (change.type === 'param') {
+            if (this.params.getValue(change.id) !== value) this.params.setValue(change.id, value);
+            return;
+        }
+
+        switch (change.id) {
+            case 'shape':
+                this.interaction.changeShape(value);
+                break;
+            case 'waveform':
+                this.interaction.changeWaveform(value);
+                break;
+            case 'voiceMode':
+                this.interaction.changeVoiceMode(value);
+                break;
+        }
+    }
+}
@@ -0,0 +1,82 @@
+// impulse.js - Parametric reverb impulse responses, built in a worker
+
+import { createRandom } from './random.js';
+
+// Built-in spaces for the reverb module
+export const SPACES = {
+    room: { label: 'Room', decay: 0.7, predelay: 0.004, damping: 0.6, width: 0.5 },
+    hall: { label: 'Hall', decay: 2.6, predelay: 0.025, damping: 0.45, width: 1 },
+    plate: { label: 'Plate', decay: 1.5, predelay: 0, damping: 0.15, width: 0.8 },
+    cosmic: { label: 'Cosmic', decay: 9, predelay: 0.08, damping: 0.3, width: 1 }
+};
+
+// Seeded noise falling 60 dB over `decay` seconds. Damping closes a lowpass
+// as the tail goes on, the way air soaks up the highs first; width blends
+// from identical channels (0) to fully decorrelated ones (1). Pre-delay is
+// a DelayNode in front of the convolver, so it isn't baked in here.
+export function renderImpulse({ sampleRate, decay, damping, width, seed }) {
+    const length = Math.max(1, Math.floor(sampleRate * decay));
+    const left = new Float32Array(length);
+    const right = new Float32Array(length);
+    const random = createRandom(seed);
+
+    // Keep the level steady as the channels decorrelate
+    const scale = 1 / Math.sqrt(1 + width * width);
+    let lowLeft = 0;
+    let lowRight = 0;
+
+    for (let i = 0; i < length; i++) {
+        const envelope = Math.pow(10, -3 * i / length);
+        const mid = random() * 2 - 1;
+        const side = random() * 2 - 1;
+
+        const coefficient = damping * (0.2 + 0.78 * i / length);
+        lowLeft += (1 - coefficient) * ((mid + width * side) - lowLeft);
+        lowRight += (1 - coefficient) * ((mid - width * side) - lowRight);
+
+        left[i] = lowLeft * envelope * scale;
+        right[i] = lowRight * envelope * scale;
+    }
+
+    return { left, right };
+}
+
+// One shared worker; replies are matched to requests by id
+let worker = null;
+let nextRequest = 1;
+const pending = new Map();
+
+function getWorker() {
+    if (worker === null) {
+        try {
+            worker = new Worker(new URL('./workers/impulse-worker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = (e) => {
+                const request = pending.get(e.data.id);
+                pending.delete(e.data.id);
+                if (request) request.resolve({ left: e.data.left, right: e.data.right });
+            };
+            worker.onerror = () => {
+                // Couldn't load (file:// pages, old browsers) - build the rest here
+                worker = false;
+                pending.forEach(request => request.resolve(renderImpulse(request.options)));
+                pending.clear();
+            };
+        } catch (error) {
+            worker = false;
+        }
+    }
+    return worker;
+}
+
+// Resolves to { left, right } Float32Arrays. Falls back to the main thread
+// where workers aren't available (Node, file://).
+export function generateImpulse(options) {
+    const target = typeof Worker !== 'undefined' ? getWorker() : false;
+    if (!target) return Promise.resolve(renderImpulse(options));
+
+    const id = nextRequest++;
+    return new Promise(resolve => {
+        pending.set(id, { resolve, options });
+        target.postMessage({ id, options });
+    });
+}
@@ -1,78 +1,160 @@
 // interaction.js - User interaction handling
 
+import { FacePicker } from './picking.js';
+import { KeyboardPiano } from './keyboard.js';
+import { GestureTracker, LONG_PRESS_TIME } from './gestures.js';
+
+// Morph oscillator shapes, in order, for the readout
+const MORPH_LABELS = ['Sine', 'Triangle', 'Saw', 'Square'];
+
+// Follow the value unless the performer has hold of the slider, so a drag
+// isn't fought every frame by automation or modulation
+function updateSlider(slider, value) {
+    if (slider === document.activeElement || slider.matches(':active')) return;
+    slider.value = value;
+}
+
 export class InteractionController {
-    constructor(canvas, scene, audio) {
+    constructor(canvas, scene, audio, mapper) {
         this.canvas = canvas;
         this.scene = scene;
         this.audio = audio;
+        this.mapper = mapper;
+        this.shapes = null; // optional ShapeManager - controls follow the selected shape
+        this.history = null; // optional UndoHistory for Ctrl+Z / Ctrl+Shift+Z
+        this.physics = null; // optional ShapePhysics - released shapes carry on moving
 
         this.mouseX = 0;
         this.mouseY = 0;
         this.isDragging = false;
         this.dragStartX = 0;
         this.dragStartY = 0;
-        this.shapeOffsetX = 0;
-        this.shapeOffsetY = 0;
+        this.dragOrigin = null; // drag source values the drag started from
+
+        // Pressed faces play notes, one per pointer (finger, pen or mouse).
+        // A long press latches its note until the face is tapped again.
+        this.picker = new FacePicker(scene, canvas);
+        this.gestures = new GestureTracker();
+        this.pointerNotes = new Map(); // pointer id -> note
+        this.latchedNotes = new Set();
+        this.longPressTimers = new Map(); // pointer id -> timeout
+
+        // 'shortcut' keys switch shapes and waveforms; 'play' keys are a piano
+        this.keyMode = 'shortcut';
+        this.piano = new KeyboardPiano(audio);
+        this.keysDown = new Set(); // physical keys down in play mode
+
+        // Wheel / pinch position, 0-1 (0.2 = scale 1 with the default mappings)
+        this.wheelValue = 0.2;
+
+        // Two-finger twist, 0-1 (0.5 = no rotation with the default mappings)
+        this.twistValue = 0.5;
+
+        // Notified of every parameter change made from user input:
+        // fn(id, value, previous, source), source naming the mapping source
+        // (undefined for buttons and sliders)
+        this.listeners = [];
+
+        // Notified of discrete changes: fn(name, value, previous) for 'shape', 'waveform', 'voiceMode'
+        this.actionListeners = [];
+        this.mapper.onChange((id, value, previous, source) => this.emitChange(id, value, previous, source));
 
         this.setupEventListeners();
     }
 
-    setupEventListeners() {
-        // Mouse move - controls rotation and filter
-        this.canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
+    onParameterChange(fn) {
+        this.listeners.push(fn);
+    }
 
-        // Mouse wheel - controls frequency/pitch
-        this.canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+    emitChange(id, value, previous, source) {
+        this.listeners.forEach(fn => fn(id, value, previous, source));
+    }
 
-        // Click - toggle sound
-        this.canvas.addEventListener('click', (e) => this.onClick(e));
+    onAction(fn) {
+        this.actionListeners.push(fn);
+    }
+
+    emitAction(name, value, previous) {
+        this.actionListeners.forEach(fn => fn(name, value, previous));
+    }
 
-        // Drag - controls reverb and delay
-        this.canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
-        this.canvas.addEventListener('mouseup', (e) => this.onMouseUp(e));
+    setupEventListeners() {
+        // Pointer Events - mouse, pen and touch all take the same path.
+        // Move controls rotation and filter; a press plays the face under
+        // the pointer and starts a drag (drag controls reverb and delay);
+        // two fingers pinch and twist.
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
 
-        // Touch events for mobile
-        this.canvas.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: false });
-        this.canvas.addEventListener('touchmove', (e) => this.onTouchMove(e), { passive: false });
-        this.canvas.addEventListener('touchend', (e) => this.onTouchEnd(e));
+        // Mouse wheel - controls frequency/pitch
+        this.canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.onKeyDown(e));
+        document.addEventListener('keyup', (e) => this.onKeyUp(e));
+
+        // Key-ups never arrive once focus is gone
+        window.addEventListener('blur', () => {
+            this.keysDown.clear();
+            this.piano.releaseAll();
+        });
     }
 
-    onMouseMove(e) {
+    onPointerMove(e) {
+        const gesture = this.gestures.move(e.pointerId, e.clientX, e.clientY);
+
+        // Two or more pointers down - a pinch / twist, not a move
+        if (this.gestures.count >= 2) {
+            if (gesture) this.applyGesture(gesture);
+            return;
+        }
+
+        // A press that wanders is a drag, not a hold
+        const pointer = this.gestures.pointers.get(e.pointerId);
+        if (pointer && pointer.moved) this.cancelLongPress(e.pointerId);
+
         const rect = this.canvas.getBoundingClientRect();
         this.mouseX = (e.clientX - rect.left) / rect.width;
         this.mouseY = (e.clientY - rect.top) / rect.height;
 
-        // Update rotation based on mouse position
-        const rotationX = (this.mouseY - 0.5) * Math.PI * 2;
-        const rotationY = (this.mouseX - 0.5) * Math.PI * 2;
-        this.scene.setRotation(rotationX, rotationY);
-
-        // Update filter based on mouse position
-        const filterFreq = 200 + this.mouseX * 4800; // 200Hz - 5000Hz
-        const filterQ = 1 + this.mouseY * 19; // 1 - 20
-        this.audio.setFilterFrequency(filterFreq);
-        this.audio.setFilterQ(filterQ);
+        // Rotation, filter etc. come from the mapping table
+        this.mapper.setSource('mouseX', this.mouseX);
+        this.mapper.setSource('mouseY', this.mouseY);
+        if (e.pointerType === 'touch') {
+            this.mapper.setSource('touchX', this.mouseX);
+            this.mapper.setSource('touchY', this.mouseY);
+        }
 
-        // Handle dragging
+        // Handle dragging. With physics the drag picks the shape up where it
+        // is (caught mid-flight, or latched); the origin is taken on the first
+        // move so a click that selects another shape picks up that one.
         if (this.isDragging) {
-            const dragX = (e.clientX - this.dragStartX) / rect.width;
-            const dragY = (e.clientY - this.dragStartY) / rect.height;
+            if (!this.dragOrigin) this.dragOrigin = this.physics ? this.physics.grab() : { x: 0, y: 0 };
+
+            const dragX = Math.max(-1, Math.min(1, this.dragOrigin.x + (e.clientX - this.dragStartX) / rect.width));
+            const dragY = Math.max(-1, Math.min(1, this.dragOrigin.y + (e.clientY - this.dragStartY) / rect.height));
+            if (this.physics) this.physics.follow(dragX, dragY);
 
-            this.shapeOffsetX = dragX * 4; // Scale to world units
-            this.shapeOffsetY = -dragY * 4;
+            this.mapper.setSource('dragX', dragX);
+            this.mapper.setSource('dragY', dragY);
+            this.mapper.setSource('dragDistanceX', Math.abs(dragX));
+            this.mapper.setSource('dragDistanceY', Math.abs(dragY));
+        }
 
-            this.scene.setPosition(this.shapeOffsetX, this.shapeOffsetY);
+        this.updateUI();
+    }
 
-            // Map drag to effects
-            const delayTime = Math.abs(dragX) * 0.5; // 0 - 500ms
-            const reverbMix = Math.abs(dragY); // 0 - 100%
+    // Pinch works like the wheel (scale and pitch by default); twist is its own source
+    applyGesture({ scale, rotation }) {
+        // Doubling the spread moves as far as six wheel notches
+        this.wheelValue = Math.max(0, Math.min(1, this.wheelValue + Math.log2(scale) * 0.24));
+        this.mapper.setSource('wheel', this.wheelValue);
 
-            this.audio.setDelayTime(delayTime);
-            this.audio.setReverbMix(reverbMix);
-        }
+        // A full turn of the fingers covers the whole range
+        this.twistValue = Math.max(0, Math.min(1, this.twistValue + rotation / (Math.PI * 2)));
+        this.mapper.setSource('twist', this.twistValue);
 
         this.updateUI();
     }
@@ -80,32 +162,26 @@ export class InteractionController {
     onWheel(e) {
         e.preventDefault();
 
-        // Get current scale
-        let scale = this.scene.currentScale;
+        // Wheel accumulates into a 0-1 control, 25 notches end to end
+        const delta = e.deltaY > 0 ? -0.04 : 0.04;
+        this.wheelValue = Math.max(0, Math.min(1, this.wheelValue + delta));
 
-        // Update scale based on wheel delta
-        const delta = e.deltaY > 0 ? -0.1 : 0.1;
-        scale += delta;
-        scale = Math.max(0.5, Math.min(3, scale));
+        this.mapper.setSource('wheel', this.wheelValue);
 
-        this.scene.setScale(scale);
+        this.updateUI();
+    }
 
-        // Map scale to frequency (exponential)
-        // Scale 0.5 -> 110Hz (A2)
-        // Scale 1.0 -> 440Hz (A4)
-        // Scale 3.0 -> 1760Hz (A6)
-        const normalizedScale = (scale - 0.5) / 2.5; // Map to 0-1
-        this.audio.setFrequencyNormalized(normalizedScale);
+    // Audio context can only start from a user gesture
+    async initAudio() {
+        if (this.audio.initialized) return;
 
-        this.updateUI();
+        await this.audio.init();
+        document.getElementById('status').textContent = 'Ready';
     }
 
-    async onClick(e) {
-        // Initialize audio context on first click
-        if (!this.audio.initialized) {
-            await this.audio.init();
-            document.getElementById('status').textContent = 'Playing';
-        }
+    async toggleDrone() {
+        // Initialize audio context on first use
+        await this.initAudio();
 
         // Toggle sound
         if (this.audio.isPlaying) {
@@ -115,51 +191,181 @@ export class InteractionController {
             this.audio.start();
             document.getElementById('status').textContent = 'Playing';
         }
+        this.updateDroneButton();
     }
 
-    onMouseDown(e) {
-        this.isDragging = true;
-        const rect = this.canvas.getBoundingClientRect();
-        this.dragStartX = e.clientX;
-        this.dragStartY = e.clientY;
+    updateDroneButton() {
+        const button = document.getElementById('drone-toggle');
+        if (button) {
+            button.classList.toggle('active', this.audio.isPlaying);
+        }
     }
 
-    onMouseUp(e) {
-        this.isDragging = false;
+    onPointerDown(e) {
+        // Primary button (or a touch / pen contact) only
+        if (e.button !== 0) return;
 
-        // Smoothly return shape to center
-        this.scene.setPosition(0, 0);
-        this.shapeOffsetX = 0;
-        this.shapeOffsetY = 0;
+        this.canvas.setPointerCapture(e.pointerId);
+        this.gestures.down(e.pointerId, e.clientX, e.clientY);
 
-        // Reset effects to defaults
-        this.audio.setDelayTime(0.2);
-        this.audio.setReverbMix(0.3);
+        if (this.gestures.count === 1) {
+            this.isDragging = true;
+            this.dragStartX = e.clientX;
+            this.dragStartY = e.clientY;
+            this.dragOrigin = null;
+        } else {
+            // A second finger turns the press into a gesture
+            this.endDrag();
+            this.longPressTimers.forEach((timer, id) => this.cancelLongPress(id));
+        }
 
-        this.updateUI();
+        this.playFace(e.pointerId, e.clientX, e.clientY);
     }
 
-    onTouchStart(e) {
-        e.preventDefault();
-        if (e.touches.length > 0) {
-            const touch = e.touches[0];
-            this.onMouseDown({ clientX: touch.clientX, clientY: touch.clientY });
+    // Clicking another shape selects it; pressing the selected one plays the face
+    async playFace(pointerId, clientX, clientY) {
+        const hit = this.picker.pick(clientX, clientY);
+        if (!hit) return;
+
+        if (this.shapes && hit.shape !== this.scene.selectedShape) {
+            this.shapes.select(hit.shape.id);
+            return;
+        }
+
+        await this.initAudio();
+
+        const note = FacePicker.noteForFace(hit.face, this.audio.tuning);
+        if (note === null) return;
+
+        // Tapping a latched note lets it go
+        if (this.latchedNotes.has(note)) {
+            this.latchedNotes.delete(note);
+            if (!this.isNoteHeld(note)) this.audio.noteOff(note);
+            return;
         }
+
+        this.audio.noteOn(note);
+        this.pointerNotes.set(pointerId, note);
+        this.scene.flashFace(hit.shape, hit.positions);
+
+        // Let go while the audio was starting up
+        if (!this.gestures.has(pointerId)) {
+            this.releaseNote(pointerId);
+            return;
+        }
+
+        if (this.gestures.count === 1) this.startLongPress(pointerId, hit);
     }
 
-    onTouchMove(e) {
-        e.preventDefault();
-        if (e.touches.length > 0) {
-            const touch = e.touches[0];
-            this.onMouseMove({ clientX: touch.clientX, clientY: touch.clientY });
+    startLongPress(pointerId, hit) {
+        this.cancelLongPress(pointerId);
+
+        this.longPressTimers.set(pointerId, setTimeout(() => {
+            this.longPressTimers.delete(pointerId);
+
+            const note = this.pointerNotes.get(pointerId);
+            if (note === undefined) return;
+
+            // The note outlives the press; flash again to show it caught
+            this.pointerNotes.delete(pointerId);
+            this.latchedNotes.add(note);
+            this.scene.flashFace(hit.shape, hit.positions);
+        }, LONG_PRESS_TIME));
+    }
+
+    cancelLongPress(pointerId) {
+        clearTimeout(this.longPressTimers.get(pointerId));
+        this.longPressTimers.delete(pointerId);
+    }
+
+    isNoteHeld(note) {
+        for (const held of this.pointerNotes.values()) {
+            if (held === note) return true;
         }
+        return this.latchedNotes.has(note);
+    }
+
+    releaseNote(pointerId) {
+        const note = this.pointerNotes.get(pointerId);
+        if (note === undefined) return;
+
+        this.pointerNotes.delete(pointerId);
+        if (!this.isNoteHeld(note)) this.audio.noteOff(note);
+    }
+
+    onPointerUp(e) {
+        if (!this.gestures.has(e.pointerId)) return;
+
+        this.gestures.up(e.pointerId);
+        this.cancelLongPress(e.pointerId);
+        this.releaseNote(e.pointerId);
+
+        if (this.gestures.count === 0) this.endDrag(true);
     }
 
-    onTouchEnd(e) {
-        this.onMouseUp(e);
+    // `thrown` when the last pointer let go, rather than a second finger
+    // turning the drag into a pinch
+    endDrag(thrown = false) {
+        if (!this.isDragging) return;
+
+        if (this.physics) {
+            // The shape moves on by itself, driving the drag sources
+            this.physics.release(thrown);
+        } else {
+            // Drag mappings fall back to their release values
+            // (shape back to center, effects back to defaults). Still part
+            // of the drag, so undo takes them with it.
+            ['dragX', 'dragY', 'dragDistanceX', 'dragDistanceY'].forEach(source => {
+                this.mapper.releaseSource(source);
+            });
+        }
+        this.isDragging = false;
+
+        this.updateUI();
     }
 
     onKeyDown(e) {
+        // Leave typing in form fields alone
+        if (e.target.closest && e.target.closest('input, select, textarea')) return;
+
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on a Mac) undo and redo in either mode
+        if ((e.ctrlKey || e.metaKey) && e.code === 'KeyZ') {
+            e.preventDefault();
+            if (this.history && !e.repeat) {
+                if (e.shiftKey) {
+                    this.history.redo();
+                } else {
+                    this.history.undo();
+                }
+            }
+            return;
+        }
+
+        // Backquote switches between shortcut and play modes
+        if (e.code === 'Backquote') {
+            if (!e.repeat) this.setKeyMode(this.keyMode === 'play' ? 'shortcut' : 'play');
+            return;
+        }
+
+        if (this.keyMode === 'play') {
+            this.onPlayKeyDown(e);
+        } else {
+            this.onShortcutKeyDown(e);
+        }
+
+        // Space toggles the drone in either mode
+        if (e.key === ' ') {
+            e.preventDefault();
+            this.toggleDrone();
+        }
+    }
+
+    onShortcutKeyDown(e) {
+        // Key mappings (ignore auto-repeat)
+        if (!e.repeat) {
+            this.mapper.setSource('key', 1, e.key.toLowerCase());
+        }
+
         // Shape shortcuts
         if (e.key === '1') {
             this.changeShape('icosahedron');
@@ -180,19 +386,78 @@ export class InteractionController {
             this.changeWaveform('sawtooth');
         } else if (e.key === 'r') {
             this.changeWaveform('triangle');
+        } else if (e.key === 't') {
+            this.changeWaveform('geometry');
         }
+    }
 
-        // Space to toggle
-        if (e.key === ' ') {
+    // A row white keys, W row black keys, Z/X octave, Shift sustain
+    async onPlayKeyDown(e) {
+        if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        if (e.key === 'Shift') {
+            this.piano.setSustain(true);
+        } else if (e.code === 'KeyZ') {
+            this.piano.shiftOctave(-1);
+        } else if (e.code === 'KeyX') {
+            this.piano.shiftOctave(1);
+        } else if (this.piano.has(e.code)) {
             e.preventDefault();
-            this.onClick(e);
+            await this.pressKey(e.code);
         }
     }
 
+    // Also used by the on-screen keyboard
+    async pressKey(code) {
+        this.keysDown.add(code);
+        await this.initAudio();
+
+        // Let go while the audio was starting up
+        if (this.keysDown.has(code)) this.piano.keyDown(code);
+    }
+
+    releaseKey(code) {
+        this.keysDown.delete(code);
+        this.piano.keyUp(code);
+    }
+
+    onKeyUp(e) {
+        if (this.keyMode === 'play') {
+            if (e.key === 'Shift') this.piano.setSustain(false);
+            this.releaseKey(e.code);
+            return;
+        }
+
+        this.mapper.setSource('key', 0, e.key.toLowerCase());
+    }
+
+    setKeyMode(mode) {
+        // Key mappings held in shortcut mode won't see their key-up
+        if (this.keyMode === 'shortcut') this.mapper.releaseSource('key');
+
+        this.keyMode = mode;
+        this.keysDown.clear();
+        this.piano.releaseAll();
+
+        document.querySelectorAll('[data-key-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.keyMode === mode);
+        });
+    }
+
+    // Synth or ShapeVoice of the selected shape
+    getVoice() {
+        return this.shapes ? this.shapes.getSelectedVoice() : this.audio;
+    }
+
     changeShape(shape) {
+        const previous = this.scene.shapeType;
         this.scene.createGeometry(shape);
+        this.updateShapeButtons(shape);
+        if (this.shapes) this.shapes.notify();
+        this.emitAction('shape', shape, previous);
+    }
 
-        // Update button states
+    updateShapeButtons(shape) {
         document.querySelectorAll('[data-shape]').forEach(btn => {
             btn.classList.remove('active');
             if (btn.dataset.shape === shape) {
@@ -201,10 +466,18 @@ export class InteractionController {
         });
     }
 
-    changeWaveform(wave) {
-        this.audio.setWaveform(wave);
+    changeWaveform(wave, voice = this.getVoice()) {
+        const previous = voice.waveform;
+        const morph = voice.morph;
+        voice.setWaveform(wave);
+        this.updateWaveformButtons(wave);
+        this.emitAction('waveform', wave, previous);
 
-        // Update button states
+        // A named shape also moves the morph position
+        if (voice.morph !== morph) this.emitChange('osc.morph', voice.morph, morph);
+    }
+
+    updateWaveformButtons(wave) {
         document.querySelectorAll('[data-wave]').forEach(btn => {
             btn.classList.remove('active');
             if (btn.dataset.wave === wave) {
@@ -213,35 +486,87 @@ export class InteractionController {
         });
     }
 
+    changeVoiceMode(mode) {
+        const previous = this.audio.voiceMode;
+        const wasPlaying = this.audio.isPlaying;
+        this.audio.setVoiceMode(mode);
+
+        if (wasPlaying) {
+            document.getElementById('status').textContent = 'Paused';
+            this.updateDroneButton();
+        }
+
+        // Update button states
+        document.querySelectorAll('[data-voice-mode]').forEach(btn => {
+            btn.classList.remove('active');
+            if (btn.dataset.voiceMode === mode) {
+                btn.classList.add('active');
+            }
+        });
+
+        this.emitAction('voiceMode', mode, previous);
+    }
+
     updateUI() {
+        const voice = this.getVoice();
+
         // Update frequency display
         const freqDisplay = document.getElementById('freq-display');
         if (freqDisplay) {
-            freqDisplay.textContent = Math.round(this.audio.currentFrequency) + ' Hz';
+            freqDisplay.textContent = Math.round(voice.currentFrequency) + ' Hz';
+        }
+
+        // Update nearest note display
+        const noteDisplay = document.getElementById('note-display');
+        if (noteDisplay && this.audio.tuning) {
+            const note = this.audio.tuning.describe(voice.currentFrequency);
+            if (note) {
+                const cents = Math.round(note.cents);
+                noteDisplay.textContent = note.name + ' ' + (cents >= 0 ? '+' : '') + cents + '¢';
+            }
         }
 
         // Update filter display
         const filterDisplay = document.getElementById('filter-display');
         if (filterDisplay) {
-            filterDisplay.textContent = Math.round(this.audio.filterFrequency) + ' Hz';
+            filterDisplay.textContent = Math.round(voice.filterFrequency) + ' Hz';
         }
 
         // Update Q display
         const qDisplay = document.getElementById('q-display');
         if (qDisplay) {
-            qDisplay.textContent = this.audio.filterQ.toFixed(1);
+            qDisplay.textContent = voice.filterQ.toFixed(1);
         }
 
         // Update reverb display
         const reverbDisplay = document.getElementById('reverb-display');
         if (reverbDisplay) {
-            reverbDisplay.textContent = Math.round(this.audio.reverbMix * 100) + '%';
+            reverbDisplay.textContent = Math.round(this.audio.getEffectValue('reverb', 'mix') * 100) + '%';
         }
 
         // Update delay display
         const delayDisplay = document.getElementById('delay-display');
         if (delayDisplay) {
-            delayDisplay.textContent = Math.round(this.audio.delayTime * 1000) + 'ms';
+            const delay = this.audio.effects.find('delay');
+            delayDisplay.textContent = (delay && delay.sync ? delay.sync + ' · ' : '') +
+                Math.round(this.audio.getEffectValue('delay', 'time') * 1000) + 'ms';
+        }
+
+        // Update morph display - a mapped morph can change the waveform too
+        const morphDisplay = document.getElementById('morph-display');
+        if (morphDisplay) {
+            const lower = Math.floor(voice.morph);
+            morphDisplay.textContent = lower === voice.morph ?
+                MORPH_LABELS[lower] : MORPH_LABELS[lower] + ' → ' + MORPH_LABELS[lower + 1];
+            updateSlider(document.getElementById('morph-slider'), voice.morph);
+            this.updateWaveformButtons(voice.waveform);
+        }
+
+        // Update tempo display
+        const tempoDisplay = document.getElementById('tempo-display');
+        if (tempoDisplay) {
+            tempoDisplay.textContent = Math.round(this.audio.bpm) + ' BPM';
+            updateSlider(document.getElementById('tempo-bpm'), this.audio.bpm);
         }
     }
 }
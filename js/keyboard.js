@@ -0,0 +1,136 @@
+// keyboard.js - Computer-keyboard piano: DAW-style layout, octave shift and sustain
+
+// Physical key (KeyboardEvent.code, so it works on any layout) -> semitones
+// above the octave's C. White keys on the A row, black keys on the row above.
+export const PIANO_KEYS = [
+    { code: 'KeyA', label: 'A', semitone: 0 },
+    { code: 'KeyW', label: 'W', semitone: 1 },
+    { code: 'KeyS', label: 'S', semitone: 2 },
+    { code: 'KeyE', label: 'E', semitone: 3 },
+    { code: 'KeyD', label: 'D', semitone: 4 },
+    { code: 'KeyF', label: 'F', semitone: 5 },
+    { code: 'KeyT', label: 'T', semitone: 6 },
+    { code: 'KeyG', label: 'G', semitone: 7 },
+    { code: 'KeyY', label: 'Y', semitone: 8 },
+    { code: 'KeyH', label: 'H', semitone: 9 },
+    { code: 'KeyU', label: 'U', semitone: 10 },
+    { code: 'KeyJ', label: 'J', semitone: 11 },
+    { code: 'KeyK', label: 'K', semitone: 12 },
+    { code: 'KeyO', label: 'O', semitone: 13 },
+    { code: 'KeyL', label: 'L', semitone: 14 },
+    { code: 'KeyP', label: 'P', semitone: 15 },
+    { code: 'Semicolon', label: ';', semitone: 16 },
+    { code: 'Quote', label: "'", semitone: 17 }
+];
+
+const BLACK_KEYS = [1, 3, 6, 8, 10];
+
+export function isBlackKey(semitone) {
+    return BLACK_KEYS.includes(semitone % 12);
+}
+
+const MIN_OCTAVE = 0;
+const MAX_OCTAVE = 8;
+
+export class KeyboardPiano {
+    constructor(audio) {
+        this.audio = audio;
+        this.octave = 4; // A key plays C4
+
+        // key code -> note it started, so an octave change mid-note still
+        // releases the right one
+        this.held = new Map();
+        this.sustain = false;
+        this.sustained = new Set(); // notes let go while sustain was down
+
+        this.listeners = [];
+        this.semitones = new Map(PIANO_KEYS.map(key => [key.code, key.semitone]));
+    }
+
+    // Notified when the held notes, octave or sustain change
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    notify() {
+        this.listeners.forEach(fn => fn());
+    }
+
+    has(code) {
+        return this.semitones.has(code);
+    }
+
+    noteFor(semitone) {
+        return (this.octave + 1) * 12 + semitone;
+    }
+
+    // Returns the note played, or null if the key isn't on the keyboard
+    keyDown(code) {
+        if (!this.semitones.has(code) || this.held.has(code)) return null;
+
+        const note = this.noteFor(this.semitones.get(code));
+        this.sustained.delete(note);
+        this.audio.noteOn(note);
+        this.held.set(code, note);
+
+        this.notify();
+        return note;
+    }
+
+    keyUp(code) {
+        const note = this.held.get(code);
+        if (note === undefined) return;
+
+        this.held.delete(code);
+        if (!this.isHeld(note)) {
+            if (this.sustain) {
+                this.sustained.add(note);
+            } else {
+                this.audio.noteOff(note);
+            }
+        }
+
+        this.notify();
+    }
+
+    // Another key (after an octave shift) can be holding the same note
+    isHeld(note) {
+        for (const held of this.held.values()) {
+            if (held === note) return true;
+        }
+        return false;
+    }
+
+    setSustain(on) {
+        if (on === this.sustain) return;
+
+        this.sustain = on;
+        if (!on) {
+            this.sustained.forEach(note => this.audio.noteOff(note));
+            this.sustained.clear();
+        }
+
+        this.notify();
+    }
+
+    shiftOctave(delta) {
+        this.octave = Math.max(MIN_OCTAVE, Math.min(MAX_OCTAVE, this.octave + delta));
+        this.notify();
+    }
+
+    // Everything off - focus lost, mode switched
+    releaseAll() {
+        this.held.forEach(note => this.audio.noteOff(note));
+        this.sustained.forEach(note => this.audio.noteOff(note));
+        this.held.clear();
+        this.sustained.clear();
+        this.sustain = false;
+
+        this.notify();
+    }
+
+    // Notes sounding from the keyboard, held or sustained
+    getActiveNotes() {
+        return new Set([...this.held.values(), ...this.sustained]);
+    }
+}
@@ -3,6 +3,30 @@
 import { Scene3D } from './scene.js';
 import { AudioSynthesizer } from './audio.js';
 import { InteractionController } from './interaction.js';
+import { ParameterRegistry, registerDefaultParameters } from './params.js';
+import { MidiController } from './midi.js';
+import { GeometryTimbre } from './timbre.js';
+import { PatchManager } from './patch.js';
+import { AutomationRecorder } from './automation.js';
+import { OfflineRenderer } from './render.js';
+import { SessionRecorder } from './recorder.js';
+import { TuningSystem } from './tuning.js';
+import { ModulationMatrix, LFO_SHAPES, SYNC_DIVISIONS } from './modulation.js';
+import { ControlMapper } from './mapping.js';
+import { MappingEditor } from './mapping-editor.js';
+import { RackEditor } from './rack-editor.js';
+import { ShapeManager } from './shapes.js';
+import { SpectrumFeed, VISUAL_PRESETS } from './spectrum.js';
+import { PIANO_KEYS, isBlackKey } from './keyboard.js';
+import { TempoClock } from './clock.js';
+import { AnalysisView, VIEW_TYPES, FFT_SIZES } from './analysis.js';
+import { SyncSession, BroadcastTransport, WebSocketTransport } from './sync.js';
+import { OscController, OscSocket } from './osc.js';
+import { SnapshotMorph, SnapshotPad } from './snapshots.js';
+import { UndoHistory } from './history.js';
+import { ShapePhysics } from './physics.js';
+
+const SHAPE_TYPES = ['icosahedron', 'torus', 'octahedron', 'dodecahedron'];
 
 class App {
     constructor() {
@@ -20,16 +44,89 @@ class App {
         // Initialize modules
         this.scene = new Scene3D(this.canvas);
         this.audio = new AudioSynthesizer();
-        this.interaction = new InteractionController(this.canvas, this.scene, this.audio);
+        this.tuning = new TuningSystem();
+        this.tuning.setRoot(9);
+        this.audio.setTuning(this.tuning);
+        this.timbre = new GeometryTimbre(this.scene, this.audio);
+
+        // Frequency bands and waveform for the visuals
+        this.spectrum = new SpectrumFeed(this.audio);
+        this.scene.setSpectrum(this.spectrum);
+
+        // Shapes in the scene, each with its own panned voice
+        this.shapes = new ShapeManager(this.scene, this.audio);
+
+        // Parameters shared by every controller - pitch and filter follow the selected
+        // shape, while lanes and routes stay with the shape they were made on
+        this.params = new ParameterRegistry(this.scene);
+        registerDefaultParameters(this.params, this.scene, this.audio, () => this.shapes.getSelectedVoice());
+
+        // Mouse, wheel, drag, touch and keys reach parameters through the mapping table
+        this.mapper = new ControlMapper(this.params);
+        this.interaction = new InteractionController(this.canvas, this.scene, this.audio, this.mapper);
+        this.interaction.shapes = this.shapes;
+        this.params.onChange(() => this.interaction.updateUI());
+
+        // Released shapes fly on, bounce off the view and spring home or stay put
+        this.physics = new ShapePhysics(this.scene, this.mapper, this.audio, () => this.shapes.getSelectedVoice());
+        this.interaction.physics = this.physics;
+
+        this.midi = new MidiController(this.audio, this.params);
+        this.modulation = new ModulationMatrix(this.audio, this.params);
+        this.clock = new TempoClock(this.audio);
+        this.patches = new PatchManager(this.scene, this.audio, this.interaction);
+        this.sync = new SyncSession(this.params, this.scene, this.interaction, this.patches, this.audio);
+        this.osc = new OscController(this.params, this.interaction, this.audio, this.spectrum);
+        this.snapshots = new SnapshotMorph(this.params, this.interaction, this.audio, this.scene);
+
+        // Ctrl+Z undoes what the performer did, not presets, partners, OSC or the pad
+        this.history = new UndoHistory(this.params, this.interaction, this.scene);
+        this.history.isExternal = () =>
+            this.patches.applying || this.sync.applying || this.osc.applying || this.snapshots.applying;
+        this.interaction.history = this.history;
+
+        // Performer gestures feed the automation recorder
+        this.automation = new AutomationRecorder(this.audio, this.params);
+        this.interaction.onParameterChange((id, value) => this.automation.capture(id, value));
+
+        this.renderer = new OfflineRenderer(this.audio, this.scene);
+        this.recorder = new SessionRecorder(this.audio, this.canvas);
 
         // Setup UI event listeners
         this.setupUIListeners();
+        this.setupSourceUI();
+        this.setupShapesUI();
+        this.setupPhysicsUI();
+        this.setupKeyboardUI();
+        this.setupVisualsUI();
+        this.setupAnalysisUI();
+        this.setupMidiUI();
+        this.setupTuningUI();
+        this.setupTempoUI();
+        this.setupModulationUI();
+        this.setupEffectsUI();
+        this.setupMappingUI();
+        this.setupPresetUI();
+        this.setupHistoryUI();
+        this.setupSnapshotUI();
+        this.setupJamUI();
+        this.setupOscUI();
+        this.setupAutomationUI();
+        this.setupRenderUI();
+        this.setupRecordUI();
+
+        // Restore a shared link, or else the last session
+        if (!(await this.patches.restoreFromHash())) {
+            this.patches.restoreSession();
+        }
+        window.addEventListener('hashchange', () => this.patches.restoreFromHash());
+        window.addEventListener('pagehide', () => this.patches.saveSession());
 
         // Start animation loop
         this.animate(0);
 
         console.log('3D Audio Synthesizer initialized');
-        console.log('Click to start audio, move mouse to control sound');
+        console.log('Press space or Drone to start audio, click faces to play notes');
     }
 
     setupUIListeners() {
@@ -46,6 +143,1004 @@ class App {
                 this.interaction.changeWaveform(btn.dataset.wave);
             });
         });
+
+        // Morph position - sine, triangle, saw, square and everything between.
+        // Applied like a mapped control, so history and automation see it.
+        const morphSlider = document.getElementById('morph-slider');
+        morphSlider.addEventListener('input', () => {
+            this.mapper.apply('osc.morph', Number(morphSlider.value));
+        });
+
+        // Drone on/off (clicks on the canvas play notes instead)
+        document.getElementById('drone-toggle').addEventListener('click', () => {
+            this.interaction.toggleDrone();
+        });
+
+        // Voice mode buttons
+        document.querySelectorAll('[data-voice-mode]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.interaction.changeVoiceMode(btn.dataset.voiceMode);
+            });
+        });
+    }
+
+    setupSourceUI() {
+        const status = document.getElementById('status');
+        const transport = document.getElementById('file-transport');
+        const fileInput = document.getElementById('file-input');
+        const playBtn = document.getElementById('file-play');
+        const loopBtn = document.getElementById('file-loop');
+        const seek = document.getElementById('file-seek');
+
+        const selectSource = async (source) => {
+            await this.interaction.initAudio();
+            this.audio.filePlayer.onEnded = () => this.updateFileTransport();
+
+            try {
+                await this.audio.setSource(source);
+            } catch (err) {
+                console.warn('Input unavailable:', err);
+                status.textContent = 'No microphone';
+                return;
+            }
+
+            document.querySelectorAll('[data-source]').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.source === source);
+            });
+            transport.hidden = source !== 'file';
+            this.updateFileTransport();
+        };
+
+        document.querySelectorAll('[data-source]').forEach(btn => {
+            btn.addEventListener('click', () => selectSource(btn.dataset.source));
+        });
+
+        const loadFile = async (file) => {
+            await selectSource('file');
+            try {
+                await this.audio.filePlayer.load(await file.arrayBuffer(), file.name);
+                this.audio.filePlayer.play();
+            } catch (err) {
+                console.warn('Could not decode file:', err);
+                document.getElementById('file-status').textContent = 'Could not decode ' + file.name;
+                return;
+            }
+            this.updateFileTransport();
+        };
+
+        document.getElementById('file-load').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) loadFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+
+        // Dropping an audio file anywhere loads it
+        window.addEventListener('dragover', (e) => e.preventDefault());
+        window.addEventListener('drop', (e) => {
+            const file = Array.from(e.dataTransfer.files).find(f => f.type.startsWith('audio/'));
+            if (!file) return;
+
+            e.preventDefault();
+            loadFile(file);
+        });
+
+        playBtn.addEventListener('click', () => {
+            const player = this.audio.filePlayer;
+            if (player.isPlaying) {
+                player.pause();
+            } else {
+                player.play();
+            }
+            this.updateFileTransport();
+        });
+
+        loopBtn.addEventListener('click', () => {
+            const player = this.audio.filePlayer;
+            player.setLoop(!player.loop);
+            loopBtn.classList.toggle('active', player.loop);
+        });
+
+        // Slider is in thousandths of the file
+        seek.addEventListener('input', () => {
+            const player = this.audio.filePlayer;
+            player.seek(Number(seek.value) / 1000 * player.duration);
+            this.updateFileTransport();
+        });
+    }
+
+    updateFileTransport() {
+        const player = this.audio.filePlayer;
+        if (!player) return;
+
+        const playBtn = document.getElementById('file-play');
+        playBtn.textContent = player.isPlaying ? 'Pause' : 'Play';
+        playBtn.classList.toggle('active', player.isPlaying);
+
+        if (!player.buffer) return;
+
+        const time = player.getCurrentTime();
+        document.getElementById('file-seek').value = Math.round(time / player.duration * 1000);
+        document.getElementById('file-status').textContent =
+            player.name + ' · ' + this.formatTime(time) + ' / ' + this.formatTime(player.duration);
+    }
+
+    setupShapesUI() {
+        const status = document.getElementById('status');
+
+        document.getElementById('shape-add').addEventListener('click', async () => {
+            await this.interaction.initAudio();
+
+            const type = SHAPE_TYPES[this.scene.shapes.length % SHAPE_TYPES.length];
+            if (!this.shapes.addShape(type)) {
+                status.textContent = 'Shape limit reached';
+            }
+        });
+
+        document.getElementById('shape-remove').addEventListener('click', () => {
+            this.shapes.removeShape(this.shapes.getSelectedId());
+        });
+
+        document.getElementById('shape-mute').addEventListener('click', () => {
+            this.shapes.toggleMute(this.shapes.getSelectedId());
+        });
+
+        document.getElementById('shape-solo').addEventListener('click', () => {
+            this.shapes.toggleSolo(this.shapes.getSelectedId());
+        });
+
+        // Buttons and readouts show whichever shape is selected
+        this.shapes.onChange(() => {
+            this.interaction.updateShapeButtons(this.scene.shapeType);
+            this.interaction.updateWaveformButtons(this.shapes.getSelectedVoice().waveform);
+            this.interaction.updateUI();
+            this.renderShapeList();
+        });
+
+        this.renderShapeList();
+    }
+
+    renderShapeList() {
+        const list = document.getElementById('shape-list');
+        const selectedId = this.shapes.getSelectedId();
+        list.innerHTML = '';
+
+        this.scene.shapes.forEach((shape, index) => {
+            const channel = this.shapes.getChannel(shape.id);
+            const item = document.createElement('button');
+            item.className = 'btn';
+            item.textContent = (index + 1) + ' ' + shape.type +
+                (channel.muted ? ' · M' : '') + (channel.soloed ? ' · S' : '');
+            item.classList.toggle('active', shape.id === selectedId);
+            item.classList.toggle('muted', !this.shapes.isAudible(shape.id));
+            item.addEventListener('click', () => this.shapes.select(shape.id));
+            list.appendChild(item);
+        });
+
+        const channel = this.shapes.getChannel(selectedId);
+        document.getElementById('shape-mute').classList.toggle('active', channel.muted);
+        document.getElementById('shape-solo').classList.toggle('active', channel.soloed);
+        document.getElementById('shape-remove').disabled = selectedId === this.shapes.mainShapeId;
+    }
+
+    setupKeyboardUI() {
+        const interaction = this.interaction;
+        const piano = interaction.piano;
+
+        document.querySelectorAll('[data-key-mode]').forEach(btn => {
+            btn.addEventListener('click', () => interaction.setKeyMode(btn.dataset.keyMode));
+        });
+
+        document.getElementById('octave-down').addEventListener('click', () => piano.shiftOctave(-1));
+        document.getElementById('octave-up').addEventListener('click', () => piano.shiftOctave(1));
+
+        const sustain = document.getElementById('sustain-toggle');
+        sustain.addEventListener('click', () => piano.setSustain(!piano.sustain));
+
+        // On-screen keys play like their computer keys, in either mode
+        const container = document.getElementById('piano');
+        const keys = PIANO_KEYS.map(key => {
+            const element = document.createElement('div');
+            element.className = 'piano-key' + (isBlackKey(key.semitone) ? ' black' : '');
+            element.textContent = key.label;
+
+            element.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                interaction.pressKey(key.code);
+            });
+            element.addEventListener('mouseup', () => interaction.releaseKey(key.code));
+            element.addEventListener('mouseleave', () => interaction.releaseKey(key.code));
+
+            container.appendChild(element);
+            return { key, element };
+        });
+
+        // Light up held and sustained notes
+        const update = () => {
+            const active = piano.getActiveNotes();
+            keys.forEach(({ key, element }) => {
+                element.classList.toggle('active', active.has(piano.noteFor(key.semitone)));
+            });
+            document.getElementById('octave-display').textContent = 'C' + piano.octave;
+            sustain.classList.toggle('active', piano.sustain);
+        };
+        piano.onChange(update);
+        update();
+    }
+
+    setupVisualsUI() {
+        const select = document.getElementById('visual-preset');
+
+        Object.keys(VISUAL_PRESETS).forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = VISUAL_PRESETS[id].label;
+            select.appendChild(option);
+        });
+        select.value = this.scene.visualPreset;
+
+        select.addEventListener('change', () => {
+            this.scene.setVisualPreset(select.value);
+        });
+    }
+
+    setupTuningUI() {
+        const fileInput = document.getElementById('tuning-file');
+        const name = document.getElementById('tuning-name');
+
+        document.getElementById('tuning-root').addEventListener('change', (e) => {
+            this.tuning.setRoot(Number(e.target.value));
+            this.interaction.updateUI();
+        });
+
+        document.getElementById('tuning-scale').addEventListener('change', (e) => {
+            this.tuning.setScale(e.target.value);
+            this.interaction.updateUI();
+        });
+
+        document.getElementById('tuning-snap').addEventListener('change', (e) => {
+            this.tuning.setSnapMode(e.target.value);
+        });
+
+        document.getElementById('tuning-glide').addEventListener('input', (e) => {
+            this.audio.setGlideTime(Number(e.target.value) / 1000);
+        });
+
+        document.getElementById('tuning-load').addEventListener('click', () => fileInput.click());
+
+        fileInput.addEventListener('change', async () => {
+            // Load the scale first so a keyboard map applies to it
+            const files = Array.from(fileInput.files)
+                .sort((a, b) => (a.name.endsWith('.kbm') ? 1 : 0) - (b.name.endsWith('.kbm') ? 1 : 0));
+            fileInput.value = '';
+
+            try {
+                for (const file of files) {
+                    const text = await file.text();
+                    if (file.name.endsWith('.kbm')) {
+                        this.tuning.loadKbm(text);
+                    } else {
+                        this.tuning.loadScl(text);
+                    }
+                }
+                name.textContent = this.tuning.name + ' · ' + this.tuning.cents.length + ' notes';
+            } catch (err) {
+                console.warn('Could not load tuning:', err);
+                name.textContent = err.message;
+            }
+            this.interaction.updateUI();
+        });
+
+        document.getElementById('tuning-reset').addEventListener('click', () => {
+            this.tuning.resetTuning();
+            name.textContent = this.tuning.name;
+            this.interaction.updateUI();
+        });
+    }
+
+    setupTempoUI() {
+        const slider = document.getElementById('tempo-bpm');
+        const light = document.getElementById('beat-light');
+
+        slider.addEventListener('input', () => {
+            this.mapper.apply('tempo.bpm', Number(slider.value));
+        });
+
+        document.getElementById('tempo-tap').addEventListener('click', () => {
+            this.clock.tap();
+            this.interaction.updateUI();
+        });
+
+        // Beats drive the scene pulse, synced LFO phase and the light
+        this.clock.onBeat((event) => {
+            this.scene.pulseBeat(event.downbeat ? 1 : 0.6);
+            this.modulation.syncToBeat(event.beat);
+
+            light.classList.add('on');
+            light.classList.toggle('downbeat', event.downbeat);
+            setTimeout(() => light.classList.remove('on', 'downbeat'), 100);
+        });
+    }
+
+    setupModulationUI() {
+        const lfoList = document.getElementById('mod-lfos');
+        const sourceSelect = document.getElementById('mod-source');
+        const targetSelect = document.getElementById('mod-target');
+        const depthSlider = document.getElementById('mod-depth');
+
+        const makeOption = (value, label) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            return option;
+        };
+
+        const makeSelect = (options, value) => {
+            const select = document.createElement('select');
+            select.className = 'select';
+            options.forEach(([optionValue, label]) => select.appendChild(makeOption(optionValue, label)));
+            select.value = value;
+            return select;
+        };
+
+        // One row of controls per LFO
+        this.modulation.sources.forEach((source, id) => {
+            const label = this.getSourceLabel(id);
+            sourceSelect.appendChild(makeOption(id, label));
+            if (id === 'env') return;
+
+            const row = document.createElement('div');
+            row.className = 'lfo-row';
+
+            const name = document.createElement('span');
+            name.className = 'slider-label';
+            name.textContent = label;
+
+            const shape = makeSelect(LFO_SHAPES.map(s => [s, s]), source.shape);
+            shape.addEventListener('change', () => { source.shape = shape.value; });
+
+            // Rate slider is logarithmic, 0.05 - 20 Hz
+            const rate = document.createElement('input');
+            rate.type = 'range';
+            rate.className = 'slider';
+            rate.min = 0;
+            rate.max = 1000;
+            rate.value = Math.round(1000 * Math.log(source.rate / 0.05) / Math.log(400));
+            rate.addEventListener('input', () => {
+                source.rate = 0.05 * Math.pow(400, rate.value / 1000);
+            });
+
+            const sync = makeSelect(
+                [['', 'Free']].concat(Object.keys(SYNC_DIVISIONS).map(d => [d, d])),
+                source.sync || ''
+            );
+            sync.addEventListener('change', () => {
+                source.sync = sync.value || null;
+                rate.disabled = Boolean(source.sync);
+            });
+
+            row.append(name, shape, rate, sync);
+            lfoList.appendChild(row);
+        });
+
+        this.params.list().forEach(param => {
+            targetSelect.appendChild(makeOption(param.id, param.label));
+        });
+
+        document.getElementById('mod-add').addEventListener('click', () => {
+            this.modulation.addRoute(sourceSelect.value, targetSelect.value, depthSlider.value / 100);
+            this.renderModulationRoutes();
+        });
+    }
+
+    // One overlay per view type: FFT size, smoothing and a canvas
+    setupAnalysisUI() {
+        const container = document.getElementById('analysis-overlays');
+
+        // Cutoff and resonance of whichever shape is selected
+        const filter = () => {
+            const voice = this.shapes.getSelectedVoice();
+            return voice.filter ? { node: voice.filter, frequency: voice.filterFrequency, q: voice.filterQ } : null;
+        };
+
+        this.analysisViews = [];
+        document.querySelectorAll('[data-analysis]').forEach(toggle => {
+            const type = toggle.dataset.analysis;
+
+            const panel = document.createElement('div');
+            panel.className = 'analysis-panel';
+            panel.hidden = true;
+
+            const header = document.createElement('div');
+            header.className = 'panel-header';
+            const title = document.createElement('h3');
+            title.textContent = VIEW_TYPES[type].label;
+
+            const fftSize = document.createElement('select');
+            fftSize.className = 'select';
+            fftSize.title = 'FFT size';
+            FFT_SIZES.forEach(size => {
+                const option = document.createElement('option');
+                option.value = size;
+                option.textContent = size;
+                fftSize.appendChild(option);
+            });
+
+            const smoothing = document.createElement('input');
+            smoothing.type = 'range';
+            smoothing.className = 'slider';
+            smoothing.title = 'Smoothing';
+            smoothing.min = 0;
+            smoothing.max = 0.99;
+            smoothing.step = 0.01;
+
+            const close = document.createElement('button');
+            close.className = 'remove';
+            close.textContent = '×';
+
+            const canvas = document.createElement('canvas');
+            canvas.width = 360;
+            canvas.height = 140;
+
+            header.append(title, fftSize, smoothing, close);
+            panel.append(header, canvas);
+            container.appendChild(panel);
+
+            const view = new AnalysisView(type, this.audio, canvas, filter);
+            this.analysisViews.push(view);
+            fftSize.value = view.fftSize;
+            smoothing.value = view.smoothing;
+
+            fftSize.addEventListener('change', () => view.setFftSize(Number(fftSize.value)));
+            smoothing.addEventListener('input', () => view.setSmoothing(Number(smoothing.value)));
+
+            const show = (visible) => {
+                panel.hidden = !visible;
+                toggle.classList.toggle('active', visible);
+                view.setVisible(visible);
+            };
+            toggle.addEventListener('click', () => show(panel.hidden));
+            close.addEventListener('click', () => show(false));
+        });
+    }
+
+    setupEffectsUI() {
+        const panel = document.getElementById('effects-panel');
+        const toggle = document.getElementById('effects-edit');
+        const editor = new RackEditor(document.getElementById('effects-editor'), this.audio.effects);
+
+        toggle.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            toggle.classList.toggle('active', !panel.hidden);
+            if (!panel.hidden) editor.render();
+        });
+
+        document.getElementById('effects-close').addEventListener('click', () => {
+            panel.hidden = true;
+            toggle.classList.remove('active');
+        });
+    }
+
+    setupMappingUI() {
+        const panel = document.getElementById('mapping-panel');
+        const toggle = document.getElementById('mapping-edit');
+        const editor = new MappingEditor(document.getElementById('mapping-editor'), this.mapper, this.params);
+
+        toggle.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            toggle.classList.toggle('active', !panel.hidden);
+            if (!panel.hidden) editor.render();
+        });
+
+        document.getElementById('mapping-close').addEventListener('click', () => {
+            panel.hidden = true;
+            toggle.classList.remove('active');
+        });
+
+        this.mappingEditor = editor;
+    }
+
+    getSourceLabel(id) {
+        return id === 'env' ? 'Env Follower' : 'LFO ' + id.slice(3);
+    }
+
+    renderModulationRoutes() {
+        const list = document.getElementById('mod-routes');
+        list.innerHTML = '';
+
+        this.modulation.routes.forEach(route => {
+            const item = document.createElement('div');
+            item.className = 'binding';
+            const shape = this.scene.shapes.findIndex(s => s.id === route.shape);
+            item.textContent = this.getSourceLabel(route.source) + ' → ' +
+                this.params.get(route.target).label + (shape >= 0 ? ' (shape ' + (shape + 1) + ')' : '') +
+                ' ' + Math.round(route.depth * 100) + '%';
+
+            // Live meter of what this route is adding right now
+            const meter = document.createElement('span');
+            meter.className = 'meter';
+            const fill = document.createElement('span');
+            fill.className = 'meter-fill';
+            meter.appendChild(fill);
+            route.meter = fill;
+
+            const remove = document.createElement('button');
+            remove.className = 'remove';
+            remove.textContent = '×';
+            remove.addEventListener('click', () => {
+                this.modulation.removeRoute(route);
+                this.renderModulationRoutes();
+            });
+
+            item.append(meter, remove);
+            list.appendChild(item);
+        });
+    }
+
+    updateModulationMeters() {
+        this.modulation.routes.forEach(route => {
+            if (!route.meter) return;
+
+            const amount = this.modulation.getSource(route.source).value * route.depth;
+            const width = Math.min(50, Math.abs(amount) * 50);
+            route.meter.style.width = width + '%';
+            route.meter.style.left = (amount < 0 ? 50 - width : 50) + '%';
+        });
+    }
+
+    setupMidiUI() {
+        const enableBtn = document.getElementById('midi-enable');
+        const paramSelect = document.getElementById('midi-param');
+        const learnBtn = document.getElementById('midi-learn');
+        const clearBtn = document.getElementById('midi-clear');
+
+        this.params.list().forEach(param => {
+            const option = document.createElement('option');
+            option.value = param.id;
+            option.textContent = param.label;
+            paramSelect.appendChild(option);
+        });
+
+        enableBtn.addEventListener('click', async () => {
+            if (this.midi.enabled) {
+                this.midi.disable();
+                enableBtn.classList.remove('active');
+                enableBtn.textContent = 'Enable MIDI';
+                return;
+            }
+
+            try {
+                await this.interaction.initAudio();
+                await this.midi.enable();
+                enableBtn.classList.add('active');
+                enableBtn.textContent = 'MIDI On';
+            } catch (err) {
+                console.warn('MIDI unavailable:', err);
+                document.getElementById('status').textContent = 'No MIDI';
+            }
+        });
+
+        learnBtn.addEventListener('click', () => {
+            if (this.midi.learnTarget) {
+                this.midi.cancelLearn();
+                learnBtn.classList.remove('active');
+                return;
+            }
+
+            this.midi.learn(paramSelect.value);
+            learnBtn.classList.add('active');
+        });
+
+        clearBtn.addEventListener('click', () => {
+            this.midi.clearBindings();
+            this.renderMidiBindings();
+        });
+
+        this.midi.onLearn = () => {
+            learnBtn.classList.remove('active');
+            this.renderMidiBindings();
+        };
+
+        this.renderMidiBindings();
+    }
+
+    setupPresetUI() {
+        const select = document.getElementById('preset-select');
+        const fileInput = document.getElementById('preset-file');
+        const status = document.getElementById('status');
+
+        select.addEventListener('change', () => {
+            try {
+                this.patches.loadPreset(select.value);
+            } catch (err) {
+                console.warn('Could not load preset:', err);
+                status.textContent = 'Bad Patch';
+            }
+        });
+
+        document.getElementById('preset-save').addEventListener('click', () => {
+            const name = prompt('Preset name', select.value);
+            if (!name) return;
+
+            this.patches.savePreset(name);
+            this.renderPresetList(name);
+        });
+
+        document.getElementById('preset-delete').addEventListener('click', () => {
+            if (!this.patches.getUserPresets()[select.value]) return;
+
+            this.patches.deletePreset(select.value);
+            this.renderPresetList();
+        });
+
+        document.getElementById('preset-export').addEventListener('click', () => {
+            this.patches.exportFile(select.value);
+        });
+
+        document.getElementById('preset-import').addEventListener('click', () => {
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                await this.patches.importFile(file);
+            } catch (err) {
+                console.warn('Could not import patch:', err);
+                status.textContent = 'Bad Patch';
+            }
+        });
+
+        document.getElementById('preset-share').addEventListener('click', async () => {
+            const url = await this.patches.shareUrl();
+            try {
+                await navigator.clipboard.writeText(url);
+                status.textContent = 'Link Copied';
+            } catch (err) {
+                // No clipboard access, so hand the link over to copy by hand
+                prompt('Share link', url);
+            }
+        });
+
+        this.renderPresetList();
+    }
+
+    setupPhysicsUI() {
+        const buttons = document.querySelectorAll('[data-physics-mode]');
+        const stiffness = document.getElementById('physics-stiffness');
+        const damping = document.getElementById('physics-damping');
+
+        buttons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.physics.setMode(btn.dataset.physicsMode);
+                buttons.forEach(b => b.classList.toggle('active', b === btn));
+                stiffness.disabled = this.physics.mode !== 'spring';
+            });
+        });
+
+        stiffness.addEventListener('input', () => {
+            this.physics.stiffness = Number(stiffness.value);
+        });
+        damping.addEventListener('input', () => {
+            this.physics.damping = Number(damping.value) / 10;
+        });
+
+        // Wall hits kick the shape like a beat does
+        this.physics.onHit = (wall, velocity) => this.scene.pulseBeat(velocity);
+    }
+
+    setupHistoryUI() {
+        const undo = document.getElementById('history-undo');
+        const redo = document.getElementById('history-redo');
+
+        undo.addEventListener('click', () => this.history.undo());
+        redo.addEventListener('click', () => this.history.redo());
+
+        this.history.onChange(() => {
+            undo.disabled = !this.history.canUndo;
+            redo.disabled = !this.history.canRedo;
+        });
+    }
+
+    setupSnapshotUI() {
+        const buttons = document.querySelectorAll('[data-snapshot]');
+
+        // Click captures the current sound into a corner (again to replace it)
+        buttons.forEach(btn => {
+            btn.addEventListener('click', () => this.snapshots.store(Number(btn.dataset.snapshot)));
+        });
+
+        document.getElementById('snapshot-clear').addEventListener('click', () => {
+            this.snapshots.corners.forEach((snapshot, i) => this.snapshots.clear(i));
+        });
+
+        this.snapshots.onChange(() => {
+            buttons.forEach(btn => {
+                btn.classList.toggle('active', Boolean(this.snapshots.corners[Number(btn.dataset.snapshot)]));
+            });
+        });
+
+        this.snapshotPad = new SnapshotPad(document.getElementById('snapshot-pad'), this.snapshots);
+    }
+
+    setupJamUI() {
+        const transport = document.getElementById('jam-transport');
+        const join = document.getElementById('jam-join');
+        const lock = document.getElementById('jam-lock');
+        let room = 'default';
+        let relay = 'ws://localhost:8787';
+
+        join.addEventListener('click', async () => {
+            if (this.sync.connected) {
+                this.sync.leave();
+                return;
+            }
+
+            const name = prompt('Room', room);
+            if (!name) return;
+            room = name;
+
+            if (transport.value === 'relay') {
+                const url = prompt('Relay server', relay);
+                if (!url) return;
+                relay = url.replace(/\/+$/, '');
+            }
+
+            // Partners' shapes need voices of their own
+            await this.interaction.initAudio();
+
+            try {
+                await this.sync.join(transport.value === 'relay' ?
+                    new WebSocketTransport(relay + '/' + encodeURIComponent(room)) :
+                    new BroadcastTransport(room));
+            } catch (err) {
+                console.warn('Could not join jam:', err);
+                document.getElementById('jam-status').textContent = 'No Relay';
+            }
+        });
+
+        lock.addEventListener('click', () => {
+            this.sync.setLockTouched(!this.sync.lockTouched);
+            lock.classList.toggle('active', this.sync.lockTouched);
+        });
+
+        this.sync.onChange(() => this.renderJamStatus());
+        window.addEventListener('pagehide', () => this.sync.leave());
+    }
+
+    renderJamStatus() {
+        const connected = this.sync.connected;
+        document.getElementById('jam-join').textContent = connected ? 'Leave' : 'Join';
+        document.getElementById('jam-transport').disabled = connected;
+        document.getElementById('jam-status').textContent = connected ?
+            (this.sync.peers.size + 1) + ' Playing' : 'Offline';
+
+        // What the others have locked, so it's clear why a control won't move
+        const list = document.getElementById('jam-held');
+        list.innerHTML = '';
+        this.sync.lockedByOthers().forEach(lock => {
+            const item = document.createElement('div');
+            item.className = 'binding';
+            item.textContent = '🔒 ' + lock.label +
+                (lock.shape !== null ? ' (shape ' + (lock.shape + 1) + ')' : '') + ' - ' + lock.peer;
+            list.appendChild(item);
+        });
+    }
+
+    setupOscUI() {
+        const connect = document.getElementById('osc-connect');
+        const send = document.getElementById('osc-send');
+        const status = document.getElementById('osc-status');
+        let bridge = 'ws://localhost:8788';
+
+        connect.addEventListener('click', async () => {
+            if (this.osc.connected) {
+                this.osc.disconnect();
+                return;
+            }
+
+            const url = prompt('OSC bridge', bridge);
+            if (!url) return;
+            bridge = url;
+
+            try {
+                await this.osc.connect(new OscSocket(bridge));
+            } catch (err) {
+                console.warn('Could not connect to OSC bridge:', err);
+                status.textContent = 'No Bridge';
+            }
+        });
+
+        // Level and bands always go out; parameter values only when this is on
+        send.addEventListener('click', () => {
+            this.osc.sendValues = !this.osc.sendValues;
+            send.classList.toggle('active', this.osc.sendValues);
+        });
+
+        this.osc.onStatusChange = (connected) => {
+            connect.textContent = connected ? 'Disconnect' : 'Connect';
+            connect.classList.toggle('active', connected);
+            status.textContent = connected ? 'Connected' : 'Offline';
+        };
+    }
+
+    setupAutomationUI() {
+        const automation = this.automation;
+        const buttons = {
+            record: document.getElementById('auto-record'),
+            play: document.getElementById('auto-play'),
+            overdub: document.getElementById('auto-overdub'),
+            loop: document.getElementById('auto-loop')
+        };
+
+        buttons.record.addEventListener('click', async () => {
+            await this.interaction.initAudio();
+            automation.record();
+        });
+
+        buttons.play.addEventListener('click', () => automation.play());
+        document.getElementById('auto-stop').addEventListener('click', () => automation.stop());
+        document.getElementById('auto-clear').addEventListener('click', () => automation.clear());
+
+        buttons.overdub.addEventListener('click', () => {
+            automation.setOverdub(!automation.overdub);
+        });
+
+        buttons.loop.addEventListener('click', () => {
+            automation.setLoop(!automation.loop);
+            buttons.loop.classList.toggle('active', automation.loop);
+        });
+
+        automation.onStateChange = (state) => {
+            buttons.record.classList.toggle('active', state === 'recording');
+            buttons.play.classList.toggle('active', state === 'playing');
+            buttons.overdub.classList.toggle('active', automation.overdub);
+            this.updateAutomationStatus();
+        };
+    }
+
+    updateAutomationStatus() {
+        const automation = this.automation;
+        const status = document.getElementById('auto-status');
+
+        if (automation.state === 'recording') {
+            status.textContent = 'Recording ' + automation.getPosition().toFixed(1) + 's';
+        } else if (automation.state === 'playing') {
+            status.textContent = automation.getPosition().toFixed(1) + ' / ' +
+                automation.loopLength.toFixed(1) + 's · ' + automation.lanes.size + ' lanes';
+        } else if (automation.hasRecording()) {
+            status.textContent = automation.loopLength.toFixed(1) + 's take · ' +
+                automation.lanes.size + ' lanes';
+        } else {
+            status.textContent = 'No take';
+        }
+    }
+
+    setupRenderUI() {
+        const button = document.getElementById('render-wav');
+        const status = document.getElementById('status');
+
+        button.addEventListener('click', async () => {
+            const duration = Number(document.getElementById('render-duration').value);
+            const bitDepth = Number(document.getElementById('render-depth').value);
+
+            button.disabled = true;
+            status.textContent = 'Rendering';
+
+            try {
+                // The recorded take (if any) is baked into the render
+                const blob = await this.renderer.renderWav(duration, {
+                    bitDepth,
+                    automation: this.automation.hasRecording() ? this.automation : null
+                });
+
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = 'geomusic-' + duration + 's.wav';
+                link.click();
+
+                // Revoking straight away can cancel the download before it starts
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+                status.textContent = 'Rendered';
+            } catch (err) {
+                console.warn('Render failed:', err);
+                status.textContent = 'Render Failed';
+            } finally {
+                button.disabled = false;
+            }
+        });
+    }
+
+    setupRecordUI() {
+        const toggle = document.getElementById('record-toggle');
+        const modeSelect = document.getElementById('record-mode');
+        const download = document.getElementById('record-download');
+
+        toggle.addEventListener('click', async () => {
+            if (this.recorder.isRecording) {
+                const result = await this.recorder.stop();
+                toggle.classList.remove('active');
+                toggle.textContent = 'Record';
+                modeSelect.disabled = false;
+
+                if (download.href) URL.revokeObjectURL(download.href);
+                download.href = URL.createObjectURL(result.blob);
+                download.download = result.filename;
+                download.hidden = false;
+
+                document.getElementById('record-status').textContent =
+                    'Done · ' + this.formatSize(result.blob.size);
+                return;
+            }
+
+            try {
+                await this.interaction.initAudio();
+                await this.recorder.start(modeSelect.value);
+                toggle.classList.add('active');
+                toggle.textContent = 'Stop';
+                modeSelect.disabled = true;
+                download.hidden = true;
+            } catch (err) {
+                console.warn('Recording unavailable:', err);
+                document.getElementById('record-status').textContent = 'Recording unavailable';
+            }
+        });
+    }
+
+    updateRecordStatus() {
+        document.getElementById('record-status').textContent =
+            'Recording ' + this.formatTime(this.recorder.getDuration()) + ' · ' + this.formatSize(this.recorder.size);
+    }
+
+    formatTime(seconds) {
+        const whole = Math.floor(seconds);
+        return Math.floor(whole / 60) + ':' + String(whole % 60).padStart(2, '0');
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + ' KB';
+        return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    }
+
+    renderPresetList(selected) {
+        const select = document.getElementById('preset-select');
+        select.innerHTML = '';
+
+        const addGroup = (label, names) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        };
+
+        addGroup('Factory', this.patches.getFactoryPresets().map(p => p.name));
+        addGroup('User', Object.keys(this.patches.getUserPresets()));
+
+        if (selected) select.value = selected;
+    }
+
+    renderMidiBindings() {
+        const list = document.getElementById('midi-bindings');
+        list.innerHTML = '';
+
+        Object.entries(this.midi.bindings).forEach(([key, paramId]) => {
+            const [channel, controller] = key.split(':');
+            const param = this.params.get(paramId);
+            const item = document.createElement('div');
+            item.className = 'binding';
+            item.textContent = 'CC ' + controller + ' (ch ' + (Number(channel) + 1) + ') → ' +
+                (param ? param.label : paramId);
+            list.appendChild(item);
+        });
     }
 
     animate(time) {
@@ -55,12 +1150,62 @@ class App {
         const deltaTime = (time - this.lastTime) / 1000;
         this.lastTime = time;
 
+        // Smoothed control mappings
+        if (deltaTime > 0 && deltaTime < 1) {
+            this.mapper.update(deltaTime);
+            this.physics.update(deltaTime);
+        }
+
+        // Beats due by now
+        this.clock.update();
+
+        // Jam changes made this frame
+        this.sync.update();
+
+        // Modulation sources and routes
+        if (deltaTime > 0 && deltaTime < 1) {
+            this.modulation.update(deltaTime);
+            if (this.modulation.routes.length > 0) {
+                this.updateModulationMeters();
+                this.interaction.updateUI();
+            }
+        }
+
         // Update audio level from analyser
         const audioLevel = this.audio.getAudioLevel();
         this.scene.setAudioLevel(audioLevel);
 
-        // Update scene
+        // Band energies and waveform for the mesh and particles
+        this.spectrum.update(deltaTime);
+
+        // Open scope, spectrum and spectrogram overlays, then level, bands
+        // and changed values out to the OSC bridge
+        if (deltaTime > 0 && deltaTime < 1) {
+            this.analysisViews.forEach(view => view.update(deltaTime));
+            this.osc.update(deltaTime);
+        }
+
+        // Update scene, then move each shape's panner to its mesh
         this.scene.update(deltaTime);
+        this.shapes.update();
+
+        // Automation playback
+        if (this.automation.state !== 'idle') {
+            this.automation.tick();
+            this.interaction.updateUI();
+            this.updateAutomationStatus();
+        }
+
+        if (this.recorder.isRecording) {
+            this.updateRecordStatus();
+        }
+
+        if (this.audio.source === 'file' && this.audio.filePlayer.isPlaying) {
+            this.updateFileTransport();
+        }
+
+        // Re-derive the geometry waveform from the current mesh orientation
+        this.timbre.update(time);
 
         // Render
         this.scene.render();
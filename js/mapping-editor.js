@@ -0,0 +1,157 @@
+// mapping-editor.js - In-app editor panel for the control mapping table
+
+import { SOURCES, CURVES, MAX_SMOOTHING } from './mapping.js';
+
+export class MappingEditor {
+    constructor(container, mapper, params) {
+        this.container = container;
+        this.mapper = mapper;
+        this.params = params;
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        const table = document.createElement('div');
+        table.className = 'mapping-table';
+
+        const header = document.createElement('div');
+        header.className = 'mapping-row mapping-header';
+        ['Source', 'Target', 'Min', 'Max', 'Curve', 'Invert', 'Smooth', 'Release', '']
+            .forEach(label => {
+                const cell = document.createElement('span');
+                cell.textContent = label;
+                header.appendChild(cell);
+            });
+        table.appendChild(header);
+
+        this.mapper.mappings.forEach(mapping => table.appendChild(this.renderRow(mapping)));
+        this.container.appendChild(table);
+
+        const actions = document.createElement('div');
+        actions.className = 'button-group';
+        actions.append(
+            this.button('Add Mapping', () => {
+                this.mapper.addMapping({});
+                this.render();
+            }),
+            this.button('Reset Defaults', () => {
+                this.mapper.resetToDefaults();
+                this.render();
+            })
+        );
+        this.container.appendChild(actions);
+    }
+
+    renderRow(mapping) {
+        const row = document.createElement('div');
+        row.className = 'mapping-row';
+
+        const update = (changes) => this.mapper.updateMapping(mapping.id, changes);
+
+        // Source, plus the key name for the 'key' source
+        const sourceCell = document.createElement('span');
+        const source = this.select(
+            Object.keys(SOURCES).map(id => [id, SOURCES[id].label]),
+            mapping.source,
+            (value) => {
+                update({ source: value });
+                key.hidden = value !== 'key';
+            }
+        );
+        const key = this.input('text', mapping.key, (value) => update({ key: value.toLowerCase() }));
+        key.placeholder = 'key';
+        key.maxLength = 1;
+        key.hidden = mapping.source !== 'key';
+        sourceCell.append(source, key);
+
+        // Picking a target fills in its full range
+        const target = this.select(
+            this.params.list().map(p => [p.id, p.label]),
+            mapping.target,
+            (value) => {
+                const param = this.params.get(value);
+                update({ target: value, min: param.min, max: param.max });
+                min.value = this.round(param.min);
+                max.value = this.round(param.max);
+            }
+        );
+
+        const min = this.input('number', this.round(mapping.min), (value) => update({ min: Number(value) }));
+        const max = this.input('number', this.round(mapping.max), (value) => update({ max: Number(value) }));
+
+        // Curve, plus the step count for 'stepped'
+        const curveCell = document.createElement('span');
+        const curve = this.select(CURVES.map(c => [c, c]), mapping.curve, (value) => {
+            update({ curve: value });
+            steps.hidden = value !== 'stepped';
+        });
+        const steps = this.input('number', mapping.steps, (value) => update({ steps: Number(value) }));
+        steps.min = 2;
+        steps.hidden = mapping.curve !== 'stepped';
+        curveCell.append(curve, steps);
+
+        const invert = document.createElement('input');
+        invert.type = 'checkbox';
+        invert.checked = mapping.invert;
+        invert.addEventListener('change', () => update({ invert: invert.checked }));
+
+        const smoothing = this.input('range', mapping.smoothing * 100, (value) => update({ smoothing: value / 100 }));
+        smoothing.className = 'slider';
+        smoothing.min = 0;
+        smoothing.max = MAX_SMOOTHING * 100;
+
+        // Blank release means the target stays where it was left
+        const release = this.input(
+            'number',
+            mapping.release === null ? '' : this.round(mapping.release),
+            (value) => update({ release: value === '' ? null : Number(value) })
+        );
+        release.placeholder = 'hold';
+
+        const remove = this.button('×', () => {
+            this.mapper.removeMapping(mapping.id);
+            this.render();
+        });
+        remove.className = 'remove';
+
+        row.append(sourceCell, target, min, max, curveCell, invert, smoothing, release, remove);
+        return row;
+    }
+
+    select(options, value, onChange) {
+        const select = document.createElement('select');
+        select.className = 'select';
+        options.forEach(([optionValue, label]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
+    input(type, value, onChange) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.className = 'field';
+        input.value = value;
+        input.step = 'any';
+        input.addEventListener(type === 'range' ? 'input' : 'change', () => onChange(input.value));
+        return input;
+    }
+
+    button(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
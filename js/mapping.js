@@ -0,0 +1,215 @@
+// mapping.js - Declarative input-to-parameter mapping table
+
+// Input sources and the range their raw values arrive in
+export const SOURCES = {
+    mouseX: { label: 'Mouse X', min: 0, max: 1 },
+    mouseY: { label: 'Mouse Y', min: 0, max: 1 },
+    wheel: { label: 'Wheel / Pinch', min: 0, max: 1 },
+    dragX: { label: 'Drag X', min: -1, max: 1 },
+    dragY: { label: 'Drag Y', min: -1, max: 1 },
+    dragDistanceX: { label: 'Drag Distance X', min: 0, max: 1 },
+    dragDistanceY: { label: 'Drag Distance Y', min: 0, max: 1 },
+    touchX: { label: 'Touch X', min: 0, max: 1 },
+    touchY: { label: 'Touch Y', min: 0, max: 1 },
+    twist: { label: 'Two-finger Twist', min: 0, max: 1 },
+    key: { label: 'Key', min: 0, max: 1 }
+};
+
+export const CURVES = ['linear', 'exponential', 'log', 'stepped'];
+
+// Smoothing of 1 would never arrive, so it stops short of it
+export const MAX_SMOOTHING = 0.95;
+
+// Reproduces the original hard-wired controls
+export const DEFAULT_MAPPINGS = [
+    { source: 'mouseX', target: 'filter.frequency', min: 200, max: 5000, curve: 'linear' },
+    { source: 'mouseY', target: 'filter.q', min: 1, max: 20, curve: 'linear' },
+    { source: 'mouseY', target: 'scene.rotationX', min: -Math.PI, max: Math.PI, curve: 'linear' },
+    { source: 'mouseX', target: 'scene.rotationY', min: -Math.PI, max: Math.PI, curve: 'linear' },
+    { source: 'wheel', target: 'scene.scale', min: 0.5, max: 3, curve: 'linear' },
+    { source: 'wheel', target: 'pitch', min: 110, max: 1760, curve: 'exponential' },
+    { source: 'twist', target: 'scene.rotationY', min: -Math.PI, max: Math.PI, curve: 'linear' },
+    { source: 'dragX', target: 'scene.positionX', min: -4, max: 4, curve: 'linear', release: 0 },
+    { source: 'dragY', target: 'scene.positionY', min: -4, max: 4, curve: 'linear', invert: true, release: 0 },
+    { source: 'dragDistanceX', target: 'delay.time', min: 0, max: 0.5, curve: 'linear', release: 0.2 },
+    { source: 'dragDistanceY', target: 'reverb.mix', min: 0, max: 1, curve: 'linear', release: 0.3 }
+];
+
+let nextId = 1;
+
+// Fill in defaults so every entry has the full shape
+export function createMapping(fields = {}) {
+    return Object.assign({
+        id: 'map' + nextId++,
+        source: 'mouseX',
+        target: 'filter.frequency',
+        min: 0,
+        max: 1,
+        curve: 'linear',
+        steps: 8,
+        invert: false,
+        smoothing: 0, // 0 = immediate, towards 1 = slower
+        key: '', // for the 'key' source
+        release: null // target value when the source is let go, or null to stay
+    }, fields);
+}
+
+// Shape a normalized 0-1 input and scale it into the entry's range
+export function applyCurve(mapping, normalized) {
+    let n = Math.max(0, Math.min(1, normalized));
+    if (mapping.invert) n = 1 - n;
+
+    const { min, max } = mapping;
+    const geometric = min > 0 && max > 0;
+    const base = geometric ? max / min : 10;
+
+    switch (mapping.curve) {
+        case 'exponential':
+            if (geometric) return min * Math.pow(base, n);
+            n = (Math.pow(base, n) - 1) / (base - 1);
+            break;
+        case 'log':
+            n = Math.log(1 + n * (base - 1)) / Math.log(base);
+            break;
+        case 'stepped': {
+            const steps = Math.max(2, mapping.steps);
+            n = Math.round(n * (steps - 1)) / (steps - 1);
+            break;
+        }
+    }
+
+    return min + n * (max - min);
+}
+
+export class ControlMapper {
+    constructor(params, mappings = DEFAULT_MAPPINGS) {
+        this.params = params;
+        this.listeners = [];
+        this.setMappings(mappings);
+    }
+
+    setMappings(mappings) {
+        this.mappings = mappings.map(m => {
+            const fields = Object.assign({}, m);
+            delete fields.id;
+            return createMapping(fields);
+        });
+        this.smoothing = new Map(); // mapping id -> { current, target }
+    }
+
+    resetToDefaults() {
+        this.setMappings(DEFAULT_MAPPINGS);
+    }
+
+    addMapping(fields) {
+        const mapping = createMapping(fields);
+        this.mappings.push(mapping);
+        return mapping;
+    }
+
+    updateMapping(id, changes) {
+        const mapping = this.mappings.find(m => m.id === id);
+        if (mapping) Object.assign(mapping, changes);
+        this.smoothing.delete(id);
+    }
+
+    removeMapping(id) {
+        this.mappings = this.mappings.filter(m => m.id !== id);
+        this.smoothing.delete(id);
+    }
+
+    // Notified with (paramId, value, previous, source) whenever a mapping moves a parameter
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    hasMappings(source) {
+        return this.mappings.some(m => m.source === source);
+    }
+
+    // Feed a raw source value; `key` names the key for the 'key' source
+    setSource(source, value, key = null) {
+        const range = SOURCES[source];
+        if (!range) return;
+
+        const normalized = (value - range.min) / (range.max - range.min);
+
+        this.mappings.forEach(mapping => {
+            if (mapping.source !== source) return;
+            if (source === 'key' && mapping.key !== key) return;
+
+            this.drive(mapping, applyCurve(mapping, normalized));
+        });
+    }
+
+    // Source let go (drag ended, key released) - apply release values, or
+    // glide to them over the next few frames
+    releaseSource(source, glide = false) {
+        this.mappings.forEach(mapping => {
+            if (mapping.source !== source || mapping.release === null || mapping.release === undefined) return;
+
+            if (glide) {
+                this.smoothing.set(mapping.id, {
+                    current: this.params.getValue(mapping.target),
+                    target: mapping.release
+                });
+                return;
+            }
+
+            this.smoothing.delete(mapping.id);
+            this.apply(mapping.target, mapping.release, mapping.source);
+        });
+    }
+
+    drive(mapping, value) {
+        if (mapping.smoothing > 0) {
+            const state = this.smoothing.get(mapping.id);
+            if (state) {
+                state.target = value;
+            } else {
+                this.smoothing.set(mapping.id, {
+                    current: this.params.getValue(mapping.target),
+                    target: value
+                });
+            }
+            return;
+        }
+
+        this.apply(mapping.target, value, mapping.source);
+    }
+
+    apply(target, value, source) {
+        const previous = this.params.getValue(target);
+        this.params.setValue(target, value);
+        const applied = this.params.getValue(target);
+        this.listeners.forEach(fn => fn(target, applied, previous, source));
+    }
+
+    // Called every frame to advance smoothed mappings
+    update(deltaTime) {
+        this.smoothing.forEach((state, id) => {
+            const mapping = this.mappings.find(m => m.id === id);
+            if (!mapping) return;
+
+            // Time constant grows as smoothing approaches 1 (0.9 -> 250ms)
+            const rate = (1 - mapping.smoothing) * 40;
+            const coefficient = 1 - Math.exp(-deltaTime * rate);
+            state.current += (state.target - state.current) * coefficient;
+
+            if (Math.abs(state.target - state.current) < Math.abs(state.target) * 1e-4 + 1e-6) {
+                state.current = state.target;
+                this.smoothing.delete(id);
+            }
+
+            this.apply(mapping.target, state.current, mapping.source);
+        });
+    }
+
+    toJSON() {
+        return this.mappings.map(m => {
+            const copy = Object.assign({}, m);
+            delete copy.id;
+            return copy;
+        });
+    }
+}
@@ -0,0 +1,210 @@
+// midi.js - MIDI input, CC mapping and MIDI learn
+
+const STORAGE_KEY = 'geomusic.midi.bindings';
+
+// Web MIDI input layer - listens on every connected input
+export class WebMidiInput {
+    constructor() {
+        this.access = null;
+        this.callback = null;
+    }
+
+    async open() {
+        if (!navigator.requestMIDIAccess) {
+            throw new Error('Web MIDI is not supported in this browser');
+        }
+
+        this.access = await navigator.requestMIDIAccess();
+        this.attachInputs();
+
+        // Pick up controllers plugged in later
+        this.access.onstatechange = () => this.attachInputs();
+    }
+
+    attachInputs() {
+        this.access.inputs.forEach(input => {
+            input.onmidimessage = (e) => {
+                if (this.callback) this.callback(e.data);
+            };
+        });
+    }
+
+    getInputNames() {
+        if (!this.access) return [];
+
+        const names = [];
+        this.access.inputs.forEach(input => names.push(input.name));
+        return names;
+    }
+
+    onMessage(callback) {
+        this.callback = callback;
+    }
+
+    close() {
+        if (!this.access) return;
+
+        this.access.inputs.forEach(input => {
+            input.onmidimessage = null;
+        });
+        this.access.onstatechange = null;
+        this.access = null;
+    }
+}
+
+// Drop-in replacement for WebMidiInput that is driven from code
+export class MockMidiInput {
+    constructor() {
+        this.callback = null;
+    }
+
+    async open() {}
+
+    getInputNames() {
+        return ['Mock MIDI Input'];
+    }
+
+    onMessage(callback) {
+        this.callback = callback;
+    }
+
+    close() {
+        this.callback = null;
+    }
+
+    send(data) {
+        if (this.callback) this.callback(Uint8Array.from(data));
+    }
+
+    noteOn(note, velocity = 100, channel = 0) {
+        this.send([0x90 | channel, note, velocity]);
+    }
+
+    noteOff(note, channel = 0) {
+        this.send([0x80 | channel, note, 0]);
+    }
+
+    controlChange(controller, value, channel = 0) {
+        this.send([0xb0 | channel, controller, value]);
+    }
+}
+
+export class MidiController {
+    constructor(audio, params, input = new WebMidiInput(), storage = window.localStorage) {
+        this.audio = audio;
+        this.params = params;
+        this.input = input;
+        this.storage = storage;
+
+        this.enabled = false;
+        this.learnTarget = null;
+        this.onLearn = null;
+
+        // "channel:controller" -> parameter id
+        this.bindings = this.loadBindings();
+    }
+
+    async enable() {
+        if (this.enabled) return;
+
+        await this.input.open();
+        this.input.onMessage((data) => this.handleMessage(data));
+        this.enabled = true;
+    }
+
+    disable() {
+        if (!this.enabled) return;
+
+        this.input.close();
+        this.audio.allNotesOff();
+        this.enabled = false;
+    }
+
+    handleMessage(data) {
+        const status = data[0] & 0xf0;
+        const channel = data[0] & 0x0f;
+
+        switch (status) {
+            case 0x90:
+                // Note-on with velocity 0 is a note-off
+                if (data[2] > 0) {
+                    this.audio.noteOn(data[1], data[2] / 127);
+                } else {
+                    this.audio.noteOff(data[1]);
+                }
+                break;
+            case 0x80:
+                this.audio.noteOff(data[1]);
+                break;
+            case 0xb0:
+                this.handleControlChange(channel, data[1], data[2]);
+                break;
+        }
+    }
+
+    handleControlChange(channel, controller, value) {
+        // CC 123 - All Notes Off
+        if (controller === 123) {
+            this.audio.allNotesOff();
+            return;
+        }
+
+        const key = channel + ':' + controller;
+
+        if (this.learnTarget) {
+            this.bind(key, this.learnTarget);
+            if (this.onLearn) this.onLearn(key, this.learnTarget);
+            this.learnTarget = null;
+        }
+
+        const paramId = this.bindings[key];
+        if (paramId) {
+            this.params.setNormalized(paramId, value / 127);
+        }
+    }
+
+    // Next CC message received gets bound to paramId
+    learn(paramId) {
+        this.learnTarget = paramId;
+    }
+
+    cancelLearn() {
+        this.learnTarget = null;
+    }
+
+    bind(key, paramId) {
+        // One controller per parameter
+        Object.keys(this.bindings).forEach(k => {
+            if (this.bindings[k] === paramId) delete this.bindings[k];
+        });
+
+        this.bindings[key] = paramId;
+        this.saveBindings();
+    }
+
+    unbind(key) {
+        delete this.bindings[key];
+        this.saveBindings();
+    }
+
+    clearBindings() {
+        this.bindings = {};
+        this.saveBindings();
+    }
+
+    loadBindings() {
+        try {
+            const stored = this.storage && this.storage.getItem(STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.warn('Could not load MIDI bindings', e);
+            return {};
+        }
+    }
+
+    saveBindings() {
+        if (!this.storage) return;
+
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+    }
+}
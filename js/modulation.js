@@ -0,0 +1,207 @@
+// modulation.js - LFOs, envelope follower and the modulation routing matrix
+
+import { ParameterRegistry } from './params.js';
+
+export const LFO_SHAPES = ['sine', 'triangle', 'sawtooth', 'square', 'random'];
+
+// Tempo-synced rates, in beats per cycle
+export const SYNC_DIVISIONS = {
+    '4/1': 16,
+    '2/1': 8,
+    '1/1': 4,
+    '1/2': 2,
+    '1/4': 1,
+    '1/8': 0.5,
+    '1/16': 0.25
+};
+
+export class LFO {
+    constructor(shape = 'sine', rate = 1) {
+        this.shape = shape;
+        this.rate = rate; // Hz when free-running
+        this.sync = null; // key of SYNC_DIVISIONS, or null for free
+        this.phase = 0;
+        this.value = 0;
+
+        this.heldValue = 0;
+        this.lastCycle = -1;
+    }
+
+    getFrequency(bpm) {
+        if (this.sync && SYNC_DIVISIONS[this.sync]) {
+            return (bpm / 60) / SYNC_DIVISIONS[this.sync];
+        }
+        return this.rate;
+    }
+
+    // Bipolar output, -1 to 1
+    update(deltaTime, bpm) {
+        this.phase += deltaTime * this.getFrequency(bpm);
+        const cycle = Math.floor(this.phase);
+        const p = this.phase - cycle;
+
+        switch (this.shape) {
+            case 'triangle':
+                this.value = 1 - 4 * Math.abs(p - 0.5);
+                break;
+            case 'sawtooth':
+                this.value = 2 * p - 1;
+                break;
+            case 'square':
+                this.value = p < 0.5 ? 1 : -1;
+                break;
+            case 'random':
+                // Sample and hold: new value each cycle
+                if (cycle !== this.lastCycle) {
+                    this.heldValue = Math.random() * 2 - 1;
+                    this.lastCycle = cycle;
+                }
+                this.value = this.heldValue;
+                break;
+            default:
+                this.value = Math.sin(p * Math.PI * 2);
+        }
+
+        return this.value;
+    }
+
+    // Restart from the top of the cycle (used to lock to the beat)
+    reset() {
+        this.phase = 0;
+        this.lastCycle = -1;
+    }
+}
+
+// Follows the analyser level, unipolar 0 to 1
+export class EnvelopeFollower {
+    constructor(audio) {
+        this.audio = audio;
+        this.attack = 0.01; // seconds
+        this.release = 0.3;
+        this.gain = 2;
+        this.value = 0;
+    }
+
+    update(deltaTime) {
+        const level = Math.min(1, this.audio.getAudioLevel() * this.gain);
+        const time = level > this.value ? this.attack : this.release;
+        const coefficient = 1 - Math.exp(-deltaTime / Math.max(time, 0.001));
+
+        this.value += (level - this.value) * coefficient;
+        return this.value;
+    }
+}
+
+export class ModulationMatrix {
+    constructor(audio, params) {
+        this.audio = audio;
+        this.params = params;
+
+        this.sources = new Map([
+            ['lfo1', new LFO('sine', 0.5)],
+            ['lfo2', new LFO('triangle', 2)],
+            ['lfo3', new LFO('random', 4)],
+            ['env', new EnvelopeFollower(audio)]
+        ]);
+
+        // { source, target, depth, shape } - depth is a fraction of the
+        // target's range; shape is the id a per-shape target stays on, or null
+        this.routes = [];
+
+        // Unmodulated value per target (and shape), and what we last wrote to it
+        this.baseValues = new Map();
+        this.appliedValues = new Map();
+    }
+
+    // Synced LFOs run at the synth's tempo
+    get bpm() {
+        return this.audio.bpm;
+    }
+
+    getSource(id) {
+        return this.sources.get(id);
+    }
+
+    addRoute(source, target, depth = 0.25) {
+        if (!this.sources.has(source) || !this.params.has(target)) return null;
+
+        const route = { source, target, depth, shape: this.params.shapeFor(target) };
+        this.routes.push(route);
+        return route;
+    }
+
+    removeRoute(route) {
+        this.routes = this.routes.filter(r => r !== route);
+
+        // Put the target back where it was if nothing else drives it
+        if (!this.routes.some(r => r.target === route.target && r.shape === route.shape)) {
+            this.restore(route);
+        }
+    }
+
+    clearRoutes() {
+        const routes = this.routes;
+        this.routes = [];
+        routes.forEach(route => this.restore(route));
+    }
+
+    key(route) {
+        return route.shape === null ? route.target : route.target + '@' + route.shape;
+    }
+
+    restore(route) {
+        const key = this.key(route);
+        const param = this.params.get(route.target);
+        if (param && this.baseValues.has(key)) {
+            this.params.withShape(route.shape, () => param.set(this.baseValues.get(key)));
+        }
+        this.baseValues.delete(key);
+        this.appliedValues.delete(key);
+    }
+
+    // Line synced LFOs up with the clock's beat count, so they stay on the
+    // grid through tempo changes and dropped frames
+    syncToBeat(beat) {
+        this.sources.forEach(source => {
+            if (source instanceof LFO && source.sync && SYNC_DIVISIONS[source.sync]) {
+                source.phase = beat / SYNC_DIVISIONS[source.sync];
+            }
+        });
+    }
+
+    // Called every frame from the render loop
+    update(deltaTime) {
+        this.sources.forEach(source => source.update(deltaTime, this.bpm));
+
+        // Sum route offsets per target (and shape) in normalized units
+        const offsets = new Map();
+        this.routes.forEach(route => {
+            const key = this.key(route);
+            const value = this.sources.get(route.source).value * route.depth;
+            const entry = offsets.get(key) || { route, offset: 0 };
+            entry.offset += value;
+            offsets.set(key, entry);
+        });
+
+        offsets.forEach(({ route, offset }, key) => {
+            const param = this.params.get(route.target);
+
+            this.params.withShape(route.shape, () => {
+                const current = param.get();
+
+                // Anything else moving the parameter sets a new base to modulate around
+                const applied = this.appliedValues.get(key);
+                if (applied === undefined || Math.abs(current - applied) > 1e-6) {
+                    this.baseValues.set(key, current);
+                }
+
+                const base = ParameterRegistry.toNormalized(param, this.baseValues.get(key));
+                const value = ParameterRegistry.fromNormalized(param, base + offset);
+
+                // Write directly so modulation isn't reported as a user change
+                param.set(value);
+                this.appliedValues.set(key, param.get());
+            });
+        });
+    }
+}
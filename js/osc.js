@@ -0,0 +1,420 @@
+// osc.js - Open Sound Control: packet encoding/decoding and the /geo address space
+
+// Everything in OSC is padded to four bytes
+function padded(length) {
+    return (length + 4) & ~3;
+}
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Numbers are sent as float32 unless wrapped as { type: 'i' | 'f' | 'd', value }.
+// Strings are 's', booleans 'T'/'F', null 'N' and Uint8Arrays blobs ('b').
+function argumentType(arg) {
+    if (arg === null) return 'N';
+    if (arg === true) return 'T';
+    if (arg === false) return 'F';
+    if (typeof arg === 'number') return 'f';
+    if (typeof arg === 'string') return 's';
+    if (arg instanceof Uint8Array) return 'b';
+    if (arg && typeof arg === 'object' && 'type' in arg) return arg.type;
+    throw new Error('Cannot send ' + arg + ' over OSC');
+}
+
+class PacketWriter {
+    constructor() {
+        this.parts = [];
+        this.length = 0;
+    }
+
+    bytes(data, size = data.length) {
+        const part = new Uint8Array(size);
+        part.set(data);
+        this.parts.push(part);
+        this.length += size;
+    }
+
+    string(text) {
+        const data = textEncoder.encode(text);
+        this.bytes(data, padded(data.length));
+    }
+
+    blob(data) {
+        this.int32(data.length);
+        this.bytes(data, (data.length + 3) & ~3);
+    }
+
+    number(type, value) {
+        const size = type === 'd' ? 8 : 4;
+        const view = new DataView(new ArrayBuffer(size));
+        if (type === 'i') view.setInt32(0, value);
+        if (type === 'f') view.setFloat32(0, value);
+        if (type === 'd') view.setFloat64(0, value);
+        this.bytes(new Uint8Array(view.buffer));
+    }
+
+    int32(value) {
+        this.number('i', value);
+    }
+
+    result() {
+        const out = new Uint8Array(this.length);
+        let offset = 0;
+        this.parts.forEach(part => {
+            out.set(part, offset);
+            offset += part.length;
+        });
+        return out;
+    }
+}
+
+export function encodeMessage(address, args = []) {
+    const writer = new PacketWriter();
+    const types = args.map(argumentType);
+
+    writer.string(address);
+    writer.string(',' + types.join(''));
+    args.forEach((arg, i) => {
+        const type = types[i];
+        const value = arg && typeof arg === 'object' && 'type' in arg ? arg.value : arg;
+        if (type === 'i' || type === 'f' || type === 'd') writer.number(type, value);
+        else if (type === 's') writer.string(value);
+        else if (type === 'b') writer.blob(value);
+    });
+    return writer.result();
+}
+
+// elements: encoded packets (messages or bundles). Timetag 1 means "now".
+export function encodeBundle(elements, timetag = 1n) {
+    const writer = new PacketWriter();
+    writer.string('#bundle');
+
+    const view = new DataView(new ArrayBuffer(8));
+    view.setBigUint64(0, BigInt(timetag));
+    writer.bytes(new Uint8Array(view.buffer));
+
+    elements.forEach(element => {
+        writer.int32(element.length);
+        writer.bytes(element);
+    });
+    return writer.result();
+}
+
+class PacketReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    need(size) {
+        if (this.offset + size > this.bytes.length) throw new Error('Truncated OSC packet');
+    }
+
+    string() {
+        const end = this.bytes.indexOf(0, this.offset);
+        if (end < 0) throw new Error('Unterminated OSC string');
+
+        const text = textDecoder.decode(this.bytes.subarray(this.offset, end));
+        this.offset = padded(end - this.offset) + this.offset;
+        return text;
+    }
+
+    blob() {
+        const length = this.int32();
+        this.need(length);
+        const data = this.bytes.slice(this.offset, this.offset + length);
+        this.offset += (length + 3) & ~3;
+        return data;
+    }
+
+    int32() {
+        this.need(4);
+        const value = this.view.getInt32(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    float32() {
+        this.need(4);
+        const value = this.view.getFloat32(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    // int64, float64 and timetags all take eight bytes
+    eight(read) {
+        this.need(8);
+        const value = read(this.view, this.offset);
+        this.offset += 8;
+        return value;
+    }
+}
+
+function decodeMessage(reader) {
+    const address = reader.string();
+    if (reader.offset >= reader.bytes.length) return { address, args: [] };
+
+    const types = reader.string();
+    if (types[0] !== ',') throw new Error('OSC message without a type tag: ' + address);
+
+    const args = [];
+    for (const type of types.slice(1)) {
+        switch (type) {
+            case 'i': args.push(reader.int32()); break;
+            case 'f': args.push(reader.float32()); break;
+            case 'd': args.push(reader.eight((view, offset) => view.getFloat64(offset))); break;
+            case 'h': args.push(Number(reader.eight((view, offset) => view.getBigInt64(offset)))); break;
+            case 't': args.push(reader.eight((view, offset) => view.getBigUint64(offset))); break;
+            case 's':
+            case 'S': args.push(reader.string()); break;
+            case 'b': args.push(reader.blob()); break;
+            case 'T': args.push(true); break;
+            case 'F': args.push(false); break;
+            case 'N': args.push(null); break;
+            case 'I': args.push(Infinity); break;
+            default: throw new Error('Unsupported OSC type tag: ' + type);
+        }
+    }
+    return { address, args };
+}
+
+// Returns { address, args } for a message, or { timetag, elements } for a
+// bundle. Throws on malformed packets.
+export function decodePacket(bytes) {
+    const reader = new PacketReader(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+
+    if (reader.bytes.length > 0 && reader.bytes[0] === 0x23) { // '#'
+        if (reader.string() !== '#bundle') throw new Error('Bad OSC bundle');
+
+        const timetag = reader.eight((view, offset) => view.getBigUint64(offset));
+        const elements = [];
+        while (reader.offset < reader.bytes.length) {
+            const length = reader.int32();
+            reader.need(length);
+            elements.push(decodePacket(reader.bytes.subarray(reader.offset, reader.offset + length)));
+            reader.offset += length;
+        }
+        return { timetag, elements };
+    }
+
+    return decodeMessage(reader);
+}
+
+// Address -> the registry parameters its arguments carry, in order. The same
+// addresses go out when the values change, so a patch can mirror the synth.
+export const PARAM_ADDRESSES = {
+    '/geo/pitch': ['pitch'],
+    '/geo/morph': ['osc.morph'],
+    '/geo/filter/freq': ['filter.frequency'],
+    '/geo/filter/q': ['filter.q'],
+    '/geo/reverb/mix': ['reverb.mix'],
+    '/geo/delay/time': ['delay.time'],
+    '/geo/delay/feedback': ['delay.feedback'],
+    '/geo/delay/mix': ['delay.mix'],
+    '/geo/volume': ['master.volume'],
+    '/geo/tempo': ['tempo.bpm'],
+    '/geo/scale': ['scene.scale'],
+    '/geo/rotation': ['scene.rotationX', 'scene.rotationY'],
+    '/geo/position': ['scene.positionX', 'scene.positionY'],
+    '/geo/hue': ['scene.hue']
+};
+
+// Any other parameter is /geo/param/<id>
+const PARAM_PREFIX = '/geo/param/';
+
+const SHAPES = ['icosahedron', 'torus', 'octahedron', 'dodecahedron'];
+const WAVEFORMS = ['sine', 'square', 'sawtooth', 'triangle', 'geometry', 'morph'];
+
+// How often values go out
+const OUTPUT_RATE = 30; // per second
+
+// Browser end of server/osc-bridge.mjs - OSC packets as binary WebSocket messages
+export class OscSocket {
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        this.onPacket = null;
+        this.onClose = null;
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            socket.binaryType = 'arraybuffer';
+            socket.onopen = () => {
+                this.socket = socket;
+                resolve();
+            };
+            socket.onerror = () => reject(new Error('Could not connect to ' + this.url));
+            socket.onmessage = (e) => {
+                if (typeof e.data !== 'string' && this.onPacket) this.onPacket(new Uint8Array(e.data));
+            };
+            socket.onclose = () => {
+                const wasOpen = this.socket === socket;
+                this.socket = null;
+                if (wasOpen && this.onClose) this.onClose();
+            };
+        });
+    }
+
+    send(packet) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) this.socket.send(packet);
+    }
+
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.close();
+    }
+}
+
+// Drives the synth and scene from incoming OSC, and streams parameter
+// values, level and bands back out
+export class OscController {
+    constructor(params, interaction, audio, spectrum) {
+        this.params = params;
+        this.interaction = interaction;
+        this.audio = audio;
+        this.spectrum = spectrum;
+
+        this.socket = null;
+        this.sendValues = true;
+        this.onStatusChange = null;
+
+        // Set while incoming messages are applied
+        this.applying = false;
+
+        // Last value sent per address, so only changes go out
+        this.sent = new Map();
+        this.elapsed = 0;
+    }
+
+    // Registry parameters without an address of their own
+    otherParams() {
+        const addressed = new Set(Object.values(PARAM_ADDRESSES).flat());
+        return this.params.list().filter(param => !addressed.has(param.id));
+    }
+
+    get connected() {
+        return this.socket !== null;
+    }
+
+    async connect(socket) {
+        this.disconnect();
+
+        socket.onPacket = (packet) => this.receive(packet);
+        await socket.open();
+        this.socket = socket;
+        socket.onClose = () => {
+            this.socket = null;
+            this.notify();
+        };
+
+        // Everything goes out once on connect
+        this.sent.clear();
+        this.notify();
+    }
+
+    disconnect() {
+        if (!this.socket) return;
+
+        this.socket.close();
+        this.socket = null;
+        this.notify();
+    }
+
+    notify() {
+        if (this.onStatusChange) this.onStatusChange(this.connected);
+    }
+
+    receive(packet) {
+        this.applying = true;
+        try {
+            this.handle(decodePacket(packet));
+        } catch (err) {
+            console.warn('Could not read OSC packet:', err);
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    // Bundles are applied as they arrive; their timetags aren't scheduled
+    handle(packet) {
+        if (packet.elements) {
+            packet.elements.forEach(element => this.handle(element));
+            return;
+        }
+
+        const { address, args } = packet;
+        const ids = PARAM_ADDRESSES[address] ||
+            (address.startsWith(PARAM_PREFIX) ? [address.slice(PARAM_PREFIX.length)] : null);
+
+        if (ids) {
+            ids.forEach((id, i) => {
+                if (typeof args[i] === 'number' && this.params.has(id)) this.params.setValue(id, args[i]);
+            });
+            return;
+        }
+
+        switch (address) {
+            case '/geo/shape':
+                if (SHAPES.includes(args[0])) this.interaction.changeShape(args[0]);
+                break;
+
+            case '/geo/waveform':
+                if (WAVEFORMS.includes(args[0])) this.interaction.changeWaveform(args[0]);
+                break;
+
+            // /geo/note <midi note> [velocity 0-1] - velocity 0 releases
+            case '/geo/note': {
+                const velocity = args.length > 1 ? args[1] : 1;
+                if (velocity > 0) {
+                    this.audio.noteOn(args[0], velocity);
+                } else {
+                    this.audio.noteOff(args[0]);
+                }
+                break;
+            }
+
+            case '/geo/drone':
+                if (Boolean(args[0]) !== this.audio.isPlaying) this.interaction.toggleDrone();
+                break;
+        }
+    }
+
+    // Called every frame
+    update(deltaTime) {
+        if (!this.socket) return;
+
+        this.elapsed += deltaTime;
+        if (this.elapsed < 1 / OUTPUT_RATE) return;
+        this.elapsed = 0;
+
+        const messages = [];
+
+        // Level and bands every tick
+        messages.push(encodeMessage('/geo/audio/level', [this.audio.getAudioLevel()]));
+        const bands = this.spectrum.bands;
+        messages.push(encodeMessage('/geo/audio/bands', [bands.low, bands.mid, bands.high]));
+
+        if (this.sendValues) {
+            const changed = (address, args) => {
+                const key = args.join(' ');
+                if (this.sent.get(address) === key) return;
+
+                this.sent.set(address, key);
+                messages.push(encodeMessage(address, args));
+            };
+
+            Object.entries(PARAM_ADDRESSES).forEach(([address, ids]) => {
+                if (ids.every(id => this.params.has(id))) changed(address, ids.map(id => this.params.getValue(id)));
+            });
+            this.otherParams().forEach(param => changed(PARAM_PREFIX + param.id, [param.get()]));
+            changed('/geo/shape', [this.interaction.scene.shapeType]);
+            changed('/geo/waveform', [this.interaction.getVoice().waveform]);
+        }
+
+        this.socket.send(encodeBundle(messages));
+    }
+}
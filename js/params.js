@@ -0,0 +1,287 @@
+// params.js - Registry of continuous parameters that controllers can drive
+
+import { MIN_BPM, MAX_BPM } from './clock.js';
+
+export class ParameterRegistry {
+    // Per-shape parameters act on the scene's selected shape; without a
+    // scene (offline renders) there is only the one
+    constructor(scene = null) {
+        this.scene = scene;
+        this.params = new Map();
+        this.listeners = [];
+
+        // Optional fn(id) -> true while someone else (a jam partner) holds a parameter
+        this.isLocked = null;
+    }
+
+    // definition: { label, min, max, curve: 'linear' | 'exponential', get(), set(value) }
+    // Audio-rate parameters also give audioParam() for sample-accurate scheduling
+    // and track(value) to keep the stored value in step with scheduled changes.
+    // perShape marks parameters that act on the selected shape.
+    register(id, definition) {
+        this.params.set(id, Object.assign({ id, curve: 'linear' }, definition));
+    }
+
+    has(id) {
+        return this.params.has(id);
+    }
+
+    get(id) {
+        return this.params.get(id);
+    }
+
+    list() {
+        return Array.from(this.params.values());
+    }
+
+    // Shape a per-shape parameter acts on right now, or null for the rest.
+    // Lanes and routes keep it, so they stay with the shape they were made on.
+    shapeFor(id) {
+        const param = this.params.get(id);
+        return param && param.perShape && this.scene ? this.scene.selectedShape.id : null;
+    }
+
+    // Run fn on `shape`'s per-shape parameters (null: whichever is selected)
+    // with that shape selected, and return its result. Skipped if the shape is gone.
+    withShape(shape, fn) {
+        if (shape === null || !this.scene) return fn();
+
+        const target = this.scene.getShape(shape);
+        if (!target) return undefined;
+
+        const previous = this.scene.selectedShape;
+        if (target === previous) return fn();
+
+        this.scene.selectShape(shape);
+        try {
+            return fn();
+        } finally {
+            this.scene.selectShape(previous.id);
+        }
+    }
+
+    getValue(id) {
+        const param = this.params.get(id);
+        return param ? param.get() : undefined;
+    }
+
+    setValue(id, value) {
+        const param = this.params.get(id);
+        if (!param || (this.isLocked && this.isLocked(id))) return;
+
+        param.set(Math.max(param.min, Math.min(param.max, value)));
+        this.listeners.forEach(fn => fn(id, param.get()));
+    }
+
+    // Change from elsewhere, ignoring locks. An audio-rate parameter changes
+    // at `time` on the audio clock if that's still ahead; others right away.
+    applyValue(id, value, time = 0) {
+        const param = this.params.get(id);
+        if (!param) return;
+
+        const clamped = Math.max(param.min, Math.min(param.max, value));
+        const audioParam = param.audioParam && param.audioParam();
+        if (audioParam && time > 0) {
+            audioParam.cancelScheduledValues(time);
+            audioParam.setValueAtTime(clamped, time);
+            param.track(clamped);
+        } else {
+            param.set(clamped);
+        }
+        this.listeners.forEach(fn => fn(id, param.get()));
+    }
+
+    // Normalized values are 0-1 across the parameter's range
+    getNormalized(id) {
+        const param = this.params.get(id);
+        if (!param) return 0;
+
+        return ParameterRegistry.toNormalized(param, param.get());
+    }
+
+    setNormalized(id, normalized) {
+        const param = this.params.get(id);
+        if (!param) return;
+
+        this.setValue(id, ParameterRegistry.fromNormalized(param, normalized));
+    }
+
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    static fromNormalized(param, normalized) {
+        const n = Math.max(0, Math.min(1, normalized));
+        if (param.curve === 'exponential') {
+            return param.min * Math.pow(param.max / param.min, n);
+        }
+        return param.min + n * (param.max - param.min);
+    }
+
+    static toNormalized(param, value) {
+        if (param.curve === 'exponential') {
+            return Math.log(value / param.min) / Math.log(param.max / param.min);
+        }
+        return (value - param.min) / (param.max - param.min);
+    }
+}
+
+// Standard synth and scene parameters. `voice` returns whichever shape's
+// voice (the synth itself or a ShapeVoice) pitch and filter should act on.
+export function registerDefaultParameters(registry, scene, audio, voice = () => audio) {
+    registry.register('pitch', {
+        label: 'Pitch',
+        perShape: true,
+        min: 110,
+        max: 1760,
+        curve: 'exponential',
+        get: () => voice().currentFrequency,
+        set: (value) => voice().setPitch(value),
+        audioParam: () => voice().getDroneFrequencyParam(),
+        track: (value) => { voice().currentFrequency = value; }
+    });
+
+    // Position along sine -> triangle -> saw -> square on the morph oscillator
+    registry.register('osc.morph', {
+        label: 'Waveform Morph',
+        perShape: true,
+        min: 0,
+        max: 3,
+        get: () => voice().morph,
+        set: (value) => voice().setMorph(value)
+    });
+
+    registry.register('filter.frequency', {
+        label: 'Filter Frequency',
+        perShape: true,
+        min: 200,
+        max: 5000,
+        curve: 'exponential',
+        get: () => voice().filterFrequency,
+        set: (value) => voice().setFilterFrequency(value),
+        audioParam: () => audio.initialized ? voice().filter.frequency : null,
+        track: (value) => { voice().filterFrequency = value; }
+    });
+
+    registry.register('filter.q', {
+        label: 'Filter Resonance',
+        perShape: true,
+        min: 1,
+        max: 20,
+        get: () => voice().filterQ,
+        set: (value) => voice().setFilterQ(value),
+        audioParam: () => audio.initialized ? voice().filter.Q : null,
+        track: (value) => { voice().filterQ = value; }
+    });
+
+    registry.register('reverb.mix', {
+        label: 'Reverb Mix',
+        min: 0,
+        max: 1,
+        get: () => audio.getEffectValue('reverb', 'mix'),
+        set: (value) => audio.setReverbMix(value),
+        audioParam: () => audio.getEffectAudioParam('reverb', 'mix'),
+        track: (value) => audio.trackEffectValue('reverb', 'mix', value)
+    });
+
+    registry.register('delay.time', {
+        label: 'Delay Time',
+        min: 0,
+        max: 0.5,
+        get: () => audio.getEffectValue('delay', 'time'),
+        set: (value) => audio.setDelayTime(value),
+        audioParam: () => audio.getEffectAudioParam('delay', 'time'),
+        track: (value) => audio.trackEffectValue('delay', 'time', value)
+    });
+
+    registry.register('delay.feedback', {
+        label: 'Delay Feedback',
+        min: 0,
+        max: 0.95,
+        get: () => audio.getEffectValue('delay', 'feedback'),
+        set: (value) => audio.setDelayFeedback(value),
+        audioParam: () => audio.getEffectAudioParam('delay', 'feedback'),
+        track: (value) => audio.trackEffectValue('delay', 'feedback', value)
+    });
+
+    registry.register('delay.mix', {
+        label: 'Delay Mix',
+        min: 0,
+        max: 1,
+        get: () => audio.getEffectValue('delay', 'mix'),
+        set: (value) => audio.setDelayMix(value),
+        audioParam: () => audio.getEffectAudioParam('delay', 'mix'),
+        track: (value) => audio.trackEffectValue('delay', 'mix', value)
+    });
+
+    registry.register('master.volume', {
+        label: 'Master Volume',
+        min: 0,
+        max: 1,
+        get: () => audio.masterVolume,
+        set: (value) => audio.setMasterVolume(value),
+        audioParam: () => audio.initialized ? audio.masterGain.gain : null,
+        track: (value) => { audio.masterVolume = value; }
+    });
+
+    registry.register('tempo.bpm', {
+        label: 'Tempo',
+        min: MIN_BPM,
+        max: MAX_BPM,
+        get: () => audio.bpm,
+        set: (value) => audio.setTempo(value)
+    });
+
+    registry.register('scene.scale', {
+        label: 'Shape Scale',
+        perShape: true,
+        min: 0.5,
+        max: 3,
+        get: () => scene.currentScale,
+        set: (value) => scene.setScale(value)
+    });
+
+    registry.register('scene.rotationX', {
+        label: 'Rotation X',
+        perShape: true,
+        min: -Math.PI,
+        max: Math.PI,
+        get: () => scene.targetRotationX,
+        set: (value) => scene.setRotation(value, scene.targetRotationY)
+    });
+
+    registry.register('scene.rotationY', {
+        label: 'Rotation Y',
+        perShape: true,
+        min: -Math.PI,
+        max: Math.PI,
+        get: () => scene.targetRotationY,
+        set: (value) => scene.setRotation(scene.targetRotationX, value)
+    });
+
+    registry.register('scene.hue', {
+        label: 'Shape Hue',
+        min: 0,
+        max: 1,
+        get: () => scene.hueOffset,
+        set: (value) => scene.setHueOffset(value)
+    });
+
+    registry.register('scene.positionX', {
+        label: 'Position X',
+        perShape: true,
+        min: -4,
+        max: 4,
+        get: () => scene.getPosition().x,
+        set: (value) => scene.setPosition(value, scene.getPosition().y)
+    });
+
+    registry.register('scene.positionY', {
+        label: 'Position Y',
+        perShape: true,
+        min: -4,
+        max: 4,
+        get: () => scene.getPosition().y,
+        set: (value) => scene.setPosition(scene.getPosition().x, value)
+    });
+}
@@ -0,0 +1,405 @@
+// patch.js - Patch model, presets, JSON import/export and shareable URLs
+
+import { EFFECT_TYPES } from './effects.js';
+import { CURVES, MAX_SMOOTHING } from './mapping.js';
+
+const PATCH_VERSION = 1;
+const PRESETS_KEY = 'geomusic.presets';
+const SESSION_KEY = 'geomusic.session';
+const HASH_PREFIX = '#patch=';
+
+// Choices a patch can make - anything else rejects it
+const WAVEFORMS = ['sine', 'square', 'sawtooth', 'triangle', 'geometry', 'morph'];
+const VOICE_MODES = ['mono', 'poly'];
+const SHAPES = ['icosahedron', 'torus', 'octahedron', 'dodecahedron'];
+
+// Numbers patches from before these existed leave out
+const OPTIONAL_NUMBERS = ['morph', 'bpm'];
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+function checkChoice(label, value, choices) {
+    if (!choices.includes(value)) throw new Error('Unknown ' + label + ' in patch: ' + value);
+}
+
+// The numbers of `defaults`, taken from `source` where they're valid there
+function numbersOf(source, defaults) {
+    const values = {};
+    Object.keys(defaults).forEach(key => {
+        if (typeof defaults[key] !== 'number') return;
+        values[key] = source && isNumber(source[key]) ? source[key] : defaults[key];
+    });
+    return values;
+}
+
+// Effect modules default whatever they're missing, so broken numbers are dropped
+function cleanEffect(entry) {
+    if (!isObject(entry) || !EFFECT_TYPES[entry.type]) {
+        throw new Error('Unknown effect in patch: ' + (entry && entry.type));
+    }
+
+    const params = {};
+    if (isObject(entry.params)) {
+        Object.keys(entry.params).forEach(name => {
+            if (isNumber(entry.params[name])) params[name] = entry.params[name];
+        });
+    }
+
+    const clean = Object.assign({}, entry, { params });
+    if (!isNumber(clean.mix)) delete clean.mix;
+    return clean;
+}
+
+// Mappings fill in what they're missing too, but an unknown curve rejects them
+function cleanMapping(entry) {
+    if (!isObject(entry) || typeof entry.source !== 'string' || typeof entry.target !== 'string') {
+        throw new Error('Patch mappings are not usable');
+    }
+    if (entry.curve !== undefined) checkChoice('mapping curve', entry.curve, CURVES);
+
+    const clean = Object.assign({}, entry);
+    ['min', 'max', 'steps', 'smoothing'].forEach(key => {
+        if (!isNumber(clean[key])) delete clean[key];
+    });
+    if (typeof clean.invert !== 'boolean') delete clean.invert;
+    if (clean.release !== null && !isNumber(clean.release)) delete clean.release;
+    if (clean.smoothing !== undefined) {
+        clean.smoothing = Math.max(0, Math.min(MAX_SMOOTHING, clean.smoothing));
+    }
+    return clean;
+}
+
+export const FACTORY_PRESETS = [
+    {
+        version: 1,
+        name: 'Init',
+        synth: {
+            waveform: 'sine', voiceMode: 'mono',
+            envelope: { attack: 0.1, decay: 0.1, sustain: 1, release: 0.1 },
+            frequency: 440, filterFrequency: 1000, filterQ: 5,
+            reverbMix: 0.3, delayTime: 0.2, delayFeedback: 0.4, delayMix: 0.3, masterVolume: 0.3
+        },
+        scene: { shape: 'icosahedron', scale: 1, rotationX: 0, rotationY: 0 }
+    },
+    {
+        version: 1,
+        name: 'Crystal Drone',
+        synth: {
+            waveform: 'triangle', voiceMode: 'mono',
+            envelope: { attack: 1.5, decay: 0.5, sustain: 0.9, release: 2 },
+            frequency: 220, filterFrequency: 2400, filterQ: 3,
+            reverbMix: 0.7, delayTime: 0.35, delayFeedback: 0.55, delayMix: 0.4, masterVolume: 0.3
+        },
+        scene: { shape: 'icosahedron', scale: 0.8, rotationX: 0.4, rotationY: -0.6 }
+    },
+    {
+        version: 1,
+        name: 'Robot Torus',
+        synth: {
+            waveform: 'square', voiceMode: 'mono',
+            envelope: { attack: 0.01, decay: 0.2, sustain: 0.6, release: 0.1 },
+            frequency: 165, filterFrequency: 800, filterQ: 14,
+            reverbMix: 0.15, delayTime: 0.125, delayFeedback: 0.3, delayMix: 0.3, masterVolume: 0.25
+        },
+        scene: { shape: 'torus', scale: 1.2, rotationX: 1.2, rotationY: 0.3 }
+    },
+    {
+        version: 1,
+        name: 'Deep Space Pad',
+        synth: {
+            waveform: 'sawtooth', voiceMode: 'poly',
+            envelope: { attack: 0.8, decay: 1, sustain: 0.7, release: 3 },
+            frequency: 110, filterFrequency: 600, filterQ: 2,
+            reverbMix: 0.9, delayTime: 0.45, delayFeedback: 0.6, delayMix: 0.35, masterVolume: 0.2
+        },
+        scene: { shape: 'dodecahedron', scale: 2.2, rotationX: -0.5, rotationY: 1.4 }
+    },
+    {
+        version: 1,
+        name: 'Octa Pluck',
+        synth: {
+            waveform: 'geometry', voiceMode: 'poly',
+            envelope: { attack: 0.005, decay: 0.3, sustain: 0, release: 0.4 },
+            frequency: 440, filterFrequency: 3500, filterQ: 6,
+            reverbMix: 0.35, delayTime: 0.25, delayFeedback: 0.45, delayMix: 0.3, masterVolume: 0.3
+        },
+        scene: { shape: 'octahedron', scale: 1, rotationX: 0.8, rotationY: 0.8 }
+    }
+];
+
+export class PatchManager {
+    constructor(scene, audio, interaction, storage = window.localStorage) {
+        this.scene = scene;
+        this.audio = audio;
+        this.interaction = interaction;
+        this.storage = storage;
+        this.listeners = [];
+
+        // Set while a patch is being applied
+        this.applying = false;
+    }
+
+    // Notified with the patch after one is applied
+    onApply(fn) {
+        this.listeners.push(fn);
+    }
+
+    // Snapshot of the full synth and scene state
+    capture(name = 'Untitled') {
+        const audio = this.audio;
+
+        // Patches describe the first shape, which plays through the synth
+        const main = this.scene.getShapeState(this.scene.shapes[0].id);
+
+        return {
+            version: PATCH_VERSION,
+            name,
+            synth: audio.getSettings(),
+            scene: {
+                shape: main.type,
+                scale: main.scale,
+                rotationX: main.rotationX,
+                rotationY: main.rotationY
+            },
+            mappings: this.interaction.mapper.toJSON()
+        };
+    }
+
+    apply(patch) {
+        patch = PatchManager.validate(patch);
+
+        this.applying = true;
+        try {
+            this.applyPatch(patch);
+        } finally {
+            this.applying = false;
+        }
+
+        this.interaction.updateUI();
+        this.listeners.forEach(fn => fn(patch));
+    }
+
+    applyPatch(patch) {
+        const synth = patch.synth;
+        const audio = this.audio;
+
+        // Patches describe the first shape, so it takes the edit
+        if (this.interaction.shapes) {
+            this.interaction.shapes.select(this.scene.shapes[0].id);
+        }
+
+        // Go through the controller so buttons stay in sync
+        this.interaction.changeShape(patch.scene.shape);
+        this.interaction.changeWaveform(synth.waveform);
+        if (synth.voiceMode !== audio.voiceMode) {
+            this.interaction.changeVoiceMode(synth.voiceMode);
+        }
+
+        audio.applySettings(synth);
+
+        this.scene.setScale(patch.scene.scale);
+        this.scene.setRotation(patch.scene.rotationX, patch.scene.rotationY);
+
+        // Patches without their own mappings use the standard controls
+        if (patch.mappings) {
+            this.interaction.mapper.setMappings(patch.mappings);
+        } else {
+            this.interaction.mapper.resetToDefaults();
+        }
+    }
+
+    // Files and links can hold anything, so everything is checked before any
+    // of it is applied. Returns the patch with missing or broken numbers set
+    // to the Init preset's; throws if a choice, effect or mapping is unusable.
+    static validate(patch) {
+        if (!isObject(patch) || !isObject(patch.synth) || !isObject(patch.scene)) {
+            throw new Error('Not a geomusic patch');
+        }
+        if (patch.version > PATCH_VERSION) {
+            throw new Error('Patch version ' + patch.version + ' is newer than this app supports');
+        }
+
+        const { synth, scene } = patch;
+        checkChoice('waveform', synth.waveform, WAVEFORMS);
+        checkChoice('voice mode', synth.voiceMode, VOICE_MODES);
+        checkChoice('shape', scene.shape, SHAPES);
+
+        if (synth.effects !== undefined && !Array.isArray(synth.effects)) {
+            throw new Error('Patch effects are not a list');
+        }
+        if (patch.mappings !== undefined && !Array.isArray(patch.mappings)) {
+            throw new Error('Patch mappings are not usable');
+        }
+
+        const defaults = FACTORY_PRESETS[0];
+        const cleanSynth = Object.assign({}, synth, numbersOf(synth, defaults.synth), {
+            envelope: numbersOf(synth.envelope, defaults.synth.envelope)
+        });
+        OPTIONAL_NUMBERS.forEach(key => {
+            if (!isNumber(synth[key])) delete cleanSynth[key];
+        });
+        if (synth.effects) cleanSynth.effects = synth.effects.map(cleanEffect);
+
+        const clean = Object.assign({}, patch, {
+            synth: cleanSynth,
+            scene: Object.assign({}, scene, numbersOf(scene, defaults.scene))
+        });
+        if (patch.mappings) clean.mappings = patch.mappings.map(cleanMapping);
+        return clean;
+    }
+
+    // Named presets
+
+    getFactoryPresets() {
+        return FACTORY_PRESETS;
+    }
+
+    getUserPresets() {
+        try {
+            const stored = this.storage && this.storage.getItem(PRESETS_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.warn('Could not load presets', e);
+            return {};
+        }
+    }
+
+    savePreset(name) {
+        const presets = this.getUserPresets();
+        presets[name] = this.capture(name);
+        this.storage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    }
+
+    deletePreset(name) {
+        const presets = this.getUserPresets();
+        delete presets[name];
+        this.storage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    }
+
+    loadPreset(name) {
+        const user = this.getUserPresets();
+        const patch = user[name] || FACTORY_PRESETS.find(p => p.name === name);
+        if (!patch) throw new Error('Unknown preset: ' + name);
+
+        this.apply(patch);
+    }
+
+    // Last session, restored on reload
+
+    saveSession() {
+        if (!this.storage) return;
+
+        this.storage.setItem(SESSION_KEY, JSON.stringify(this.capture('Session')));
+    }
+
+    restoreSession() {
+        try {
+            const stored = this.storage && this.storage.getItem(SESSION_KEY);
+            if (!stored) return false;
+
+            this.apply(JSON.parse(stored));
+            return true;
+        } catch (e) {
+            console.warn('Could not restore session', e);
+            return false;
+        }
+    }
+
+    // JSON files
+
+    exportFile(name = 'geomusic-patch') {
+        const json = JSON.stringify(this.capture(name), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name.replace(/[^\w-]+/g, '_') + '.json';
+        link.click();
+
+        // Revoking straight away can cancel the download before it starts
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async importFile(file) {
+        const patch = JSON.parse(await file.text());
+        this.apply(patch);
+        return patch;
+    }
+
+    // URL hash - deflated JSON in base64url where CompressionStream exists
+
+    async encodeHash(patch = this.capture()) {
+        const json = JSON.stringify(PatchManager.compact(patch));
+        let bytes = new TextEncoder().encode(json);
+        let format = 'j';
+
+        if (window.CompressionStream) {
+            bytes = await PatchManager.transform(bytes, new CompressionStream('deflate-raw'));
+            format = 'z';
+        }
+
+        return HASH_PREFIX + format + PatchManager.toBase64Url(bytes);
+    }
+
+    async decodeHash(hash) {
+        if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+
+        const format = hash.charAt(HASH_PREFIX.length);
+        let bytes = PatchManager.fromBase64Url(hash.slice(HASH_PREFIX.length + 1));
+
+        if (format === 'z') {
+            bytes = await PatchManager.transform(bytes, new DecompressionStream('deflate-raw'));
+        }
+
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    async restoreFromHash(hash = window.location.hash) {
+        try {
+            const patch = await this.decodeHash(hash);
+            if (!patch) return false;
+
+            this.apply(patch);
+            return true;
+        } catch (e) {
+            console.warn('Could not load patch from URL', e);
+            return false;
+        }
+    }
+
+    async shareUrl() {
+        const hash = await this.encodeHash();
+        history.replaceState(null, '', hash);
+        return window.location.href;
+    }
+
+    // Round numbers so shared links stay short
+    static compact(patch) {
+        return JSON.parse(JSON.stringify(patch, (key, value) =>
+            typeof value === 'number' ? Math.round(value * 1000) / 1000 : value
+        ));
+    }
+
+    static async transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+}
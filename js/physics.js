@@ -0,0 +1,227 @@
+// physics.js - Throw, inertia, spring-back and wall bounces for dragged shapes
+
+import { playHit } from './voices.js';
+
+// 'spring' pulls a released shape back to its home; 'latch' leaves it
+// wherever it comes to rest
+export const PHYSICS_MODES = ['spring', 'latch'];
+
+// The body lives in drag-source units (-1 to 1 across the drag range) and
+// drives the drag sources after release, so position and the effects mapped
+// to drag distance follow it through the mapping table
+const DRAG_SOURCES = ['dragX', 'dragY', 'dragDistanceX', 'dragDistanceY'];
+
+const MAX_SPEED = 8; // drag ranges per second
+
+// Pointer samples older than this at release mean the drag had stopped
+const THROW_WINDOW = 100; // ms
+
+// Below both, the body is at rest
+const REST_SPEED = 0.02;
+const REST_DISTANCE = 0.002;
+
+// Impacts slower than HIT_MIN are silent; HIT_FULL and faster play at full velocity
+const HIT_MIN = 0.25;
+const HIT_FULL = 4;
+
+// Each wall's note, in semitones from the shape's pitch
+const WALL_INTERVALS = { left: 0, right: 7, top: 12, bottom: -5 };
+
+export class ShapePhysics {
+    // voice() returns the selected shape's voice (the synth or a ShapeVoice)
+    constructor(scene, mapper, audio, voice = () => audio) {
+        this.scene = scene;
+        this.mapper = mapper;
+        this.audio = audio;
+        this.voice = voice;
+
+        this.mode = 'spring';
+        this.stiffness = 20; // spring pull per unit of offset
+        this.damping = 2; // velocity lost per second, as a rate
+        this.bounce = 0.7; // speed kept off a wall
+
+        // The selected shape's body while it's held or moving
+        this.body = null;
+
+        // Where latched shapes came to rest: shape id -> { x, y }
+        this.rest = new Map();
+
+        // Notified with (wall, velocity 0-1) on every audible impact
+        this.onHit = null;
+    }
+
+    setMode(mode) {
+        if (!PHYSICS_MODES.includes(mode)) return;
+
+        this.mode = mode;
+
+        // Shapes already parked spring home on their next release
+        if (mode === 'spring') this.rest.clear();
+    }
+
+    get moving() {
+        return this.body !== null && !this.body.held;
+    }
+
+    // A drag starts. Returns where in drag units it starts from: a moving
+    // shape is caught in flight, a latched one picked up where it lies.
+    grab() {
+        const id = this.scene.selectedShape.id;
+        let body = this.body;
+        if (!body || body.shape !== id) {
+            // Another shape still moving stops where it is
+            if (body) this.rest.set(body.shape, { x: body.x, y: body.y });
+            body = Object.assign({ vx: 0, vy: 0 }, this.rest.get(id) || { x: 0, y: 0 });
+        }
+
+        this.body = Object.assign(body, { shape: id, held: true, sample: null, world: null });
+        return { x: body.x, y: body.y };
+    }
+
+    // The drag moved the body - track its speed for the throw
+    follow(x, y) {
+        const body = this.body;
+        if (!body || !body.held) return;
+
+        const now = performance.now();
+        if (body.sample) {
+            const dt = (now - body.sample.time) / 1000;
+            if (dt > 0) {
+                // Pointer events arrive unevenly; smooth the estimate
+                body.vx = body.vx * 0.5 + ((x - body.sample.x) / dt) * 0.5;
+                body.vy = body.vy * 0.5 + ((y - body.sample.y) / dt) * 0.5;
+            }
+        }
+        body.x = x;
+        body.y = y;
+        body.sample = { x, y, time: now };
+    }
+
+    // The drag ended. Thrown bodies keep their speed; others just settle.
+    release(thrown) {
+        const body = this.body;
+        if (!body || !body.held) return;
+
+        body.held = false;
+        const fresh = body.sample && performance.now() - body.sample.time < THROW_WINDOW;
+        if (!thrown || !fresh) {
+            body.vx = 0;
+            body.vy = 0;
+        }
+
+        const speed = Math.hypot(body.vx, body.vy);
+        if (speed > MAX_SPEED) {
+            body.vx *= MAX_SPEED / speed;
+            body.vy *= MAX_SPEED / speed;
+        }
+    }
+
+    // Called every frame
+    update(deltaTime) {
+        const body = this.body;
+        if (!body || body.held) return;
+
+        // Sources drive whichever shape is selected - if that changed, the
+        // body stops where it is
+        if (this.scene.selectedShape.id !== body.shape) {
+            this.rest.set(body.shape, { x: body.x, y: body.y });
+            this.body = null;
+            return;
+        }
+
+        const pull = this.mode === 'spring' ? this.stiffness : 0;
+        body.vx += -pull * body.x * deltaTime;
+        body.vy += -pull * body.y * deltaTime;
+
+        const friction = Math.exp(-this.damping * deltaTime);
+        body.vx *= friction;
+        body.vy *= friction;
+
+        body.x += body.vx * deltaTime;
+        body.y += body.vy * deltaTime;
+
+        // The ends of the drag range are walls (drag y runs down the screen)
+        if (Math.abs(body.x) > 1) this.hitWall('x', body.x > 0 ? 'right' : 'left', Math.sign(body.x));
+        if (Math.abs(body.y) > 1) this.hitWall('y', body.y > 0 ? 'bottom' : 'top', Math.sign(body.y));
+
+        this.drive(body.x, body.y);
+        this.checkView(deltaTime);
+
+        if (this.atRest()) this.settle();
+    }
+
+    // Feed the drag sources the way a drag would
+    drive(x, y) {
+        this.mapper.setSource('dragX', x);
+        this.mapper.setSource('dragY', y);
+        this.mapper.setSource('dragDistanceX', Math.abs(x));
+        this.mapper.setSource('dragDistanceY', Math.abs(y));
+    }
+
+    // So are the edges of the view, wherever the mapping puts the shape.
+    // Whichever way the body moves it there, a shape heading out bounces.
+    checkView(deltaTime) {
+        const body = this.body;
+        const position = this.scene.getPosition();
+        const previous = body.world || position;
+        body.world = position;
+
+        const bounds = this.scene.getViewBounds();
+        const movingX = (position.x - previous.x) / deltaTime;
+        const movingY = (position.y - previous.y) / deltaTime;
+
+        // No walls across an axis the shape is too big to fit
+        if (bounds.right > bounds.left &&
+            ((position.x > bounds.right && movingX > 0) || (position.x < bounds.left && movingX < 0))) {
+            this.hitWall('x', movingX > 0 ? 'right' : 'left');
+        }
+        if (bounds.top > bounds.bottom &&
+            ((position.y > bounds.top && movingY > 0) || (position.y < bounds.bottom && movingY < 0))) {
+            this.hitWall('y', movingY > 0 ? 'top' : 'bottom');
+        }
+    }
+
+    // Reflect one axis of the velocity. `side` (±1) pins the body to a
+    // drag-range wall; view walls leave it to travel back in.
+    hitWall(axis, wall, side = 0) {
+        const body = this.body;
+        const velocity = axis === 'x' ? 'vx' : 'vy';
+        const impact = Math.abs(body[velocity]);
+
+        if (side) body[axis] = side;
+        body[velocity] = -body[velocity] * this.bounce;
+
+        if (impact >= HIT_MIN) this.playHit(wall, Math.min(1, impact / HIT_FULL));
+    }
+
+    playHit(wall, velocity) {
+        if (this.onHit) this.onHit(wall, velocity);
+        if (!this.audio.initialized) return;
+
+        const voice = this.voice();
+        const frequency = voice.currentFrequency * Math.pow(2, WALL_INTERVALS[wall] / 12);
+        playHit(this.audio.audioContext, voice.filter, frequency, velocity);
+    }
+
+    atRest() {
+        const body = this.body;
+        if (Math.hypot(body.vx, body.vy) > REST_SPEED) return false;
+
+        return this.mode === 'latch' || Math.hypot(body.x, body.y) < REST_DISTANCE;
+    }
+
+    // Sprung shapes glide the last bit to their release values; latched
+    // ones stay put, sources and all
+    settle() {
+        const body = this.body;
+        this.body = null;
+
+        if (this.mode === 'latch') {
+            this.rest.set(body.shape, { x: body.x, y: body.y });
+            return;
+        }
+
+        this.rest.delete(body.shape);
+        DRAG_SOURCES.forEach(source => this.mapper.releaseSource(source, true));
+    }
+}
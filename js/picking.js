@@ -0,0 +1,114 @@
+// picking.js - Raycast picking: the faces of a shape play scale degrees
+
+// More coplanar groups than this means a curved surface (the torus)
+const MAX_FLAT_FACES = 32;
+const CURVED_SECTORS = 16;
+
+// Group a geometry's triangles into playable faces. Coplanar triangles make
+// one face on the polyhedra (a dodecahedron's pentagons are three each);
+// curved surfaces are cut into sectors around the z axis instead.
+export function computeFaces(geometry) {
+    // Rest positions - the displaced mesh isn't flat any more
+    const position = geometry.userData.basePosition || geometry.attributes.position;
+    const index = geometry.index;
+    const triangleCount = (index ? index.count : position.count) / 3;
+    const vertexIndex = (triangle, corner) => index ? index.getX(triangle * 3 + corner) : triangle * 3 + corner;
+
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const edge = new THREE.Vector3();
+
+    const groups = new Map(); // rounded normal -> triangles
+    const centroids = [];
+
+    for (let t = 0; t < triangleCount; t++) {
+        a.fromBufferAttribute(position, vertexIndex(t, 0));
+        b.fromBufferAttribute(position, vertexIndex(t, 1));
+        c.fromBufferAttribute(position, vertexIndex(t, 2));
+
+        normal.subVectors(c, b).cross(edge.subVectors(a, b)).normalize();
+        centroids.push(new THREE.Vector3().add(a).add(b).add(c).divideScalar(3));
+
+        const key = normal.toArray().map(v => Math.round(v * 100)).join(',');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(t);
+    }
+
+    let faces;
+    if (groups.size <= MAX_FLAT_FACES) {
+        // Lowest face plays the lowest note
+        const height = (triangles) => triangles.reduce((sum, t) => sum + centroids[t].y, 0) / triangles.length;
+        faces = Array.from(groups.values()).sort((p, q) => height(p) - height(q));
+    } else {
+        faces = Array.from({ length: CURVED_SECTORS }, () => []);
+        centroids.forEach((centroid, t) => {
+            const turn = (Math.atan2(centroid.y, centroid.x) / (Math.PI * 2) + 1) % 1;
+            faces[Math.floor(turn * CURVED_SECTORS) % CURVED_SECTORS].push(t);
+        });
+    }
+
+    const faceOf = new Int32Array(triangleCount);
+    faces.forEach((triangles, face) => triangles.forEach(t => { faceOf[t] = face; }));
+
+    // Triangle soup per face, for the highlight
+    const positions = faces.map(triangles => {
+        const array = new Float32Array(triangles.length * 9);
+        triangles.forEach((t, i) => {
+            for (let corner = 0; corner < 3; corner++) {
+                a.fromBufferAttribute(position, vertexIndex(t, corner));
+                a.toArray(array, i * 9 + corner * 3);
+            }
+        });
+        return array;
+    });
+
+    return { faceOf, positions, count: faces.length };
+}
+
+export class FacePicker {
+    constructor(scene, canvas) {
+        this.scene = scene;
+        this.canvas = canvas;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+
+        // Faces are worked out once per geometry
+        this.cache = new WeakMap();
+    }
+
+    getFaces(geometry) {
+        if (!this.cache.has(geometry)) {
+            this.cache.set(geometry, computeFaces(geometry));
+        }
+        return this.cache.get(geometry);
+    }
+
+    // Nearest shape under a screen point: { shape, face, positions } or null
+    pick(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.pointer.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+        this.pointer.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+
+        this.raycaster.setFromCamera(this.pointer, this.scene.camera);
+
+        // Not recursive, so the wireframe overlays and flashes are skipped
+        const meshes = this.scene.shapes.map(shape => shape.mesh);
+        const hit = this.raycaster.intersectObjects(meshes, false)[0];
+        if (!hit) return null;
+
+        const shape = this.scene.getShape(hit.object.userData.shapeId);
+        const faces = this.getFaces(hit.object.geometry);
+        const face = faces.faceOf[hit.faceIndex];
+
+        return { shape, face, positions: faces.positions[face] };
+    }
+
+    // Face n plays the nth scale degree up from the root in the octave below middle C
+    static noteForFace(face, tuning) {
+        if (!tuning) return 57 + face;
+
+        return tuning.scaleNote(face, 48 + tuning.root);
+    }
+}
@@ -0,0 +1,208 @@
+// rack-editor.js - In-app editor panel for the effects rack
+
+import { EFFECT_TYPES } from './effects.js';
+import { DIVISIONS } from './clock.js';
+import { ParameterRegistry } from './params.js';
+
+// Slider resolution
+const STEPS = 1000;
+
+const MIX = { label: 'Mix', min: 0, max: 1 };
+
+export class RackEditor {
+    constructor(container, rack) {
+        this.container = container;
+        this.rack = rack;
+
+        // Patches can swap the whole chain
+        rack.onChange(() => this.render());
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        const list = document.createElement('div');
+        list.className = 'rack';
+        this.rack.modules.forEach((module, index) => list.appendChild(this.renderModule(module, index)));
+        this.container.appendChild(list);
+
+        const actions = document.createElement('div');
+        actions.className = 'button-group';
+        const type = this.select(Object.keys(EFFECT_TYPES).map(id => [id, EFFECT_TYPES[id].label]));
+        actions.append(type, this.button('Add Effect', () => this.rack.add(type.value)));
+        this.container.appendChild(actions);
+    }
+
+    renderModule(module, index) {
+        const row = document.createElement('div');
+        row.className = 'rack-module';
+
+        const header = document.createElement('div');
+        header.className = 'rack-header';
+
+        const name = document.createElement('span');
+        name.className = 'rack-name';
+        name.textContent = module.spec.label;
+
+        const bypass = this.button(module.bypass ? 'Off' : 'On', () => {
+            module.setBypass(!module.bypass);
+            bypass.textContent = module.bypass ? 'Off' : 'On';
+            bypass.classList.toggle('active', !module.bypass);
+        });
+        bypass.classList.toggle('active', !module.bypass);
+        bypass.title = 'Bypass';
+
+        const up = this.button('↑', () => this.rack.move(module.id, index - 1));
+        up.disabled = index === 0;
+        const down = this.button('↓', () => this.rack.move(module.id, index + 1));
+        down.disabled = index === this.rack.modules.length - 1;
+
+        const remove = this.button('×', () => this.rack.remove(module.id));
+        remove.className = 'remove';
+
+        header.append(name, bypass, up, down, remove);
+        row.appendChild(header);
+
+        if (module.spec.presets || module.spec.loadsImpulse) {
+            row.appendChild(this.renderImpulseControls(module));
+        }
+
+        if (module.spec.syncs) row.appendChild(this.renderSync(module));
+
+        row.appendChild(this.slider(module, 'mix', MIX));
+        Object.keys(module.spec.params).forEach(param => {
+            const slider = this.slider(module, param, module.spec.params[param]);
+            // The clock sets a synced time
+            if (param === module.spec.syncs && module.sync) slider.querySelector('input').disabled = true;
+            row.appendChild(slider);
+        });
+
+        return row;
+    }
+
+    // Free time, or a note division of the tempo
+    renderSync(module) {
+        const row = document.createElement('div');
+        row.className = 'button-group slider-row';
+
+        const label = document.createElement('span');
+        label.className = 'slider-label';
+        label.textContent = 'Sync';
+
+        const select = this.select([['', 'Free']].concat(Object.keys(DIVISIONS).map(d => [d, d])));
+        select.value = module.sync || '';
+        select.addEventListener('change', () => {
+            this.rack.setSync(module.id, select.value || null);
+            this.render();
+        });
+
+        row.append(label, select);
+        return row;
+    }
+
+    // Preset spaces and impulse-response loading for the reverb
+    renderImpulseControls(module) {
+        const group = document.createElement('div');
+        group.className = 'button-group slider-row';
+
+        if (module.spec.presets) {
+            const presets = module.spec.presets;
+            const space = this.select([['', 'Space…']].concat(Object.keys(presets).map(id => [id, presets[id].label])));
+            space.addEventListener('change', () => {
+                module.applyPreset(space.value);
+                this.render();
+            });
+            group.appendChild(space);
+        }
+
+        if (module.spec.loadsImpulse) {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'audio/*,.wav';
+            input.hidden = true;
+            input.addEventListener('change', async () => {
+                const file = input.files[0];
+                if (!file) return;
+
+                try {
+                    await module.loadImpulse(await file.arrayBuffer(), file.name);
+                    this.render();
+                } catch (err) {
+                    console.warn('Could not decode impulse response:', err);
+                    status.textContent = 'Could not decode ' + file.name;
+                }
+            });
+
+            // Needs the audio graph to decode into
+            const load = this.button('Load IR', () => input.click());
+            load.disabled = !module.audioContext;
+
+            const clear = this.button('Generated', () => {
+                module.clearImpulse();
+                this.render();
+            });
+            clear.disabled = !module.file;
+
+            const status = document.createElement('span');
+            status.className = 'rack-value';
+            status.textContent = module.file ? module.file.name : '';
+
+            group.append(input, load, clear, status);
+        }
+
+        return group;
+    }
+
+    // Labelled slider over the parameter's range, exponential where the spec says so
+    slider(module, param, spec) {
+        const row = document.createElement('div');
+        row.className = 'button-group slider-row';
+
+        const label = document.createElement('span');
+        label.className = 'slider-label';
+        label.textContent = spec.label;
+
+        const value = document.createElement('span');
+        value.className = 'rack-value';
+        value.textContent = this.format(module.get(param));
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.className = 'slider';
+        input.min = 0;
+        input.max = STEPS;
+        input.value = Math.round(ParameterRegistry.toNormalized(spec, module.get(param)) * STEPS);
+        input.addEventListener('input', () => {
+            module.set(param, ParameterRegistry.fromNormalized(spec, input.value / STEPS));
+            value.textContent = this.format(module.get(param));
+        });
+
+        row.append(label, input, value);
+        return row;
+    }
+
+    select(options) {
+        const select = document.createElement('select');
+        select.className = 'select';
+        options.forEach(([optionValue, label]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        return select;
+    }
+
+    button(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Three significant figures is plenty for a readout
+    format(value) {
+        return Number(value.toPrecision(3)).toString();
+    }
+}
@@ -0,0 +1,14 @@
+// random.js - Seeded pseudo-random numbers for repeatable audio
+
+// mulberry32 - small, fast and good enough for noise
+export function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
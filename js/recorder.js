@@ -0,0 +1,175 @@
+// recorder.js - Live recording of the master bus and the WebGL canvas
+
+import { encodeWav } from './render.js';
+
+const VIDEO_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+const AUDIO_TYPES = ['audio/webm;codecs=opus', 'audio/webm'];
+
+export class SessionRecorder {
+    constructor(audio, canvas) {
+        this.audio = audio;
+        this.canvas = canvas;
+
+        this.isRecording = false;
+        this.mode = null; // 'video' | 'audio' | 'wav'
+        this.startTime = 0;
+        this.size = 0;
+
+        this.onProgress = null;
+        this.workletLoaded = false;
+    }
+
+    getDuration() {
+        if (!this.isRecording) return 0;
+        return (performance.now() - this.startTime) / 1000;
+    }
+
+    async start(mode = 'video') {
+        if (this.isRecording || !this.audio.initialized) return;
+
+        this.mode = mode;
+        this.size = 0;
+
+        if (mode === 'wav') {
+            await this.startWav();
+        } else {
+            this.startMediaRecorder(mode);
+        }
+
+        this.startTime = performance.now();
+        this.isRecording = true;
+    }
+
+    async stop() {
+        if (!this.isRecording) return null;
+
+        this.isRecording = false;
+
+        if (this.mode === 'wav') {
+            return this.stopWav();
+        }
+        return this.stopMediaRecorder();
+    }
+
+    // WebM via MediaRecorder - master bus, plus the canvas in video mode
+
+    startMediaRecorder(mode) {
+        const context = this.audio.audioContext;
+        this.streamDestination = context.createMediaStreamDestination();
+        this.audio.masterGain.connect(this.streamDestination);
+
+        const tracks = this.streamDestination.stream.getAudioTracks();
+        if (mode === 'video') {
+            tracks.push(...this.canvas.captureStream(60).getVideoTracks());
+        }
+
+        const types = mode === 'video' ? VIDEO_TYPES : AUDIO_TYPES;
+        const mimeType = types.find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+        this.chunks = [];
+        this.mediaRecorder = new MediaRecorder(new MediaStream(tracks), { mimeType });
+        this.mediaRecorder.ondataavailable = (e) => {
+            if (e.data.size === 0) return;
+
+            this.chunks.push(e.data);
+            this.size += e.data.size;
+            this.reportProgress();
+        };
+
+        // Emit a chunk every second so the size display keeps moving
+        this.mediaRecorder.start(1000);
+    }
+
+    stopMediaRecorder() {
+        return new Promise(resolve => {
+            this.mediaRecorder.onstop = () => {
+                // Stop the canvas capture and release the tap
+                this.mediaRecorder.stream.getVideoTracks().forEach(track => track.stop());
+                this.audio.masterGain.disconnect(this.streamDestination);
+
+                const type = this.mediaRecorder.mimeType || 'video/webm';
+                const blob = new Blob(this.chunks, { type });
+                resolve({ blob, filename: this.filename('webm') });
+            };
+            this.mediaRecorder.stop();
+        });
+    }
+
+    // Lossless WAV via an AudioWorklet tap on the master bus
+
+    async startWav() {
+        const context = this.audio.audioContext;
+
+        if (!this.workletLoaded) {
+            await context.audioWorklet.addModule(new URL('./worklets/recorder-processor.js', import.meta.url));
+            this.workletLoaded = true;
+        }
+
+        this.chunks = [];
+        this.frames = 0;
+
+        this.tap = new AudioWorkletNode(context, 'recorder-tap', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: 2,
+            channelCountMode: 'explicit'
+        });
+
+        this.tap.port.onmessage = (e) => {
+            if (e.data === 'done') {
+                if (this.onTapDone) this.onTapDone();
+                return;
+            }
+
+            this.chunks.push(e.data);
+            this.frames += e.data[0].length;
+            this.size = 44 + this.frames * 2 * 2; // 16-bit stereo
+            this.reportProgress();
+        };
+
+        this.audio.masterGain.connect(this.tap);
+    }
+
+    stopWav() {
+        return new Promise(resolve => {
+            // Wait for the worklet to flush its last batch
+            this.onTapDone = () => {
+                this.audio.masterGain.disconnect(this.tap);
+                this.tap.port.onmessage = null;
+
+                const buffer = this.joinChunks();
+                const blob = new Blob([encodeWav(buffer, 16)], { type: 'audio/wav' });
+                resolve({ blob, filename: this.filename('wav') });
+            };
+            this.tap.port.postMessage('stop');
+        });
+    }
+
+    // Just enough of the AudioBuffer interface for encodeWav
+    joinChunks() {
+        const channels = [new Float32Array(this.frames), new Float32Array(this.frames)];
+        let offset = 0;
+
+        this.chunks.forEach(chunk => {
+            channels[0].set(chunk[0], offset);
+            channels[1].set(chunk[1] || chunk[0], offset);
+            offset += chunk[0].length;
+        });
+
+        return {
+            numberOfChannels: 2,
+            length: this.frames,
+            sampleRate: this.audio.audioContext.sampleRate,
+            getChannelData: (c) => channels[c]
+        };
+    }
+
+    reportProgress() {
+        if (this.onProgress) this.onProgress(this.getDuration(), this.size);
+    }
+
+    filename(extension) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        return 'geomusic-' + stamp + '.' + extension;
+    }
+}
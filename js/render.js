@@ -0,0 +1,122 @@
+// render.js - Offline rendering and WAV encoding
+
+import { AudioSynthesizer } from './audio.js';
+import { ParameterRegistry, registerDefaultParameters } from './params.js';
+
+export class OfflineRenderer {
+    constructor(audio, scene) {
+        this.audio = audio;
+        this.scene = scene;
+    }
+
+    // Render `duration` seconds of the current sound, faster than real time.
+    // options: { sampleRate, automation, changes: [{ param, value, time, ramp }] }
+    async render(duration, options = {}) {
+        const sampleRate = options.sampleRate || 44100;
+        const context = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+
+        // Same graph, same settings, built on the offline context
+        const synth = new AudioSynthesizer();
+        synth.reverbSeed = this.audio.reverbSeed;
+        synth.applySettings(this.audio.getSettings());
+        await synth.init(context);
+        await synth.effects.copyFiles(this.audio.effects);
+        await synth.effects.ready();
+
+        const coefficients = this.audio.periodicWaveCoefficients;
+        if (coefficients) {
+            synth.setPeriodicWave(coefficients.real, coefficients.imag);
+        }
+
+        synth.start();
+
+        const params = new ParameterRegistry();
+        registerDefaultParameters(params, this.scene, synth);
+
+        if (options.automation) {
+            // The render plays the synth, which is the first shape's voice
+            options.automation.scheduleRender(params, duration, this.scene.shapes[0].id);
+        }
+
+        (options.changes || []).forEach(change => {
+            const param = params.get(change.param);
+            const audioParam = param && param.audioParam && param.audioParam();
+            if (!audioParam) return;
+
+            if (change.ramp) {
+                audioParam.linearRampToValueAtTime(change.value, change.time);
+            } else {
+                audioParam.setValueAtTime(change.value, change.time);
+            }
+        });
+
+        return context.startRendering();
+    }
+
+    async renderWav(duration, options = {}) {
+        const buffer = await this.render(duration, options);
+        return new Blob([encodeWav(buffer, options.bitDepth || 16)], { type: 'audio/wav' });
+    }
+}
+
+// Interleaved little-endian PCM WAV, 16 or 24 bit
+export function encodeWav(buffer, bitDepth = 16) {
+    const channels = buffer.numberOfChannels;
+    const length = buffer.length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channels * bytesPerSample;
+    const dataSize = length * blockAlign;
+
+    const output = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(output);
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    // RIFF header
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+
+    // fmt chunk
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+
+    // data chunk
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const data = [];
+    for (let c = 0; c < channels; c++) {
+        data.push(buffer.getChannelData(c));
+    }
+
+    const max = Math.pow(2, bitDepth - 1) - 1;
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+        for (let c = 0; c < channels; c++) {
+            const sample = Math.max(-1, Math.min(1, data[c][i]));
+            const value = Math.round(sample * max);
+
+            if (bitDepth === 24) {
+                view.setUint8(offset, value & 0xff);
+                view.setUint8(offset + 1, (value >> 8) & 0xff);
+                view.setUint8(offset + 2, (value >> 16) & 0xff);
+            } else {
+                view.setInt16(offset, value, true);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return output;
+}
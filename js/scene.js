@@ -1,15 +1,72 @@
 // scene.js - Three.js scene setup and rendering
 
+import { VISUAL_PRESETS, BIN_COUNT } from './spectrum.js';
+
+// Furthest a vertex moves out from the shape at full band energy
+const MAX_DISPLACEMENT = 0.5;
+
+// Particles ripple with the bands on the GPU, so 1500 points cost nothing per frame
+const PARTICLE_VERTEX_SHADER = `
+    uniform float uTime;
+    uniform vec3 uBands; // low, mid, high, already weighted by the visual preset
+    uniform float uSize;
+    uniform float uScale;
+    varying vec3 vColor;
+    
+    void main() {
+        vec3 p = position;
+        float radius = length(p);
+        vec3 direction = p / radius;
+        
+        // Lows: a swell travelling outward through the shell
+        p += direction * sin(radius * 0.5 - uTime * 3.0) * uBands.x * 3.0;
+        
+        // Mids: ripples running around the sphere
+        float angle = atan(p.y, p.x);
+        p += direction * sin(angle * 8.0 + uTime * 2.0) * uBands.y * 1.5;
+        
+        vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        
+        // Highs: points flicker larger
+        float sparkle = 1.0 + uBands.z * 4.0 * (0.5 + 0.5 * sin(uTime * 12.0 + radius * 7.0));
+        gl_PointSize = uSize * sparkle * (uScale / -mvPosition.z);
+        
+        vColor = color;
+    }
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+    varying vec3 vColor;
+    
+    void main() {
+        gl_FragColor = vec4(vColor, 0.6);
+    }
+`;
+
 export class Scene3D {
     constructor(canvas) {
         this.canvas = canvas;
         this.audioLevel = 0;
+        this.beatPulse = 0; // 1 on a downbeat, decaying to 0
         this.targetRotationX = 0;
         this.targetRotationY = 0;
         this.currentScale = 1;
+        this.shapeType = 'icosahedron';
+        this.hueOffset = 0;
+        this.visualPreset = 'classic';
+        this.time = 0; // seconds, for the particle ripples
+        
+        // Every shape in the scene; the selected one is what the controls act on
+        this.shapes = [];
+        this.nextShapeId = 1;
+        this.selectedShape = null;
+        
+        // Faces lit by flashFace(), fading out
+        this.flashes = [];
         
         this.init();
-        this.createGeometry('icosahedron');
+        this.addShape('icosahedron');
         this.createParticles();
     }
     
@@ -56,14 +113,30 @@ export class Scene3D {
         window.addEventListener('resize', () => this.onResize());
     }
     
+    // Replace the selected shape's geometry, keeping its place in the scene
     createGeometry(type) {
-        // Remove existing mesh
-        if (this.mesh) {
-            this.scene.remove(this.mesh);
+        this.shapeType = type;
+        
+        if (!this.selectedShape) {
+            this.addShape(type);
+            return;
         }
         
+        const shape = this.selectedShape;
+        const position = shape.mesh.position.clone();
+        this.disposeShapeMesh(shape);
+        
+        shape.type = type;
+        this.buildShapeMesh(shape);
+        shape.mesh.position.copy(position);
+        
+        this.mesh = shape.mesh;
+        this.wireframe = shape.wireframe;
+    }
+    
+    buildShapeMesh(shape) {
         let geometry;
-        switch(type) {
+        switch(shape.type) {
             case 'icosahedron':
                 geometry = new THREE.IcosahedronGeometry(1.5, 0);
                 break;
@@ -95,19 +168,164 @@ export class Scene3D {
             emissiveIntensity: 0.2
         });
         
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.scene.add(this.mesh);
+        this.prepareDisplacement(geometry);
         
-        // Add wireframe overlay
-        const wireframeGeo = geometry.clone();
+        shape.mesh = new THREE.Mesh(geometry, material);
+        shape.mesh.userData.shapeId = shape.id;
+        this.scene.add(shape.mesh);
+        
+        // Add wireframe overlay (same geometry, so it follows the displacement)
         const wireframeMat = new THREE.MeshBasicMaterial({
             color: 0x00d4ff,
             wireframe: true,
             transparent: true,
             opacity: 0.3
         });
-        this.wireframe = new THREE.Mesh(wireframeGeo, wireframeMat);
-        this.mesh.add(this.wireframe);
+        shape.wireframe = new THREE.Mesh(geometry, wireframeMat);
+        shape.mesh.add(shape.wireframe);
+    }
+    
+    disposeShapeMesh(shape) {
+        this.scene.remove(shape.mesh);
+        shape.mesh.geometry.dispose();
+        shape.mesh.material.dispose();
+        shape.wireframe.material.dispose();
+    }
+    
+    // Rest positions, plus which spectrum bin moves each vertex. Vertices
+    // that coincide (the polyhedra repeat them per face) share a bin and a
+    // waveform sample, so faces stay joined.
+    prepareDisplacement(geometry) {
+        const position = geometry.attributes.position;
+        geometry.userData.basePosition = position.clone();
+        
+        const rest = geometry.userData.basePosition.array;
+        const bins = new Uint8Array(position.count);
+        const samples = new Float32Array(position.count);
+        const vertices = new Map();
+        const order = [];
+        
+        for (let i = 0; i < position.count; i++) {
+            const key = Math.round(rest[i * 3] * 1000) + ',' +
+                Math.round(rest[i * 3 + 1] * 1000) + ',' +
+                Math.round(rest[i * 3 + 2] * 1000);
+            if (!vertices.has(key)) vertices.set(key, vertices.size);
+            order.push(vertices.get(key));
+        }
+        
+        order.forEach((vertex, i) => {
+            bins[i] = vertex % BIN_COUNT;
+            samples[i] = vertex / vertices.size;
+        });
+        
+        geometry.userData.displacement = { rest, bins, samples, active: false };
+    }
+    
+    // Shapes sit at a home position; setPosition() moves them relative to it
+    addShape(type, home = { x: 0, y: 0, z: 0 }) {
+        const shape = {
+            id: this.nextShapeId++,
+            type,
+            home: new THREE.Vector3(home.x, home.y, home.z),
+            targetRotationX: 0,
+            targetRotationY: 0,
+            scale: 1,
+            dimmed: false
+        };
+        
+        this.buildShapeMesh(shape);
+        shape.mesh.position.copy(shape.home);
+        this.shapes.push(shape);
+        
+        this.selectShape(shape.id);
+        return shape;
+    }
+    
+    removeShape(id) {
+        const shape = this.getShape(id);
+        if (!shape || this.shapes.length <= 1) return false;
+        
+        this.disposeShapeMesh(shape);
+        this.shapes = this.shapes.filter(s => s !== shape);
+        
+        if (shape === this.selectedShape) {
+            this.selectedShape = null;
+            this.selectShape(this.shapes[0].id);
+        }
+        return true;
+    }
+    
+    getShape(id) {
+        return this.shapes.find(s => s.id === id);
+    }
+    
+    // The selected shape is the one `mesh` and the rotation/scale setters act on
+    selectShape(id) {
+        const shape = this.getShape(id);
+        if (!shape) return;
+        
+        // Park the outgoing shape's targets and pick up the incoming one's
+        const previous = this.selectedShape;
+        if (previous) {
+            previous.targetRotationX = this.targetRotationX;
+            previous.targetRotationY = this.targetRotationY;
+            previous.scale = this.currentScale;
+        }
+        
+        this.selectedShape = shape;
+        this.targetRotationX = shape.targetRotationX;
+        this.targetRotationY = shape.targetRotationY;
+        this.currentScale = shape.scale;
+        this.shapeType = shape.type;
+        this.mesh = shape.mesh;
+        this.wireframe = shape.wireframe;
+    }
+    
+    // Shape, rotation and scale targets of any shape, selected or not
+    getShapeState(id) {
+        const shape = this.getShape(id);
+        const selected = shape === this.selectedShape;
+        return {
+            type: shape.type,
+            rotationX: selected ? this.targetRotationX : shape.targetRotationX,
+            rotationY: selected ? this.targetRotationY : shape.targetRotationY,
+            scale: selected ? this.currentScale : shape.scale
+        };
+    }
+    
+    // Light up a face of a shape for a moment (positions is a triangle list)
+    flashFace(shape, positions) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.9,
+            side: THREE.DoubleSide,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -1
+        });
+        
+        const mesh = new THREE.Mesh(geometry, material);
+        shape.mesh.add(mesh);
+        this.flashes.push({ mesh, life: 1 });
+    }
+    
+    // Muted shapes glow less
+    setShapeDimmed(id, dimmed) {
+        const shape = this.getShape(id);
+        if (shape) shape.dimmed = dimmed;
+    }
+    
+    setSpectrum(spectrum) {
+        this.spectrum = spectrum;
+    }
+    
+    setVisualPreset(id) {
+        if (VISUAL_PRESETS[id]) this.visualPreset = id;
     }
     
     createParticles() {
@@ -146,11 +364,18 @@ export class Scene3D {
         particleGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
         particleGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
         
-        const particleMaterial = new THREE.PointsMaterial({
-            size: 0.05,
+        const particleMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uBands: { value: new THREE.Vector3() },
+                uSize: { value: 0.05 * this.renderer.getPixelRatio() },
+                uScale: { value: window.innerHeight / 2 }
+            },
+            vertexShader: PARTICLE_VERTEX_SHADER,
+            fragmentShader: PARTICLE_FRAGMENT_SHADER,
             vertexColors: true,
             transparent: true,
-            opacity: 0.6,
+            depthWrite: false,
             blending: THREE.AdditiveBlending
         });
         
@@ -162,6 +387,11 @@ export class Scene3D {
         this.audioLevel = level;
     }
     
+    // From the tempo clock - scaled by the visual preset's beat weight
+    pulseBeat(strength) {
+        this.beatPulse = Math.max(this.beatPulse, strength * VISUAL_PRESETS[this.visualPreset].beat);
+    }
+    
     setRotation(x, y) {
         this.targetRotationX = x;
         this.targetRotationY = y;
@@ -171,48 +401,160 @@ export class Scene3D {
         this.currentScale = Math.max(0.5, Math.min(3, scale));
     }
     
+    setHueOffset(hue) {
+        this.hueOffset = ((hue % 1) + 1) % 1;
+    }
+    
     setPosition(x, y) {
-        if (this.mesh) {
-            this.mesh.position.x = x;
-            this.mesh.position.y = y;
+        if (this.selectedShape) {
+            this.mesh.position.x = this.selectedShape.home.x + x;
+            this.mesh.position.y = this.selectedShape.home.y + y;
         }
     }
     
-    update(deltaTime) {
-        if (!this.mesh) return;
+    // Offset of the selected shape from its home position
+    getPosition() {
+        const shape = this.selectedShape;
+        return {
+            x: shape.mesh.position.x - shape.home.x,
+            y: shape.mesh.position.y - shape.home.y
+        };
+    }
+    
+    // Offsets the selected shape can reach before its edge meets the edge
+    // of the view, relative to its home. A shape too big to fit has none.
+    getViewBounds() {
+        const shape = this.selectedShape;
+        const geometry = shape.mesh.geometry;
+        if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+        const radius = geometry.boundingSphere.radius * shape.mesh.scale.x;
         
-        // Smooth rotation
-        this.mesh.rotation.x += (this.targetRotationX - this.mesh.rotation.x) * 0.1;
-        this.mesh.rotation.y += (this.targetRotationY - this.mesh.rotation.y) * 0.1;
+        const distance = this.camera.position.z - shape.home.z;
+        const halfHeight = Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2)) * distance;
+        const width = Math.max(0, halfHeight * this.camera.aspect - radius);
+        const height = Math.max(0, halfHeight - radius);
         
-        // Audio-reactive scaling
-        const audioScale = 1 + this.audioLevel * 0.3;
-        const targetScale = this.currentScale * audioScale;
-        this.mesh.scale.x += (targetScale - this.mesh.scale.x) * 0.2;
-        this.mesh.scale.y += (targetScale - this.mesh.scale.y) * 0.2;
-        this.mesh.scale.z += (targetScale - this.mesh.scale.z) * 0.2;
+        return {
+            left: -width - shape.home.x,
+            right: width - shape.home.x,
+            bottom: -height - shape.home.y,
+            top: height - shape.home.y
+        };
+    }
+    
+    update(deltaTime) {
+        if (!this.mesh) return;
         
-        // Audio-reactive color
-        const hue = (this.audioLevel * 0.3) % 1;
-        this.mesh.material.emissive.setHSL(hue, 1, 0.5);
-        this.mesh.material.emissiveIntensity = 0.2 + this.audioLevel * 0.5;
+        this.time += deltaTime;
+        this.shapes.forEach(shape => this.updateShape(shape));
         
-        // Pulse wireframe opacity
-        if (this.wireframe) {
-            this.wireframe.material.opacity = 0.3 + this.audioLevel * 0.4;
-        }
+        // Fade face flashes over 0.4s
+        this.flashes = this.flashes.filter(flash => {
+            flash.life -= deltaTime / 0.4;
+            flash.mesh.material.opacity = Math.max(0, flash.life) * 0.9;
+            if (flash.life > 0) return true;
+            
+            flash.mesh.parent.remove(flash.mesh);
+            flash.mesh.geometry.dispose();
+            flash.mesh.material.dispose();
+            return false;
+        });
         
-        // Subtle particle rotation
+        // Subtle particle rotation, plus the band ripples
         if (this.particles) {
             this.particles.rotation.y += deltaTime * 0.05;
             this.particles.rotation.x += deltaTime * 0.02;
+            
+            const uniforms = this.particles.material.uniforms;
+            const weights = VISUAL_PRESETS[this.visualPreset].particles;
+            const bands = this.spectrum ? this.spectrum.bands : { low: 0, mid: 0, high: 0 };
+            uniforms.uTime.value = this.time;
+            uniforms.uBands.value.set(
+                bands.low * weights.low,
+                bands.mid * weights.mid,
+                bands.high * weights.high
+            );
         }
         
+        // Beat pulse dies away over 0.2s
+        this.beatPulse = Math.max(0, this.beatPulse - deltaTime / 0.2);
+        
         // Pulsing lights
         const time = Date.now() * 0.001;
-        this.pointLight1.intensity = 2 + Math.sin(time) * 0.5 + this.audioLevel * 2;
-        this.pointLight2.intensity = 2 + Math.sin(time + Math.PI) * 0.5 + this.audioLevel * 2;
-        this.pointLight3.intensity = 1.5 + Math.cos(time) * 0.3 + this.audioLevel * 1.5;
+        const level = this.audioLevel + this.beatPulse * 0.5;
+        this.pointLight1.intensity = 2 + Math.sin(time) * 0.5 + level * 2;
+        this.pointLight2.intensity = 2 + Math.sin(time + Math.PI) * 0.5 + level * 2;
+        this.pointLight3.intensity = 1.5 + Math.cos(time) * 0.3 + level * 1.5;
+    }
+    
+    updateShape(shape) {
+        const state = this.getShapeState(shape.id);
+        const mesh = shape.mesh;
+        
+        // Smooth rotation
+        mesh.rotation.x += (state.rotationX - mesh.rotation.x) * 0.1;
+        mesh.rotation.y += (state.rotationY - mesh.rotation.y) * 0.1;
+        
+        // Audio-reactive scaling, with a kick on the beat
+        const audioScale = 1 + this.audioLevel * 0.3 + (shape.dimmed ? 0 : this.beatPulse * 0.1);
+        const targetScale = state.scale * audioScale;
+        mesh.scale.x += (targetScale - mesh.scale.x) * 0.2;
+        mesh.scale.y += (targetScale - mesh.scale.y) * 0.2;
+        mesh.scale.z += (targetScale - mesh.scale.z) * 0.2;
+        
+        // Audio-reactive color
+        const level = shape.dimmed ? 0 : this.audioLevel;
+        const hue = (this.hueOffset + level * 0.3) % 1;
+        mesh.material.emissive.setHSL(hue, 1, 0.5);
+        mesh.material.emissiveIntensity = (shape.dimmed ? 0.05 : 0.2) + level * 0.5;
+        
+        // Pulse wireframe opacity, brightest on the selected shape
+        const baseOpacity = shape === this.selectedShape ? 0.3 : 0.12;
+        shape.wireframe.material.opacity = baseOpacity + level * 0.4;
+        
+        this.displaceShape(shape);
+    }
+    
+    // Push vertices out along their direction from the centre by the energy
+    // of their spectrum bin, plus a sample of the waveform
+    displaceShape(shape) {
+        const geometry = shape.mesh.geometry;
+        const data = geometry.userData.displacement;
+        const weights = VISUAL_PRESETS[this.visualPreset].mesh;
+        const spectrum = this.spectrum;
+        
+        const driven = spectrum && !shape.dimmed &&
+            (weights.low > 0 || weights.mid > 0 || weights.high > 0 || weights.wave > 0);
+        if (!driven && !data.active) return; // already at rest
+        
+        const position = geometry.attributes.position;
+        const array = position.array;
+        const rest = data.rest;
+        const waveform = spectrum ? spectrum.waveform : null;
+        
+        for (let i = 0; i < position.count; i++) {
+            let amount = 0;
+            if (driven) {
+                const bin = data.bins[i];
+                amount = spectrum.bins[bin] * weights[spectrum.binBands[bin]];
+                if (waveform.length > 0) {
+                    amount += waveform[Math.floor(data.samples[i] * waveform.length)] * weights.wave;
+                }
+            }
+            
+            const x = rest[i * 3];
+            const y = rest[i * 3 + 1];
+            const z = rest[i * 3 + 2];
+            const scale = 1 + amount * MAX_DISPLACEMENT / (Math.hypot(x, y, z) || 1);
+            array[i * 3] = x * scale;
+            array[i * 3 + 1] = y * scale;
+            array[i * 3 + 2] = z * scale;
+        }
+        
+        position.needsUpdate = true;
+        geometry.computeVertexNormals();
+        geometry.computeBoundingSphere();
+        data.active = driven;
     }
     
     render() {
@@ -223,5 +565,10 @@ export class Scene3D {
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(window.innerWidth, window.innerHeight);
+        
+        // Match the point size attenuation of THREE.PointsMaterial
+        if (this.particles) {
+            this.particles.material.uniforms.uScale.value = window.innerHeight / 2;
+        }
     }
 }
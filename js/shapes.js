@@ -0,0 +1,152 @@
+// shapes.js - Several shapes in one scene, each an independent, spatialized voice
+
+// Where added shapes appear, spread around the listener
+const HOME_POSITIONS = [
+    { x: -3, y: 1.5, z: -1 },
+    { x: 3, y: -1.5, z: -1 },
+    { x: -3, y: -1.5, z: -2 },
+    { x: 3, y: 1.5, z: -2 },
+    { x: 0, y: 2.5, z: -3 },
+    { x: 0, y: -2.5, z: -3 }
+];
+
+export const MAX_SHAPES = HOME_POSITIONS.length + 1;
+
+export class ShapeManager {
+    constructor(scene, audio) {
+        this.scene = scene;
+        this.audio = audio;
+        this.listeners = [];
+        this.editListeners = [];
+
+        // shape id -> { voice, muted, soloed, position }. The first shape
+        // plays through the synth itself; added shapes get a ShapeVoice.
+        this.mainShapeId = scene.selectedShape.id;
+        this.channels = new Map();
+        this.channels.set(this.mainShapeId, this.createChannel(audio));
+    }
+
+    createChannel(voice) {
+        return { voice, muted: false, soloed: false, position: null };
+    }
+
+    // Notified after any add, remove, select, mute or solo
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    notify() {
+        this.listeners.forEach(fn => fn());
+    }
+
+    // Notified with ('add', index, type) or ('remove', index) when a shape
+    // is added or removed, with its place in the scene's list
+    onEdit(fn) {
+        this.editListeners.push(fn);
+    }
+
+    getChannel(id) {
+        return this.channels.get(id);
+    }
+
+    getSelectedId() {
+        return this.scene.selectedShape.id;
+    }
+
+    // Voice the pitch, filter and waveform controls act on
+    getSelectedVoice() {
+        return this.channels.get(this.getSelectedId()).voice;
+    }
+
+    // New shapes start a fifth above the selected one, with its tone
+    addShape(type) {
+        if (!this.audio.initialized || this.scene.shapes.length >= MAX_SHAPES) return null;
+
+        const taken = this.scene.shapes.map(shape => shape.home);
+        const home = HOME_POSITIONS.find(p => !taken.some(h => h.x === p.x && h.y === p.y && h.z === p.z));
+
+        const source = this.getSelectedVoice();
+        const frequency = source.currentFrequency * 1.5;
+        const voice = this.audio.createShapeVoice({
+            frequency: this.audio.tuning ? this.audio.tuning.quantize(frequency) : frequency,
+            filterFrequency: source.filterFrequency,
+            filterQ: source.filterQ,
+            waveform: source.waveform,
+            morph: source.morph
+        });
+
+        const shape = this.scene.addShape(type, home);
+        this.channels.set(shape.id, this.createChannel(voice));
+
+        this.updateGains();
+        this.editListeners.forEach(fn => fn('add', this.scene.shapes.indexOf(shape), type));
+        this.notify();
+        return shape;
+    }
+
+    // The first shape is the synth's own voice and always stays
+    removeShape(id) {
+        const channel = this.channels.get(id);
+        if (!channel || id === this.mainShapeId) return false;
+
+        const index = this.scene.shapes.indexOf(this.scene.getShape(id));
+        this.audio.removeShapeVoice(channel.voice);
+        this.scene.removeShape(id);
+        this.channels.delete(id);
+
+        this.updateGains();
+        this.editListeners.forEach(fn => fn('remove', index));
+        this.notify();
+        return true;
+    }
+
+    select(id) {
+        if (!this.channels.has(id)) return;
+
+        this.scene.selectShape(id);
+        this.notify();
+    }
+
+    toggleMute(id) {
+        const channel = this.channels.get(id);
+        if (!channel) return;
+
+        channel.muted = !channel.muted;
+        this.updateGains();
+        this.notify();
+    }
+
+    toggleSolo(id) {
+        const channel = this.channels.get(id);
+        if (!channel) return;
+
+        channel.soloed = !channel.soloed;
+        this.updateGains();
+        this.notify();
+    }
+
+    isAudible(id) {
+        const channel = this.channels.get(id);
+        const anySolo = Array.from(this.channels.values()).some(c => c.soloed);
+        return anySolo ? channel.soloed : !channel.muted;
+    }
+
+    updateGains() {
+        this.channels.forEach((channel, id) => {
+            const audible = this.isAudible(id);
+            channel.voice.setChannelGain(audible ? 1 : 0);
+            this.scene.setShapeDimmed(id, !audible);
+        });
+    }
+
+    // Called every frame - panners follow the meshes
+    update() {
+        this.channels.forEach((channel, id) => {
+            const position = this.scene.getShape(id).mesh.position;
+            if (channel.position && channel.position.equals(position)) return;
+
+            channel.position = position.clone();
+            channel.voice.setPosition(position);
+        });
+    }
+}
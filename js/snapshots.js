@@ -0,0 +1,313 @@
+// snapshots.js - Full-state snapshots and the XY pad that morphs between them
+
+import { EFFECT_TYPES } from './effects.js';
+
+// Corners of the pad, in weight order: top-left, top-right, bottom-left, bottom-right
+export const CORNERS = ['A', 'B', 'C', 'D'];
+
+// The rack's own values cover the classic delay/reverb parameters, the
+// waveform carries the morph position, and tempo is left to the clock
+const SKIPPED_PARAMS = ['reverb.mix', 'delay.time', 'delay.feedback', 'delay.mix', 'osc.morph', 'tempo.bpm'];
+
+// Envelope stages that are times, and blend like frequencies
+const ENVELOPE_TIMES = ['attack', 'decay', 'release'];
+
+// Changes smaller than this (relative) aren't worth sending on
+const EPSILON = 1e-5;
+
+const COLORS = {
+    empty: 'rgba(255, 255, 255, 0.15)',
+    filled: '#b24bf3',
+    puck: '#00d4ff',
+    grid: 'rgba(255, 255, 255, 0.1)',
+    text: 'rgba(255, 255, 255, 0.8)'
+};
+
+// Bilinear weight of each corner at x, y (0-1, y down), over the filled
+// corners only. Kept just off the edges, so the side opposite the filled
+// corners still leans towards the nearer one.
+export function cornerWeights(x, y, filled) {
+    const u = Math.max(1e-6, Math.min(1 - 1e-6, x));
+    const v = Math.max(1e-6, Math.min(1 - 1e-6, y));
+    const weights = [(1 - u) * (1 - v), u * (1 - v), (1 - u) * v, u * v]
+        .map((weight, i) => filled[i] ? weight : 0);
+
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return weights.map(weight => total > 0 ? weight / total : 0);
+}
+
+// Weighted mean of [{ value, weight }]. Exponential blends go through logs,
+// so halfway between 200 and 800 Hz is 400, not 500.
+export function blendValues(entries, exponential = false) {
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    if (total <= 0) return entries.length ? entries[0].value : 0;
+
+    if (exponential && entries.every(entry => entry.value > 0)) {
+        const log = entries.reduce((sum, entry) => sum + entry.weight * Math.log(entry.value), 0);
+        return Math.exp(log / total);
+    }
+    return entries.reduce((sum, entry) => sum + entry.weight * entry.value, 0) / total;
+}
+
+function differs(a, b) {
+    return Math.abs(a - b) > EPSILON * Math.max(1, Math.abs(b));
+}
+
+// Captures snapshots into the four corners and applies blends of them
+export class SnapshotMorph {
+    constructor(params, interaction, audio, scene) {
+        this.params = params;
+        this.interaction = interaction;
+        this.audio = audio;
+        this.scene = scene;
+
+        this.corners = [null, null, null, null];
+        this.x = 0.5;
+        this.y = 0.5;
+        this.listeners = [];
+
+        // Set while a blend is being applied
+        this.applying = false;
+    }
+
+    // Notified when corners are filled or cleared, or the position moves
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    notify() {
+        this.listeners.forEach(fn => fn());
+    }
+
+    // Every parameter (the selected shape's, for per-shape ones), waveform,
+    // envelope, effects rack and shape type
+    capture() {
+        const voice = this.interaction.getVoice();
+
+        const params = {};
+        this.params.list().forEach(param => {
+            if (!SKIPPED_PARAMS.includes(param.id)) params[param.id] = param.get();
+        });
+
+        return {
+            params,
+            waveform: voice.waveform,
+            morph: voice.morph,
+            envelope: Object.assign({}, this.audio.envelope),
+            effects: this.audio.effects.toJSON(),
+            shape: this.scene.shapeType
+        };
+    }
+
+    store(index) {
+        this.corners[index] = this.capture();
+        this.notify();
+    }
+
+    clear(index) {
+        this.corners[index] = null;
+        this.notify();
+    }
+
+    get weights() {
+        return cornerWeights(this.x, this.y, this.corners.map(Boolean));
+    }
+
+    setPosition(x, y) {
+        this.x = Math.max(0, Math.min(1, x));
+        this.y = Math.max(0, Math.min(1, y));
+
+        if (this.corners.some(Boolean)) {
+            this.applying = true;
+            try {
+                this.apply(this.blend(this.weights));
+            } finally {
+                this.applying = false;
+            }
+        }
+        this.notify();
+    }
+
+    // Interpolated state for per-corner weights. Numbers blend (frequencies
+    // and times exponentially); choices that can't blend come from the
+    // heaviest corner.
+    blend(weights) {
+        const present = this.corners
+            .map((snapshot, i) => ({ snapshot, weight: weights[i] }))
+            .filter(entry => entry.snapshot && entry.weight > 0);
+        const dominant = present.reduce((best, entry) => entry.weight > best.weight ? entry : best).snapshot;
+
+        const params = {};
+        Object.keys(dominant.params).forEach(id => {
+            const param = this.params.get(id);
+            const entries = present
+                .filter(entry => entry.snapshot.params[id] !== undefined)
+                .map(entry => ({ value: entry.snapshot.params[id], weight: entry.weight }));
+            params[id] = blendValues(entries, param && param.curve === 'exponential');
+        });
+
+        const envelope = {};
+        Object.keys(dominant.envelope).forEach(stage => {
+            const entries = present.map(entry => ({ value: entry.snapshot.envelope[stage], weight: entry.weight }));
+            envelope[stage] = blendValues(entries, ENVELOPE_TIMES.includes(stage));
+        });
+
+        return Object.assign({
+            params,
+            envelope,
+            effects: this.blendEffects(present, dominant),
+            shape: dominant.shape
+        }, this.blendWaveform(present, dominant));
+    }
+
+    // The morph oscillator crossfades its shapes, so corners with named or
+    // morph waves blend their positions. The geometry wave can't blend and
+    // switches over where its corner starts to dominate.
+    blendWaveform(present, dominant) {
+        if (dominant.waveform === 'geometry') {
+            return { waveform: 'geometry', morph: dominant.morph };
+        }
+
+        const waves = present.filter(entry => entry.snapshot.waveform !== 'geometry');
+        const morph = blendValues(waves.map(entry => ({ value: entry.snapshot.morph, weight: entry.weight })));
+        const named = waves.every(entry => entry.snapshot.waveform === dominant.waveform);
+        return { waveform: named ? dominant.waveform : 'morph', morph };
+    }
+
+    // Modules line up by position. Each takes the values of the corners whose
+    // module there is the same type; bypass and tempo sync, like the layout
+    // itself, come from the heaviest corner.
+    blendEffects(present, dominant) {
+        return dominant.effects.map((module, i) => {
+            const matching = present.filter(entry => {
+                const other = entry.snapshot.effects[i];
+                return other && other.type === module.type;
+            });
+            const specs = EFFECT_TYPES[module.type].params;
+
+            const params = {};
+            Object.keys(module.params).forEach(name => {
+                const entries = matching.map(entry => ({ value: entry.snapshot.effects[i].params[name], weight: entry.weight }));
+                params[name] = blendValues(entries, specs[name] && specs[name].curve === 'exponential');
+            });
+
+            return {
+                type: module.type,
+                bypass: module.bypass,
+                sync: module.sync,
+                mix: blendValues(matching.map(entry => ({ value: entry.snapshot.effects[i].mix, weight: entry.weight }))),
+                params
+            };
+        });
+    }
+
+    // Only what changed is set, so a small move doesn't resend everything
+    apply(state) {
+        const interaction = this.interaction;
+
+        if (state.shape !== this.scene.shapeType) interaction.changeShape(state.shape);
+
+        const voice = interaction.getVoice();
+        if (state.waveform === 'morph') {
+            if (voice.waveform === 'geometry') interaction.changeWaveform('morph');
+            if (differs(voice.morph, state.morph)) this.params.setValue('osc.morph', state.morph);
+        } else if (state.waveform !== voice.waveform) {
+            interaction.changeWaveform(state.waveform);
+        }
+
+        const envelope = this.audio.envelope;
+        if (Object.keys(state.envelope).some(stage => differs(envelope[stage], state.envelope[stage]))) {
+            this.audio.setEnvelope(state.envelope);
+        }
+
+        // A different layout has to rebuild the chain
+        if (!this.audio.effects.update(state.effects)) this.audio.effects.load(state.effects);
+
+        Object.keys(state.params).forEach(id => {
+            const current = this.params.getValue(id);
+            if (current === undefined || differs(current, state.params[id])) this.params.setValue(id, state.params[id]);
+        });
+    }
+
+    // Let the rack editor catch up once a drag is over
+    finish() {
+        this.audio.effects.notify();
+    }
+}
+
+// The pad itself: corner markers sized by weight, and a puck to drag
+export class SnapshotPad {
+    constructor(canvas, morph) {
+        this.canvas = canvas;
+        this.morph = morph;
+        this.pointer = null;
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (this.pointer !== null) return;
+
+            this.pointer = e.pointerId;
+            canvas.setPointerCapture(e.pointerId);
+            this.moveTo(e);
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (e.pointerId === this.pointer) this.moveTo(e);
+        });
+        const release = (e) => {
+            if (e.pointerId !== this.pointer) return;
+
+            this.pointer = null;
+            morph.finish();
+        };
+        canvas.addEventListener('pointerup', release);
+        canvas.addEventListener('pointercancel', release);
+
+        morph.onChange(() => this.draw());
+        this.draw();
+    }
+
+    moveTo(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.morph.setPosition((e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height);
+    }
+
+    draw() {
+        const { width, height } = this.canvas;
+        const g = this.canvas.getContext('2d');
+        g.clearRect(0, 0, width, height);
+
+        g.strokeStyle = COLORS.grid;
+        g.lineWidth = 1;
+        g.beginPath();
+        g.moveTo(width / 2, 0);
+        g.lineTo(width / 2, height);
+        g.moveTo(0, height / 2);
+        g.lineTo(width, height / 2);
+        g.stroke();
+
+        const weights = this.morph.weights;
+        const margin = 16;
+        g.font = '11px sans-serif';
+        g.textAlign = 'center';
+        g.textBaseline = 'middle';
+        CORNERS.forEach((label, i) => {
+            const x = i % 2 ? width - margin : margin;
+            const y = i < 2 ? margin : height - margin;
+            const filled = Boolean(this.morph.corners[i]);
+
+            g.fillStyle = filled ? COLORS.filled : COLORS.empty;
+            g.globalAlpha = filled ? 0.3 + weights[i] * 0.7 : 1;
+            g.beginPath();
+            g.arc(x, y, 6 + weights[i] * 8, 0, Math.PI * 2);
+            g.fill();
+
+            g.globalAlpha = 1;
+            g.fillStyle = COLORS.text;
+            g.fillText(label, x, y);
+        });
+
+        g.fillStyle = COLORS.puck;
+        g.beginPath();
+        g.arc(this.morph.x * width, this.morph.y * height, 5, 0, Math.PI * 2);
+        g.fill();
+    }
+}
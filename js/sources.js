@@ -0,0 +1,143 @@
+// sources.js - External audio sources (microphone, audio files) for the effects chain
+
+// Live input. Browser voice processing is off so music comes through untouched.
+export class MicrophoneInput {
+    constructor(audioContext, destination) {
+        this.audioContext = audioContext;
+        this.destination = destination;
+        this.stream = null;
+        this.node = null;
+    }
+
+    get isOpen() {
+        return this.stream !== null;
+    }
+
+    async open() {
+        if (this.stream) return;
+
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        });
+        this.node = this.audioContext.createMediaStreamSource(this.stream);
+        this.node.connect(this.destination);
+    }
+
+    close() {
+        if (!this.stream) return;
+
+        this.node.disconnect();
+        this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.node = null;
+    }
+}
+
+// Decoded file with play / pause / loop / seek. Buffer sources are one-shot,
+// so each play or seek starts a fresh node from `offset`. Works on an
+// OfflineAudioContext too.
+export class FilePlayer {
+    constructor(audioContext, destination) {
+        this.audioContext = audioContext;
+        this.destination = destination;
+
+        this.buffer = null;
+        this.name = '';
+        this.node = null;
+        this.loop = false;
+        this.isPlaying = false;
+
+        this.offset = 0; // playhead while stopped, seconds
+        this.startedAt = 0; // context time playback last started from `offset`
+
+        this.onEnded = null;
+    }
+
+    get duration() {
+        return this.buffer ? this.buffer.duration : 0;
+    }
+
+    // `data` is the file's ArrayBuffer
+    async load(data, name = '') {
+        this.stop();
+        this.buffer = await this.audioContext.decodeAudioData(data);
+        this.name = name;
+    }
+
+    play(when = this.audioContext.currentTime) {
+        if (!this.buffer || this.isPlaying) return;
+
+        if (this.offset >= this.duration) this.offset = 0;
+
+        const node = this.audioContext.createBufferSource();
+        node.buffer = this.buffer;
+        node.loop = this.loop;
+        node.connect(this.destination);
+
+        // Only a node that ran to the end counts, not one stopped by pause or seek
+        node.onended = () => {
+            if (this.node !== node) return;
+
+            this.node = null;
+            this.isPlaying = false;
+            this.offset = 0;
+            if (this.onEnded) this.onEnded();
+        };
+
+        node.start(when, this.offset);
+        this.node = node;
+        this.startedAt = when;
+        this.isPlaying = true;
+    }
+
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.offset = this.getCurrentTime();
+        this.stopNode();
+    }
+
+    stop() {
+        this.stopNode();
+        this.offset = 0;
+    }
+
+    stopNode() {
+        const node = this.node;
+        this.node = null;
+        this.isPlaying = false;
+        if (!node) return;
+
+        node.stop();
+        node.disconnect();
+    }
+
+    seek(time) {
+        const wasPlaying = this.isPlaying;
+        this.stopNode();
+        this.offset = Math.max(0, Math.min(this.duration, time));
+
+        if (wasPlaying) this.play();
+    }
+
+    setLoop(loop) {
+        // Rebase so the playhead stays put when the wrap-around rule changes
+        if (this.isPlaying) {
+            this.offset = this.getCurrentTime();
+            this.startedAt = this.audioContext.currentTime;
+            this.node.loop = loop;
+        }
+        this.loop = loop;
+    }
+
+    getCurrentTime() {
+        if (!this.isPlaying) return this.offset;
+
+        const elapsed = this.offset + Math.max(0, this.audioContext.currentTime - this.startedAt);
+        return this.loop ? elapsed % this.duration : Math.min(elapsed, this.duration);
+    }
+}
@@ -0,0 +1,144 @@
+// spatial.js - HRTF panning and the independent voices of added shapes
+
+import { Voice, MORPH_SHAPES, MORPH_MAX } from './voices.js';
+
+// The listener sits where the camera is, so the scene's centre is 5 units ahead
+export const LISTENER_POSITION = { x: 0, y: 0, z: 5 };
+
+export function createSpatialPanner(audioContext) {
+    const panner = audioContext.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.refDistance = LISTENER_POSITION.z; // unity gain at the scene's centre
+    panner.rolloffFactor = 1;
+    return panner;
+}
+
+// Older implementations only have setPosition()
+export function placePanner(panner, position, audioContext) {
+    if (panner.positionX) {
+        const now = audioContext.currentTime;
+        panner.positionX.setTargetAtTime(position.x, now, 0.02);
+        panner.positionY.setTargetAtTime(position.y, now, 0.02);
+        panner.positionZ.setTargetAtTime(position.z, now, 0.02);
+    } else {
+        panner.setPosition(position.x, position.y, position.z);
+    }
+}
+
+export function placeListener(audioContext, position = LISTENER_POSITION) {
+    const listener = audioContext.listener;
+    if (listener.positionX) {
+        listener.positionX.value = position.x;
+        listener.positionY.value = position.y;
+        listener.positionZ.value = position.z;
+    } else {
+        listener.setPosition(position.x, position.y, position.z);
+    }
+}
+
+// A drone of its own for an added shape: oscillator -> filter -> panner,
+// feeding the synth's shared effects chain
+export class ShapeVoice {
+    constructor(audio, settings = {}) {
+        this.audio = audio;
+        this.audioContext = audio.audioContext;
+        this.isPlaying = false;
+
+        this.currentFrequency = settings.frequency || 220;
+        this.filterFrequency = settings.filterFrequency || 1000;
+        this.filterQ = settings.filterQ || 5;
+        this.waveform = settings.waveform || 'sine';
+        this.morph = settings.morph !== undefined ? settings.morph : Math.max(0, MORPH_SHAPES.indexOf(this.waveform));
+
+        this.filter = this.audioContext.createBiquadFilter();
+        this.filter.type = 'lowpass';
+        this.filter.frequency.value = this.filterFrequency;
+        this.filter.Q.value = this.filterQ;
+
+        this.panner = createSpatialPanner(this.audioContext);
+
+        // Mute / solo
+        this.channelGain = this.audioContext.createGain();
+
+        this.filter.connect(this.panner);
+        this.panner.connect(this.channelGain);
+        this.channelGain.connect(audio.spatialBus);
+
+        this.voice = new Voice(this.audioContext, this.filter, this.waveform, audio.periodicWave, {
+            morph: this.morph,
+            worklet: audio.morphWorklet
+        });
+    }
+
+    start() {
+        this.isPlaying = true;
+        this.voice.noteOn('drone', this.currentFrequency, 1, this.audio.envelope);
+    }
+
+    stop() {
+        this.isPlaying = false;
+        this.voice.noteOff(this.audio.envelope);
+    }
+
+    setFrequency(freq) {
+        this.currentFrequency = Math.max(50, Math.min(2000, freq));
+        this.voice.setFrequency(this.currentFrequency, this.audio.glideTime);
+    }
+
+    // Follows the synth's scale the same way the main drone does
+    setPitch(freq) {
+        this.setFrequency(this.audio.tuning ? this.audio.tuning.quantize(freq) : freq);
+    }
+
+    setFilterFrequency(freq) {
+        this.filterFrequency = Math.max(200, Math.min(5000, freq));
+        this.filter.frequency.linearRampToValueAtTime(
+            this.filterFrequency,
+            this.audioContext.currentTime + 0.05
+        );
+    }
+
+    setFilterQ(q) {
+        this.filterQ = Math.max(1, Math.min(20, q));
+        this.filter.Q.linearRampToValueAtTime(
+            this.filterQ,
+            this.audioContext.currentTime + 0.05
+        );
+    }
+
+    setWaveform(type) {
+        this.waveform = type;
+        this.voice.setWaveform(type, this.audio.periodicWave);
+        this.morph = this.voice.morph;
+    }
+
+    // Same rules as the synth's own morph
+    setMorph(position) {
+        this.morph = Math.max(0, Math.min(MORPH_MAX, position));
+        if (this.waveform !== 'geometry') this.waveform = 'morph';
+        this.voice.setMorph(this.morph);
+    }
+
+    setPosition(position) {
+        placePanner(this.panner, position, this.audioContext);
+    }
+
+    setChannelGain(gain) {
+        this.channelGain.gain.setTargetAtTime(gain, this.audioContext.currentTime, 0.02);
+    }
+
+    getDroneFrequencyParam() {
+        return this.voice.frequencyParam;
+    }
+
+    // Fade out, then tear the nodes down once the release has finished
+    dispose() {
+        this.stop();
+        const release = this.audio.envelope.release + 0.1;
+        setTimeout(() => {
+            this.voice.stopOscillator();
+            this.channelGain.disconnect();
+        }, release * 1000);
+    }
+}
@@ -0,0 +1,142 @@
+// spectrum.js - Spectral feed from the analyser, and visual presets that route it
+
+// Band edges in Hz
+export const BANDS = {
+    low: [20, 250],
+    mid: [250, 2500],
+    high: [2500, 16000]
+};
+
+// Log-spaced bins for per-vertex effects, 40 Hz - 16 kHz
+export const BIN_COUNT = 16;
+const BIN_MIN = 40;
+const BIN_MAX = 16000;
+
+// 1024 points so the bass band spans several bins
+const FFT_SIZE = 1024;
+
+// How much each band (and the raw waveform) drives each visual effect, and
+// how hard the shapes pulse on the clock's beat
+export const VISUAL_PRESETS = {
+    classic: {
+        label: 'Classic',
+        mesh: { low: 0, mid: 0, high: 0, wave: 0 },
+        particles: { low: 0, mid: 0, high: 0 },
+        beat: 0
+    },
+    pulse: {
+        label: 'Bass Pulse',
+        mesh: { low: 0.6, mid: 0.1, high: 0, wave: 0 },
+        particles: { low: 1, mid: 0.2, high: 0 },
+        beat: 1
+    },
+    shimmer: {
+        label: 'Shimmer',
+        mesh: { low: 0, mid: 0.2, high: 0.7, wave: 0 },
+        particles: { low: 0, mid: 0.4, high: 1 },
+        beat: 0.3
+    },
+    waveform: {
+        label: 'Waveform',
+        mesh: { low: 0, mid: 0, high: 0, wave: 0.5 },
+        particles: { low: 0.3, mid: 0.3, high: 0.3 },
+        beat: 0.3
+    },
+    full: {
+        label: 'Full Spectrum',
+        mesh: { low: 0.4, mid: 0.3, high: 0.3, wave: 0.1 },
+        particles: { low: 0.8, mid: 0.6, high: 0.6 },
+        beat: 0.6
+    }
+};
+
+// Which band a frequency falls in
+export function bandOf(frequency) {
+    if (frequency < BANDS.mid[0]) return 'low';
+    if (frequency < BANDS.high[0]) return 'mid';
+    return 'high';
+}
+
+// Centre frequency of each log-spaced bin
+export function binFrequencies() {
+    const frequencies = [];
+    for (let i = 0; i < BIN_COUNT; i++) {
+        frequencies.push(BIN_MIN * Math.pow(BIN_MAX / BIN_MIN, (i + 0.5) / BIN_COUNT));
+    }
+    return frequencies;
+}
+
+export class SpectrumFeed {
+    constructor(audio) {
+        this.audio = audio;
+
+        // Smoothed energies, 0-1
+        this.bands = { low: 0, mid: 0, high: 0 };
+        this.bins = new Float32Array(BIN_COUNT);
+        this.binBands = binFrequencies().map(bandOf);
+
+        // Latest time-domain waveform, -1 to 1
+        this.waveform = new Float32Array(0);
+
+        this.attack = 0.03; // seconds
+        this.release = 0.25;
+
+        // A tap of its own off the synth's analyser, which stays small
+        this.analyser = null;
+    }
+
+    // The analyser waits for the audio graph
+    createAnalyser() {
+        this.analyser = this.audio.audioContext.createAnalyser();
+        this.analyser.fftSize = FFT_SIZE;
+        this.audio.analyser.connect(this.analyser);
+        this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+        this.waveformData = new Uint8Array(this.analyser.fftSize);
+    }
+
+    // Called every frame
+    update(deltaTime) {
+        if (!this.audio.initialized || !(deltaTime > 0)) return;
+        if (!this.analyser) this.createAnalyser();
+
+        const frequency = this.frequencyData;
+        const waveform = this.waveformData;
+        this.analyser.getByteFrequencyData(frequency);
+        this.analyser.getByteTimeDomainData(waveform);
+
+        const sampleRate = this.audio.audioContext.sampleRate;
+        const binWidth = sampleRate / 2 / frequency.length;
+
+        // Mean magnitude of the FFT bins between two frequencies (at least one bin)
+        const energy = (from, to) => {
+            const start = Math.min(frequency.length - 1, Math.floor(from / binWidth));
+            const end = Math.max(start + 1, Math.min(frequency.length, Math.ceil(to / binWidth)));
+            let sum = 0;
+            for (let i = start; i < end; i++) sum += frequency[i];
+            return sum / (end - start) / 255;
+        };
+
+        Object.keys(BANDS).forEach(band => {
+            this.bands[band] = this.follow(this.bands[band], energy(BANDS[band][0], BANDS[band][1]), deltaTime);
+        });
+
+        const ratio = Math.pow(BIN_MAX / BIN_MIN, 1 / BIN_COUNT);
+        for (let i = 0; i < BIN_COUNT; i++) {
+            const from = BIN_MIN * Math.pow(ratio, i);
+            this.bins[i] = this.follow(this.bins[i], energy(from, from * ratio), deltaTime);
+        }
+
+        if (this.waveform.length !== waveform.length) {
+            this.waveform = new Float32Array(waveform.length);
+        }
+        for (let i = 0; i < waveform.length; i++) {
+            this.waveform[i] = (waveform[i] - 128) / 128;
+        }
+    }
+
+    // Fast rise, slow fall
+    follow(current, target, deltaTime) {
+        const time = target > current ? this.attack : this.release;
+        return current + (target - current) * (1 - Math.exp(-deltaTime / time));
+    }
+}
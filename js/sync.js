@@ -0,0 +1,554 @@
+// sync.js - Jam sessions: one shared synth state across tabs and machines
+
+// Remote changes are played this long after they were made, on the sender's
+// clock, so network jitter doesn't make a sweep stutter
+const JITTER_BUFFER = 50; // ms
+
+// Touching a parameter holds it this long against everyone else
+const TOUCH_HOLD = 1000; // ms
+
+// Presence and clock sync
+const HEARTBEAT = 5000; // ms
+const PEER_TIMEOUT = 15000; // ms
+
+function createId() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
+// Transports carry plain objects between clients in a room. Each has
+// open(onMessage) (resolves once connected), send(message) and close(),
+// and calls onClose() if the connection drops.
+
+// Tabs of the same browser, no server needed
+export class BroadcastTransport {
+    constructor(room = 'default') {
+        this.room = room;
+        this.channel = null;
+        this.onClose = null;
+    }
+
+    async open(onMessage) {
+        this.channel = new BroadcastChannel('geomusic-jam:' + this.room);
+        this.channel.onmessage = (e) => onMessage(e.data);
+    }
+
+    send(message) {
+        if (this.channel) this.channel.postMessage(message);
+    }
+
+    close() {
+        if (this.channel) this.channel.close();
+        this.channel = null;
+    }
+}
+
+// Through a relay such as server/relay.mjs - the room is the URL path
+export class WebSocketTransport {
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        this.onClose = null;
+    }
+
+    open(onMessage) {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            socket.onopen = () => {
+                this.socket = socket;
+                resolve();
+            };
+            socket.onerror = () => reject(new Error('Could not connect to ' + this.url));
+            socket.onmessage = (e) => {
+                // Anyone can reach the relay, so frames that aren't JSON are dropped
+                let message;
+                try {
+                    message = JSON.parse(e.data);
+                } catch (err) {
+                    console.warn('Could not read jam message:', err);
+                    return;
+                }
+                onMessage(message);
+            };
+            socket.onclose = () => {
+                const wasOpen = this.socket === socket;
+                this.socket = null;
+                if (wasOpen && this.onClose) this.onClose();
+            };
+        });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.close();
+    }
+}
+
+// Shares registry parameter changes, shape/waveform/voice-mode changes,
+// added and removed shapes and patch loads. Shapes are matched by their place
+// in the scene's list, so per-shape parameters land on the same shape everywhere.
+export class SyncSession {
+    constructor(params, scene, interaction, patches, audio) {
+        this.params = params;
+        this.scene = scene;
+        this.interaction = interaction;
+        this.patches = patches;
+        this.audio = audio;
+
+        this.id = createId();
+        this.transport = null;
+        this.synced = false; // has had a snapshot since joining
+        this.applying = false; // true while applying a remote change
+
+        // peer id -> { offset (their clock - ours, ms), rtt, seen }
+        this.peers = new Map();
+
+        // parameter key -> { peer, until }; until is Infinity for locks
+        this.owners = new Map();
+
+        // parameter key -> local time of the change applied last, so late
+        // arrivals don't overwrite newer values
+        this.stamps = new Map();
+
+        // Latest unsent change per key, flushed once a frame
+        this.outbox = new Map();
+
+        // Lock every parameter touched, until unlockAll()
+        this.lockTouched = false;
+
+        this.listeners = [];
+        this.heartbeat = null;
+
+        params.onChange((id, value) => this.onLocalChange(id, value));
+        interaction.onAction((name, value) => this.onLocalAction(name, value));
+        if (interaction.shapes) interaction.shapes.onEdit((edit, index) => this.onLocalEdit(edit, index));
+        patches.onApply(() => {
+            if (this.transport && !this.applying) this.send({ type: 'state', snapshot: this.snapshot() });
+        });
+        params.isLocked = (id) => this.isLocked(id);
+    }
+
+    // Notified when peers or locks change
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    notify() {
+        this.listeners.forEach(fn => fn());
+    }
+
+    get connected() {
+        return this.transport !== null;
+    }
+
+    async join(transport) {
+        this.leave();
+
+        await transport.open((message) => this.receive(message));
+        this.transport = transport;
+        this.synced = false;
+        transport.onClose = () => this.leave(false);
+
+        this.send({ type: 'hello' });
+        this.ping();
+        this.heartbeat = setInterval(() => this.ping(), HEARTBEAT);
+        this.notify();
+    }
+
+    leave(sayBye = true) {
+        if (!this.transport) return;
+
+        if (sayBye) this.send({ type: 'bye' });
+        this.transport.close();
+        this.transport = null;
+
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+        this.peers.clear();
+        this.owners.clear();
+        this.stamps.clear();
+        this.outbox.clear();
+        this.notify();
+    }
+
+    send(message) {
+        if (!this.transport) return;
+
+        this.transport.send(Object.assign({ from: this.id, time: Date.now() }, message));
+    }
+
+    // Shapes
+
+    shapeIndex() {
+        return this.scene.shapes.indexOf(this.scene.selectedShape);
+    }
+
+    // Run fn with shape `index` selected, without touching the UI's selection.
+    // Returns false if this client has no such shape.
+    withShape(index, fn) {
+        const shape = this.scene.shapes[index];
+        if (!shape) return false;
+
+        const previous = this.scene.selectedShape;
+        if (shape === previous) {
+            fn();
+            return true;
+        }
+
+        this.scene.selectShape(shape.id);
+        try {
+            fn();
+        } finally {
+            this.scene.selectShape(previous.id);
+        }
+        return true;
+    }
+
+    key(id, shape) {
+        const param = this.params.get(id);
+        return param && param.perShape ? id + '@' + shape : id;
+    }
+
+    // Ownership
+
+    isLocked(id) {
+        if (!this.transport) return false;
+
+        const owner = this.owners.get(this.key(id, this.shapeIndex()));
+        return Boolean(owner) && owner.peer !== this.id && owner.until > Date.now();
+    }
+
+    // Parameters other players have locked: [{ id, label, shape, peer }]
+    lockedByOthers() {
+        const locked = [];
+        this.owners.forEach((owner, key) => {
+            if (owner.peer === this.id || owner.until !== Infinity) return;
+
+            const [id, shape] = key.split('@');
+            const param = this.params.get(id);
+            locked.push({
+                id,
+                label: param ? param.label : id,
+                shape: shape !== undefined ? Number(shape) : null,
+                peer: owner.peer
+            });
+        });
+        return locked;
+    }
+
+    setLockTouched(on) {
+        this.lockTouched = on;
+        if (!on) this.unlockAll();
+    }
+
+    unlockAll() {
+        this.owners.forEach((owner, key) => {
+            if (owner.peer !== this.id) return;
+
+            this.owners.delete(key);
+            this.send({ type: 'unlock', key });
+        });
+        this.notify();
+    }
+
+    // Local changes
+
+    onLocalChange(id, value) {
+        if (!this.transport || this.applying) return;
+
+        const shape = this.shapeIndex();
+        const key = this.key(id, shape);
+        const now = Date.now();
+        this.stamps.set(key, now);
+        this.outbox.set(key, { type: 'set', id, shape, value, time: now });
+
+        if (this.lockTouched && !this.owners.has(key)) {
+            this.owners.set(key, { peer: this.id, until: Infinity });
+            this.send({ type: 'lock', key });
+            this.notify();
+        }
+    }
+
+    onLocalAction(name, value) {
+        if (!this.transport || this.applying) return;
+
+        this.send({ type: 'action', name, value, shape: this.shapeIndex() });
+    }
+
+    // Added shapes go out with their sound, so they start the same everywhere
+    onLocalEdit(edit, index) {
+        if (!this.transport || this.applying) return;
+
+        if (edit === 'add') {
+            this.send({ type: 'action', name: 'addShape', shape: index, value: this.shapeState(index) });
+        } else {
+            this.send({ type: 'action', name: 'removeShape', shape: index });
+        }
+    }
+
+    // Called every frame - sends what changed, at most once per parameter
+    update() {
+        if (!this.transport || this.outbox.size === 0) return;
+
+        this.outbox.forEach(message => this.send(message));
+        this.outbox.clear();
+    }
+
+    // Incoming
+
+    receive(message) {
+        if (message.from === this.id || (message.to && message.to !== this.id)) return;
+
+        const peer = this.peers.get(message.from);
+        if (peer) {
+            peer.seen = Date.now();
+        } else if (message.type !== 'bye') {
+            this.peers.set(message.from, { offset: 0, rtt: Infinity, seen: Date.now() });
+            this.notify();
+        }
+
+        switch (message.type) {
+            case 'hello':
+                // Everyone answers; the newcomer takes the first snapshot
+                this.send({ type: 'state', to: message.from, snapshot: this.snapshot() });
+                break;
+
+            case 'state':
+                // Replies to our hello count once; broadcasts (patch loads) always
+                if (message.to && this.synced) break;
+                this.synced = true;
+                this.applySnapshot(message.snapshot, this.localTime(message));
+                break;
+
+            case 'set':
+                this.applySet(message);
+                break;
+
+            case 'action':
+                this.applyAction(message);
+                break;
+
+            case 'lock':
+                this.owners.set(message.key, { peer: message.from, until: Infinity });
+                this.notify();
+                break;
+
+            case 'unlock':
+                if (this.owners.has(message.key) && this.owners.get(message.key).peer === message.from) {
+                    this.owners.delete(message.key);
+                    this.notify();
+                }
+                break;
+
+            case 'ping':
+                this.send({ type: 'pong', to: message.from, sent: message.time });
+                break;
+
+            case 'pong':
+                this.measure(message);
+                break;
+
+            case 'bye':
+                this.dropPeer(message.from);
+                break;
+        }
+    }
+
+    // A message's send time on our clock
+    localTime(message) {
+        const peer = this.peers.get(message.from);
+        return message.time - (peer ? peer.offset : 0);
+    }
+
+    applySet(message) {
+        const key = this.key(message.id, message.shape);
+        const time = this.localTime(message);
+        if (this.stamps.get(key) > time) return;
+        this.stamps.set(key, time);
+
+        const owner = this.owners.get(key);
+        if (!owner || owner.until !== Infinity) {
+            this.owners.set(key, { peer: message.from, until: Date.now() + TOUCH_HOLD });
+        }
+
+        // Audio plays the change a fixed delay after it was made
+        const delay = Math.max(0, time + JITTER_BUFFER - Date.now()) / 1000;
+        const when = this.audio.initialized && delay > 0 ? this.audio.audioContext.currentTime + delay : 0;
+
+        this.apply(() => this.withShape(message.shape, () => {
+            this.params.applyValue(message.id, message.value, when);
+        }));
+    }
+
+    applyAction(message) {
+        if (message.name === 'addShape' || message.name === 'removeShape') {
+            this.apply(() => this.editShapes(message));
+            return;
+        }
+
+        this.apply(() => this.withShape(message.shape, () => {
+            const voice = this.interaction.getVoice();
+            switch (message.name) {
+                case 'shape':
+                    if (this.scene.shapeType !== message.value) this.interaction.changeShape(message.value);
+                    break;
+                case 'waveform':
+                    if (voice.waveform !== message.value) this.interaction.changeWaveform(message.value);
+                    break;
+                case 'voiceMode':
+                    if (this.audio.voiceMode !== message.value) this.interaction.changeVoiceMode(message.value);
+                    break;
+            }
+        }));
+    }
+
+    // A partner's shape is added in the same place in the list, keeping our
+    // own selection; one we don't have can't be removed
+    editShapes(message) {
+        const shapes = this.interaction.shapes;
+        if (!shapes) return;
+
+        if (message.name === 'removeShape') {
+            const shape = this.scene.shapes[message.shape];
+            if (shape) shapes.removeShape(shape.id);
+            return;
+        }
+
+        if (this.scene.shapes.length !== message.shape) return;
+
+        const previous = this.scene.selectedShape;
+        if (!shapes.addShape(message.value.type)) return;
+        this.scene.selectShape(previous.id);
+        this.applyShapeState(message.value, message.shape, this.localTime(message));
+    }
+
+    // Remote changes aren't sent back out, and the UI catches up after
+    apply(fn) {
+        this.applying = true;
+        try {
+            fn();
+        } finally {
+            this.applying = false;
+        }
+
+        if (this.interaction.shapes) this.interaction.shapes.notify();
+        this.interaction.updateUI();
+    }
+
+    // Snapshots for late joiners: the patch, every shape with its own
+    // parameters, the global parameters and the locks
+
+    // Type, waveform and per-shape parameters of shape `index`
+    shapeState(index) {
+        const state = { type: this.scene.shapes[index].type, values: {} };
+        this.withShape(index, () => {
+            state.waveform = this.interaction.getVoice().waveform;
+            this.params.list().filter(param => param.perShape).forEach(param => {
+                state.values[param.id] = param.get();
+            });
+        });
+        return state;
+    }
+
+    applyShapeState(state, index, time) {
+        this.withShape(index, () => {
+            if (this.scene.shapeType !== state.type) this.interaction.changeShape(state.type);
+            if (this.interaction.getVoice().waveform !== state.waveform) {
+                this.interaction.changeWaveform(state.waveform);
+            }
+            Object.keys(state.values).forEach(id => {
+                this.params.applyValue(id, state.values[id]);
+                this.stamps.set(this.key(id, index), time);
+            });
+        });
+    }
+
+    // Add or remove shapes until the scene has as many as the snapshot.
+    // The first shape always stays.
+    matchShapes(states) {
+        const shapes = this.interaction.shapes;
+        if (!shapes) return;
+
+        while (this.scene.shapes.length > Math.max(1, states.length)) {
+            shapes.removeShape(this.scene.shapes[this.scene.shapes.length - 1].id);
+        }
+
+        const selected = this.scene.selectedShape;
+        while (this.scene.shapes.length < states.length) {
+            if (!shapes.addShape(states[this.scene.shapes.length].type)) break;
+        }
+        this.scene.selectShape(selected.id);
+    }
+
+    snapshot() {
+        const shapes = this.scene.shapes.map((shape, index) => this.shapeState(index));
+
+        const values = {};
+        this.params.list().filter(param => !param.perShape).forEach(param => { values[param.id] = param.get(); });
+
+        const locks = [];
+        this.owners.forEach((owner, key) => {
+            if (owner.until === Infinity) locks.push({ key, peer: owner.peer });
+        });
+
+        return { patch: this.patches.capture('Jam'), shapes, values, locks };
+    }
+
+    applySnapshot(snapshot, time) {
+        this.apply(() => {
+            // Everyone keeps their own mappings - they decide who plays what
+            this.patches.apply(Object.assign({}, snapshot.patch, { mappings: this.interaction.mapper.toJSON() }));
+
+            this.matchShapes(snapshot.shapes);
+            snapshot.shapes.forEach((state, index) => this.applyShapeState(state, index, time));
+
+            Object.keys(snapshot.values).forEach(id => {
+                this.params.applyValue(id, snapshot.values[id]);
+                this.stamps.set(id, time);
+            });
+
+            snapshot.locks.forEach(lock => this.owners.set(lock.key, { peer: lock.peer, until: Infinity }));
+        });
+        this.notify();
+    }
+
+    // Clocks and presence
+
+    ping() {
+        this.send({ type: 'ping' });
+
+        // Whoever has gone quiet has left, and lets go of what they held
+        const now = Date.now();
+        this.peers.forEach((peer, id) => {
+            if (now - peer.seen > PEER_TIMEOUT) this.dropPeer(id);
+        });
+    }
+
+    // NTP-style: their clock read halfway through the round trip. The
+    // quickest round trip gives the best estimate.
+    measure(message) {
+        const peer = this.peers.get(message.from);
+        if (!peer) return;
+
+        const now = Date.now();
+        const rtt = now - message.sent;
+        if (rtt <= peer.rtt * 1.5) {
+            peer.rtt = Math.min(peer.rtt, rtt);
+            peer.offset = message.time - (message.sent + rtt / 2);
+        }
+    }
+
+    dropPeer(id) {
+        this.peers.delete(id);
+        this.owners.forEach((owner, key) => {
+            if (owner.peer === id) this.owners.delete(key);
+        });
+        this.notify();
+    }
+}
@@ -0,0 +1,111 @@
+// timbre.js - Derives oscillator waveforms from the mesh geometry
+
+const PROFILE_SIZE = 128;
+const HARMONICS = 32;
+
+// Silhouette of the rotated mesh as seen along the camera axis, sampled as
+// the support function h(θ) = max over vertices of (x·cosθ + y·sinθ).
+// One revolution of the outline becomes one period of the waveform.
+// Uses the rest shape, so spectrum displacement doesn't feed back into the sound.
+export function computeProfile(geometry, rotation, size = PROFILE_SIZE) {
+    const positions = geometry.userData.basePosition || geometry.attributes.position;
+    const matrix = new THREE.Matrix4().makeRotationFromEuler(rotation);
+    const vertex = new THREE.Vector3();
+
+    // Project each vertex once
+    const xs = new Float32Array(positions.count);
+    const ys = new Float32Array(positions.count);
+    for (let i = 0; i < positions.count; i++) {
+        vertex.fromBufferAttribute(positions, i).applyMatrix4(matrix);
+        xs[i] = vertex.x;
+        ys[i] = vertex.y;
+    }
+
+    const profile = new Float32Array(size);
+    for (let n = 0; n < size; n++) {
+        const angle = (n / size) * Math.PI * 2;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        let max = -Infinity;
+        for (let i = 0; i < xs.length; i++) {
+            const d = xs[i] * cos + ys[i] * sin;
+            if (d > max) max = d;
+        }
+        profile[n] = max;
+    }
+
+    return profile;
+}
+
+// Fourier series of the profile, in the real/imag layout createPeriodicWave expects
+export function computeHarmonics(profile, count = HARMONICS) {
+    const size = profile.length;
+
+    // Remove DC and normalize the outline's deviation to ±1
+    let mean = 0;
+    for (let n = 0; n < size; n++) mean += profile[n];
+    mean /= size;
+
+    let peak = 0;
+    for (let n = 0; n < size; n++) peak = Math.max(peak, Math.abs(profile[n] - mean));
+    const scale = peak > 1e-6 ? 1 / peak : 0;
+
+    const real = new Float32Array(count + 1);
+    const imag = new Float32Array(count + 1);
+
+    for (let k = 1; k <= count; k++) {
+        let re = 0;
+        let im = 0;
+        for (let n = 0; n < size; n++) {
+            const phase = (2 * Math.PI * k * n) / size;
+            const value = (profile[n] - mean) * scale;
+            re += value * Math.cos(phase);
+            im += value * Math.sin(phase);
+        }
+        real[k] = (2 / size) * re;
+        imag[k] = (2 / size) * im;
+    }
+
+    return { real, imag };
+}
+
+export class GeometryTimbre {
+    constructor(scene, audio) {
+        this.scene = scene;
+        this.audio = audio;
+
+        // Balance between a pure fundamental and the shape's harmonics
+        this.amount = 1;
+        this.updateInterval = 30; // ms
+
+        this.lastKey = null;
+        this.lastUpdate = 0;
+    }
+
+    update(time) {
+        if (!this.audio.initialized || this.audio.waveform !== 'geometry') return;
+        if (!this.scene.mesh || time - this.lastUpdate < this.updateInterval) return;
+
+        // Only rebuild the wave when the shape or its orientation changes
+        const mesh = this.scene.mesh;
+        const key = mesh.geometry.uuid + ':' +
+            mesh.rotation.x.toFixed(2) + ':' + mesh.rotation.y.toFixed(2);
+        if (key === this.lastKey) return;
+
+        this.lastKey = key;
+        this.lastUpdate = time;
+
+        const profile = computeProfile(mesh.geometry, mesh.rotation);
+        const { real, imag } = computeHarmonics(profile);
+
+        // Keep a solid fundamental so every shape stays pitched
+        for (let k = 1; k < real.length; k++) {
+            real[k] *= this.amount;
+            imag[k] *= this.amount;
+        }
+        imag[1] += 1;
+
+        this.audio.setPeriodicWave(real, imag);
+    }
+}
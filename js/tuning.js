@@ -0,0 +1,261 @@
+// tuning.js - Scales, Scala tunings and pitch quantization
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Steps of each scale/mode, in degrees of a 12-note tuning
+export const SCALES = {
+    chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    phrygian: [0, 1, 3, 5, 7, 8, 10],
+    lydian: [0, 2, 4, 6, 7, 9, 11],
+    mixolydian: [0, 2, 4, 5, 7, 9, 10],
+    locrian: [0, 1, 3, 5, 6, 8, 10],
+    harmonicMinor: [0, 2, 3, 5, 7, 8, 11],
+    pentatonicMajor: [0, 2, 4, 7, 9],
+    pentatonicMinor: [0, 3, 5, 7, 10],
+    blues: [0, 3, 5, 6, 7, 10]
+};
+
+// Scala .scl - description, note count, then one pitch per line (cents or ratio)
+export function parseScl(text) {
+    const lines = text.split(/\r?\n/)
+        .filter(line => !line.trim().startsWith('!'))
+        .map(line => line.trim());
+
+    // The description may be blank; after it, blank lines are skipped
+    const description = lines.shift() || '';
+    const values = lines.filter(line => line !== '');
+    const count = parseInt(values.shift(), 10);
+    if (!(count > 0)) {
+        throw new Error('Invalid .scl file: missing note count');
+    }
+
+    const cents = [0];
+    for (let i = 0; i < count; i++) {
+        const token = (values[i] || '').split(/\s+/)[0];
+        if (!token) throw new Error('Invalid .scl file: expected ' + count + ' pitches');
+        cents.push(parsePitch(token));
+    }
+
+    // Last entry is the period (usually the octave, 1200 cents)
+    const period = cents.pop();
+    return { description, cents, period };
+}
+
+function parsePitch(token) {
+    if (token.includes('.')) {
+        return parseFloat(token);
+    }
+
+    const [num, den] = token.split('/').map(Number);
+    const ratio = num / (den || 1);
+    if (!(ratio > 0)) throw new Error('Invalid pitch in .scl file: ' + token);
+
+    return 1200 * Math.log2(ratio);
+}
+
+// Scala .kbm - keyboard mapping, one value per line
+export function parseKbm(text) {
+    const values = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('!'));
+
+    if (values.length < 7) {
+        throw new Error('Invalid .kbm file: header is incomplete');
+    }
+
+    const mapSize = parseInt(values[0], 10);
+    return {
+        mapSize,
+        firstNote: parseInt(values[1], 10),
+        lastNote: parseInt(values[2], 10),
+        middleNote: parseInt(values[3], 10),
+        referenceNote: parseInt(values[4], 10),
+        referenceFrequency: parseFloat(values[5]),
+        octaveDegree: parseInt(values[6], 10),
+        // 'x' marks an unmapped key
+        mapping: values.slice(7, 7 + mapSize).map(v => v === 'x' ? null : parseInt(v, 10))
+    };
+}
+
+export class TuningSystem {
+    constructor() {
+        this.root = 0; // 0 = C ... 11 = B
+        this.scale = 'chromatic';
+        this.snapMode = 'off'; // 'off' | 'hard' | 'soft'
+        this.softStrength = 0.5;
+
+        this.resetTuning();
+    }
+
+    // Back to 12-tone equal temperament
+    resetTuning() {
+        this.name = '12-TET';
+        this.cents = SCALES.chromatic.map(step => step * 100);
+        this.period = 1200;
+        this.keyboardMap = null;
+        this.rebuild();
+    }
+
+    loadScl(text) {
+        const scl = parseScl(text);
+        this.name = scl.description || 'Custom';
+        this.cents = scl.cents;
+        this.period = scl.period;
+        this.rebuild();
+    }
+
+    loadKbm(text) {
+        this.keyboardMap = parseKbm(text);
+        this.rebuild();
+    }
+
+    setRoot(root) {
+        this.root = ((root % 12) + 12) % 12;
+        this.rebuild();
+    }
+
+    setScale(scale) {
+        if (!SCALES[scale]) return;
+
+        this.scale = scale;
+        this.rebuild();
+    }
+
+    setSnapMode(mode) {
+        this.snapMode = mode;
+    }
+
+    // Key mapping - a .kbm file, or the root note on middle C's octave
+    getMapping() {
+        if (this.keyboardMap) return this.keyboardMap;
+
+        const middleNote = 60 + this.root;
+        return {
+            mapSize: 0,
+            firstNote: 0,
+            lastNote: 127,
+            middleNote,
+            referenceNote: middleNote,
+            referenceFrequency: 440 * Math.pow(2, (middleNote - 69) / 12),
+            octaveDegree: this.cents.length,
+            mapping: []
+        };
+    }
+
+    // Scale degree (counting across periods) for a MIDI note, or null if unmapped
+    noteDegree(note) {
+        const map = this.getMapping();
+        const offset = note - map.middleNote;
+
+        if (map.mapSize === 0) return offset;
+
+        const repeat = Math.floor(offset / map.mapSize);
+        const degree = map.mapping[((offset % map.mapSize) + map.mapSize) % map.mapSize];
+        if (degree === null || degree === undefined) return null;
+
+        return repeat * (map.octaveDegree || this.cents.length) + degree;
+    }
+
+    degreeCents(degree) {
+        const size = this.cents.length;
+        const repeat = Math.floor(degree / size);
+        return repeat * this.period + this.cents[((degree % size) + size) % size];
+    }
+
+    noteFrequency(note) {
+        const map = this.getMapping();
+        const degree = this.noteDegree(note);
+        if (degree === null) return null;
+
+        const referenceCents = this.degreeCents(this.noteDegree(map.referenceNote) || 0);
+        return map.referenceFrequency * Math.pow(2, (this.degreeCents(degree) - referenceCents) / 1200);
+    }
+
+    noteName(note) {
+        const degree = this.noteDegree(note);
+
+        if (this.cents.length === 12) {
+            return NOTE_NAMES[((note % 12) + 12) % 12] + (Math.floor(note / 12) - 1);
+        }
+
+        // Non-12 tunings: degree within the period, then the period number
+        const size = this.cents.length;
+        return (((degree % size) + size) % size) + '°' + Math.floor(degree / size);
+    }
+
+    // Is this note in the selected scale? Modes only apply to 12-note tunings
+    inScale(note) {
+        if (this.cents.length !== 12) return true;
+
+        const step = (((note - this.root) % 12) + 12) % 12;
+        return SCALES[this.scale].includes(step);
+    }
+
+    // The nth playable in-scale note at or above `from`, or null past the top
+    scaleNote(index, from) {
+        let count = -1;
+        for (let note = from; note < 128; note++) {
+            if (this.noteFrequency(note) === null || !this.inScale(note)) continue;
+            if (++count === index) return note;
+        }
+        return null;
+    }
+
+    // Sorted table of every playable note
+    rebuild() {
+        this.table = [];
+        for (let note = 0; note < 128; note++) {
+            const frequency = this.noteFrequency(note);
+            if (frequency === null || !(frequency > 0)) continue;
+
+            this.table.push({ note, frequency, inScale: this.inScale(note) });
+        }
+        this.table.sort((a, b) => a.frequency - b.frequency);
+    }
+
+    // Closest table entry in log-frequency
+    nearest(freq, inScaleOnly = false) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        this.table.forEach(entry => {
+            if (inScaleOnly && !entry.inScale) return;
+
+            const distance = Math.abs(Math.log2(freq / entry.frequency));
+            if (distance < bestDistance) {
+                best = entry;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+
+    // Apply the snap mode to a free frequency
+    quantize(freq) {
+        if (this.snapMode === 'off') return freq;
+
+        const target = this.nearest(freq, true);
+        if (!target) return freq;
+
+        if (this.snapMode === 'hard') return target.frequency;
+
+        // Soft: pull part of the way there, in log space
+        const pull = Math.log2(target.frequency / freq) * this.softStrength;
+        return freq * Math.pow(2, pull);
+    }
+
+    // Nearest note name and how far off it the frequency is
+    describe(freq) {
+        const entry = this.nearest(freq);
+        if (!entry) return null;
+
+        return {
+            name: this.noteName(entry.note),
+            cents: 1200 * Math.log2(freq / entry.frequency)
+        };
+    }
+}
@@ -0,0 +1,395 @@
+// voices.js - Polyphonic voice allocation with per-voice ADSR envelopes
+
+// The morph oscillator's shapes, in order - morph is a position along this
+// list, so a named waveform is just a whole-number morph
+export const MORPH_SHAPES = ['sine', 'triangle', 'sawtooth', 'square'];
+export const MORPH_MAX = MORPH_SHAPES.length - 1;
+
+// Time to glide between morph positions, so switching shapes never clicks
+const MORPH_GLIDE = 0.05;
+
+// Resolves true once the context can make morph oscillators. Without it
+// (no AudioWorklet, file:// pages) voices fall back to OscillatorNodes.
+export async function loadMorphOscillator(context) {
+    if (!context.audioWorklet) return false;
+
+    try {
+        await context.audioWorklet.addModule(new URL('./worklets/morph-oscillator.js', import.meta.url));
+        return true;
+    } catch (err) {
+        console.warn('Could not load the morph oscillator:', err);
+        return false;
+    }
+}
+
+// Percussive one-shots (shapes hitting the walls) ring this long
+const HIT_DECAY = 0.35; // seconds
+
+// One-shot knock outside the voice allocator, so it never steals a held
+// note: a triangle that drops into pitch, with a fast exponential decay
+export function playHit(audioContext, destination, frequency, velocity) {
+    const now = audioContext.currentTime;
+
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(0.5 * velocity, now + 0.003);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + HIT_DECAY);
+    gain.connect(destination);
+
+    const oscillator = audioContext.createOscillator();
+    oscillator.type = 'triangle';
+    oscillator.frequency.setValueAtTime(frequency * 1.5, now);
+    oscillator.frequency.exponentialRampToValueAtTime(frequency, now + 0.02);
+    oscillator.connect(gain);
+    oscillator.start(now);
+    oscillator.stop(now + HIT_DECAY);
+    oscillator.onended = () => gain.disconnect();
+}
+
+export class Voice {
+    // options: { morph: position 0-MORPH_MAX, worklet: true once loadMorphOscillator succeeded }
+    constructor(audioContext, destination, waveform, periodicWave = null, options = {}) {
+        this.audioContext = audioContext;
+        this.worklet = Boolean(options.worklet);
+        this.morph = options.morph !== undefined ? options.morph : Math.max(0, MORPH_SHAPES.indexOf(waveform));
+
+        this.key = null;
+        this.frequency = 440;
+        this.velocity = 1;
+        this.isActive = false;
+        this.startTime = 0;
+        this.releaseEndTime = 0;
+
+        // Envelope gain - every voice owns its own ADSR
+        this.envelope = audioContext.createGain();
+        this.envelope.gain.value = 0;
+        this.envelope.connect(destination);
+
+        this.createOscillator(waveform, periodicWave);
+    }
+
+    createOscillator(type, periodicWave) {
+        this.waveform = type;
+
+        // Named shapes and in-between morphs play on the worklet; the
+        // geometry wave needs a PeriodicWave, so it stays an OscillatorNode
+        if (this.worklet && type !== 'geometry') {
+            this.oscillator = new AudioWorkletNode(this.audioContext, 'morph-oscillator', {
+                numberOfInputs: 0,
+                outputChannelCount: [1],
+                parameterData: { frequency: this.frequency, morph: this.morph }
+            });
+            this.frequencyParam = this.oscillator.parameters.get('frequency');
+            this.morphParam = this.oscillator.parameters.get('morph');
+        } else {
+            this.oscillator = this.audioContext.createOscillator();
+            this.applyWaveform(type, periodicWave);
+            this.oscillator.frequency.value = this.frequency;
+            this.oscillator.start();
+            this.frequencyParam = this.oscillator.frequency;
+            this.morphParam = null;
+        }
+
+        this.oscillator.connect(this.envelope);
+    }
+
+    // 'geometry' plays the custom wave derived from the mesh; anything else
+    // plays the morph shape nearest the current position
+    applyWaveform(type, periodicWave) {
+        if (type === 'geometry') {
+            if (periodicWave) {
+                this.oscillator.setPeriodicWave(periodicWave);
+            } else {
+                this.oscillator.type = 'sine';
+            }
+        } else {
+            this.oscillator.type = MORPH_SHAPES[Math.round(this.morph)];
+        }
+    }
+
+    stopOscillator() {
+        this.oscillator.disconnect();
+        if (this.morphParam) {
+            this.oscillator.port.postMessage('stop');
+        } else {
+            this.oscillator.stop();
+        }
+    }
+
+    // 'morph' keeps the current position; a named shape moves to its own
+    setWaveform(type, periodicWave) {
+        const position = MORPH_SHAPES.indexOf(type);
+        if (position >= 0) this.morph = position;
+
+        // Between morph positions the running worklet just glides
+        if (this.morphParam && type !== 'geometry') {
+            this.waveform = type;
+            this.setMorph(this.morph);
+            return;
+        }
+
+        // Anything else needs a new oscillator
+        this.stopOscillator();
+        this.createOscillator(type, periodicWave);
+    }
+
+    setMorph(position) {
+        this.morph = position;
+        if (this.waveform === 'geometry') return;
+
+        if (this.morphParam) {
+            this.morphParam.linearRampToValueAtTime(position, this.audioContext.currentTime + MORPH_GLIDE);
+        } else {
+            // No worklet - snap to the nearest shape (type can change while running)
+            this.oscillator.type = MORPH_SHAPES[Math.round(position)];
+        }
+    }
+
+    // Custom waves can be swapped on a running oscillator without a restart
+    setPeriodicWave(periodicWave) {
+        this.oscillator.setPeriodicWave(periodicWave);
+    }
+
+    setFrequency(freq, glideTime = 0) {
+        const now = this.audioContext.currentTime;
+        this.frequency = freq;
+
+        if (glideTime > 0) {
+            this.frequencyParam.linearRampToValueAtTime(freq, now + glideTime);
+        } else {
+            this.frequencyParam.cancelScheduledValues(now);
+            this.frequencyParam.setValueAtTime(freq, now);
+        }
+    }
+
+    // Freeze the envelope at its current level so new segments start from there
+    holdEnvelope(time) {
+        const gain = this.envelope.gain;
+        if (gain.cancelAndHoldAtTime) {
+            gain.cancelAndHoldAtTime(time);
+        } else {
+            gain.cancelScheduledValues(time);
+            gain.setValueAtTime(gain.value, time);
+        }
+    }
+
+    noteOn(key, frequency, velocity, adsr) {
+        const now = this.audioContext.currentTime;
+        const gain = this.envelope.gain;
+
+        this.key = key;
+        this.velocity = velocity;
+        this.isActive = true;
+        this.startTime = now;
+        this.setFrequency(frequency);
+
+        // Attack -> Decay -> Sustain
+        this.holdEnvelope(now);
+        gain.linearRampToValueAtTime(velocity, now + adsr.attack);
+        gain.linearRampToValueAtTime(velocity * adsr.sustain, now + adsr.attack + adsr.decay);
+    }
+
+    noteOff(adsr) {
+        const now = this.audioContext.currentTime;
+
+        this.isActive = false;
+        this.releaseEndTime = now + adsr.release;
+
+        // Release from wherever the envelope currently is
+        this.holdEnvelope(now);
+        this.envelope.gain.linearRampToValueAtTime(0, this.releaseEndTime);
+    }
+
+    isSounding() {
+        return this.isActive || this.audioContext.currentTime < this.releaseEndTime;
+    }
+}
+
+export class VoiceAllocator {
+    constructor(audioContext, destination, options = {}) {
+        this.audioContext = audioContext;
+        this.mode = options.mode || 'mono';
+        this.waveform = options.waveform || 'sine';
+        this.periodicWave = options.periodicWave || null;
+        this.morph = options.morph || 0;
+        this.worklet = Boolean(options.worklet);
+        this.glideTime = options.glideTime !== undefined ? options.glideTime : 0.05;
+        this.envelope = Object.assign({
+            attack: 0.1,
+            decay: 0.1,
+            sustain: 1,
+            release: 0.1
+        }, options.envelope);
+
+        const maxVoices = options.maxVoices || 8;
+
+        // Chords sum every voice at full level, so poly mode pads the mix
+        // down by 1/√voices - uncorrelated voices add up by their power
+        this.polyGain = 1 / Math.sqrt(maxVoices);
+        this.output = audioContext.createGain();
+        this.output.gain.value = this.mode === 'poly' ? this.polyGain : 1;
+        this.output.connect(destination);
+
+        this.voices = [];
+        for (let i = 0; i < maxVoices; i++) {
+            this.voices.push(new Voice(audioContext, this.output, this.waveform, this.periodicWave, {
+                morph: this.morph,
+                worklet: this.worklet
+            }));
+        }
+
+        // Held notes in mono mode, most recent last
+        this.monoStack = [];
+    }
+
+    setMode(mode) {
+        if (mode === this.mode) return;
+
+        this.allNotesOff();
+        this.mode = mode;
+        this.output.gain.setValueAtTime(mode === 'poly' ? this.polyGain : 1, this.audioContext.currentTime);
+    }
+
+    setEnvelope(params) {
+        Object.assign(this.envelope, params);
+    }
+
+    setWaveform(type) {
+        this.waveform = type;
+        this.voices.forEach(voice => voice.setWaveform(type, this.periodicWave));
+        this.morph = this.voices[0].morph;
+    }
+
+    setMorph(position) {
+        this.morph = position;
+        this.voices.forEach(voice => voice.setMorph(position));
+    }
+
+    setPeriodicWave(periodicWave) {
+        this.periodicWave = periodicWave;
+
+        if (this.waveform === 'geometry') {
+            this.voices.forEach(voice => voice.setPeriodicWave(periodicWave));
+        }
+    }
+
+    noteOn(key, frequency, velocity = 1) {
+        if (this.mode === 'mono') {
+            this.monoNoteOn(key, frequency, velocity);
+            return;
+        }
+
+        const voice = this.findVoice(key) || this.allocate();
+        voice.noteOn(key, frequency, velocity, this.envelope);
+    }
+
+    noteOff(key) {
+        if (this.mode === 'mono') {
+            this.monoNoteOff(key);
+            return;
+        }
+
+        const voice = this.findVoice(key);
+        if (voice) {
+            voice.noteOff(this.envelope);
+        }
+    }
+
+    allNotesOff() {
+        this.monoStack = [];
+        this.voices.forEach(voice => {
+            if (voice.isActive) {
+                voice.noteOff(this.envelope);
+            }
+        });
+    }
+
+    // Glide a held note to a new pitch without retriggering its envelope
+    setFrequency(key, frequency) {
+        if (this.mode === 'mono') {
+            const entry = this.monoStack.find(e => e.key === key);
+            if (!entry) return;
+
+            entry.frequency = frequency;
+            if (entry === this.monoStack[this.monoStack.length - 1]) {
+                this.voices[0].setFrequency(frequency, this.glideTime);
+            }
+            return;
+        }
+
+        const voice = this.findVoice(key);
+        if (voice) {
+            voice.setFrequency(frequency, this.glideTime);
+        }
+    }
+
+    isNoteOn(key) {
+        if (this.mode === 'mono') {
+            return this.monoStack.some(e => e.key === key);
+        }
+        return Boolean(this.findVoice(key));
+    }
+
+    // Voice currently sounding a key, in either mode
+    voiceFor(key) {
+        if (this.mode === 'mono') {
+            return this.isNoteOn(key) ? this.voices[0] : null;
+        }
+        return this.findVoice(key);
+    }
+
+    findVoice(key) {
+        return this.voices.find(voice => voice.isActive && voice.key === key);
+    }
+
+    allocate() {
+        // Prefer a silent voice
+        const free = this.voices.find(voice => !voice.isSounding());
+        if (free) return free;
+
+        // Otherwise steal the voice furthest into its release...
+        const releasing = this.voices
+            .filter(voice => !voice.isActive)
+            .sort((a, b) => a.releaseEndTime - b.releaseEndTime);
+        if (releasing.length > 0) return releasing[0];
+
+        // ...or the oldest held note
+        return this.voices.reduce((oldest, voice) =>
+            voice.startTime < oldest.startTime ? voice : oldest
+        );
+    }
+
+    monoNoteOn(key, frequency, velocity) {
+        const voice = this.voices[0];
+
+        this.monoStack = this.monoStack.filter(e => e.key !== key);
+        this.monoStack.push({ key, frequency, velocity });
+
+        // Legato: glide an already sounding note instead of retriggering
+        if (voice.isActive) {
+            voice.key = key;
+            voice.setFrequency(frequency, this.glideTime);
+        } else {
+            voice.noteOn(key, frequency, velocity, this.envelope);
+        }
+    }
+
+    monoNoteOff(key) {
+        const voice = this.voices[0];
+        const wasTop = this.monoStack.length > 0 &&
+            this.monoStack[this.monoStack.length - 1].key === key;
+
+        this.monoStack = this.monoStack.filter(e => e.key !== key);
+
+        if (this.monoStack.length === 0) {
+            if (voice.isActive) {
+                voice.noteOff(this.envelope);
+            }
+        } else if (wasTop) {
+            // Fall back to the previously held note
+            const previous = this.monoStack[this.monoStack.length - 1];
+            voice.key = previous.key;
+            voice.setFrequency(previous.frequency, this.glideTime);
+        }
+    }
+}
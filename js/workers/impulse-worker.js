@@ -0,0 +1,10 @@
+// impulse-worker.js - Builds reverb impulse responses off the main thread
+
+import { renderImpulse } from '../impulse.js';
+
+self.onmessage = (e) => {
+    const { left, right } = renderImpulse(e.data.options);
+
+    // Hand the sample buffers over rather than copying them
+    self.postMessage({ id: e.data.id, left, right }, [left.buffer, right.buffer]);
+};
@@ -0,0 +1,111 @@
+// morph-oscillator.js - AudioWorklet oscillator that morphs sine -> triangle -> saw -> square
+
+// Shapes in morph order; `morph` is a position along this list
+const SHAPES = 4;
+
+// Band-limited step correction, for the jumps in the saw and square.
+// t is the phase (0-1) relative to the discontinuity, dt the phase step.
+function polyBlep(t, dt) {
+    if (t < dt) {
+        t /= dt;
+        return t + t - t * t - 1;
+    }
+    if (t > 1 - dt) {
+        t = (t - 1) / dt;
+        return t * t + t + t + 1;
+    }
+    return 0;
+}
+
+// Band-limited ramp correction, for the corners of the triangle
+function polyBlamp(t, dt) {
+    if (t < dt) {
+        t = t / dt - 1;
+        return -t * t * t / 3;
+    }
+    if (t > 1 - dt) {
+        t = (t - 1) / dt + 1;
+        return t * t * t / 3;
+    }
+    return 0;
+}
+
+// All four shapes share one phase and start rising through zero, so a
+// crossfade between neighbours never cancels the fundamental
+function shape(index, phase, dt) {
+    switch (index) {
+        case 0:
+            return Math.sin(2 * Math.PI * phase);
+
+        case 1: {
+            // Corners at 1/4 (top) and 3/4 (bottom), each turning by 8 per cycle
+            const t = (phase + 0.25) % 1;
+            return 1 - 4 * Math.abs(t - 0.5) +
+                8 * dt * (polyBlamp(t, dt) - polyBlamp((t + 0.5) % 1, dt));
+        }
+
+        case 2: {
+            // Drops from 1 to -1 halfway through
+            const t = (phase + 0.5) % 1;
+            return 2 * t - 1 - polyBlep(t, dt);
+        }
+
+        default:
+            return (phase < 0.5 ? 1 : -1) + polyBlep(phase, dt) - polyBlep((phase + 0.5) % 1, dt);
+    }
+}
+
+class MorphOscillatorProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'frequency', defaultValue: 440, minValue: 0, maxValue: 20000, automationRate: 'a-rate' },
+            { name: 'morph', defaultValue: 0, minValue: 0, maxValue: SHAPES - 1, automationRate: 'a-rate' }
+        ];
+    }
+
+    constructor() {
+        super();
+        this.phase = 0;
+        this.running = true;
+
+        // There's no stop() on a worklet node - the voice asks instead
+        this.port.onmessage = (e) => {
+            if (e.data === 'stop') this.running = false;
+        };
+    }
+
+    process(inputs, outputs, parameters) {
+        if (!this.running) return false;
+
+        const output = outputs[0][0];
+        const frequency = parameters.frequency;
+        const morph = parameters.morph;
+
+        for (let i = 0; i < output.length; i++) {
+            const f = frequency.length > 1 ? frequency[i] : frequency[0];
+            const m = morph.length > 1 ? morph[i] : morph[0];
+            const dt = Math.min(0.5, f / sampleRate);
+
+            // Blend the two shapes either side of the morph position
+            const lower = Math.min(SHAPES - 2, Math.floor(m));
+            const blend = m - lower;
+            let sample = shape(lower, this.phase, dt);
+            if (blend > 0) {
+                sample += (shape(lower + 1, this.phase, dt) - sample) * blend;
+            }
+            output[i] = sample;
+
+            this.phase += dt;
+            if (this.phase >= 1) this.phase -= 1;
+        }
+
+        // Every channel plays the same wave
+        for (let c = 1; c < outputs[0].length; c++) {
+            outputs[0][c].set(output);
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('morph-oscillator', MorphOscillatorProcessor);
@@ -0,0 +1,53 @@
+// recorder-processor.js - AudioWorklet tap that streams raw samples to the main thread
+
+const BATCH_FRAMES = 4096;
+
+class RecorderTapProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.recording = true;
+        this.batch = null;
+        this.batchLength = 0;
+
+        this.port.onmessage = (e) => {
+            if (e.data === 'stop') {
+                this.flush();
+                this.recording = false;
+                this.port.postMessage('done');
+            }
+        };
+    }
+
+    // Send whole batches instead of every 128-frame render quantum
+    flush() {
+        if (!this.batch || this.batchLength === 0) return;
+
+        this.port.postMessage(this.batch.map(channel => channel.slice(0, this.batchLength)));
+        this.batchLength = 0;
+    }
+
+    process(inputs) {
+        if (!this.recording) return false;
+
+        const input = inputs[0];
+        if (input.length === 0) return true;
+
+        if (!this.batch) {
+            this.batch = input.map(() => new Float32Array(BATCH_FRAMES));
+        }
+
+        const frames = input[0].length;
+        if (this.batchLength + frames > BATCH_FRAMES) {
+            this.flush();
+        }
+
+        for (let c = 0; c < this.batch.length; c++) {
+            this.batch[c].set(input[c] || input[0], this.batchLength);
+        }
+        this.batchLength += frames;
+
+        return true;
+    }
+}
+
+registerProcessor('recorder-tap', RecorderTapProcessor);
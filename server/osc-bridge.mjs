@@ -0,0 +1,59 @@
+// osc-bridge.mjs - Local OSC bridge: WebSocket clients <-> UDP OSC
+//
+//   node server/osc-bridge.mjs [ws port] [udp listen port] [send host:port]
+//
+// Defaults: the app connects to ws://localhost:8788, OSC sent to UDP 9000
+// reaches the app, and what the app streams out goes to 127.0.0.1:9001.
+// Packets are passed through untouched - each binary WebSocket message is
+// one OSC packet.
+
+import { createServer } from 'node:http';
+import { createSocket } from 'node:dgram';
+import { acceptWebSocket } from './websocket.mjs';
+
+const wsPort = Number(process.argv[2] || 8788);
+const udpPort = Number(process.argv[3] || 9000);
+const [sendHost, sendPort] = (process.argv[4] || '127.0.0.1:9001').split(':');
+
+const clients = new Set();
+
+const udp = createSocket('udp4');
+
+udp.on('message', (packet) => {
+    clients.forEach(client => client.send(packet));
+});
+
+udp.on('error', (err) => {
+    console.error('UDP error:', err.message);
+    process.exit(1);
+});
+
+const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('OSC bridge - connect with a WebSocket to ws://localhost:' + wsPort + '\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const connection = acceptWebSocket(request, socket);
+    if (!connection) return;
+
+    clients.add(connection);
+    console.log(`+ client (${clients.size} connected)`);
+
+    // Text messages aren't OSC
+    connection.on('message', (message) => {
+        if (typeof message !== 'string') udp.send(message, Number(sendPort), sendHost);
+    });
+
+    connection.on('close', () => {
+        clients.delete(connection);
+        console.log(`- client (${clients.size} connected)`);
+    });
+});
+
+udp.bind(udpPort, () => {
+    server.listen(wsPort, () => {
+        console.log('OSC bridge on ws://localhost:' + wsPort);
+        console.log(`  receiving OSC on udp ${udpPort}, sending to ${sendHost}:${sendPort}`);
+    });
+});
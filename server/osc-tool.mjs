@@ -0,0 +1,65 @@
+// osc-tool.mjs - Stand-in for TouchDesigner/Max when testing the OSC bridge offline
+//
+//   node server/osc-tool.mjs listen [port]                 print what the app sends (default 9001)
+//   node server/osc-tool.mjs send <address> [args...] [--to host:port]
+//
+// Send arguments that look like numbers go as floats, '42i' as an int,
+// true/false as T/F and anything else as a string. --to defaults to 127.0.0.1:9000.
+
+import { createSocket } from 'node:dgram';
+import { encodeMessage, decodePacket } from '../js/osc.js';
+
+function parseArgument(text) {
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (/^-?\d+i$/.test(text)) return { type: 'i', value: parseInt(text, 10) };
+    if (text !== '' && !isNaN(Number(text))) return Number(text);
+    return text;
+}
+
+function format(packet, indent = '') {
+    if (packet.elements) {
+        return packet.elements.map(element => format(element, indent)).join('\n');
+    }
+    const args = packet.args.map(arg => typeof arg === 'number' ? +arg.toFixed(4) : JSON.stringify(arg));
+    return indent + packet.address + ' ' + args.join(' ');
+}
+
+function listen(port) {
+    const socket = createSocket('udp4');
+    socket.on('message', (message, remote) => {
+        try {
+            console.log(format(decodePacket(message)));
+        } catch (err) {
+            console.warn(`Bad packet from ${remote.address}:${remote.port}: ${err.message}`);
+        }
+    });
+    socket.bind(port, () => console.log('Listening for OSC on udp ' + port));
+}
+
+function send(address, args) {
+    let target = '127.0.0.1:9000';
+    const toIndex = args.indexOf('--to');
+    if (toIndex >= 0) {
+        target = args[toIndex + 1];
+        args.splice(toIndex, 2);
+    }
+    const [host, port] = target.split(':');
+
+    const socket = createSocket('udp4');
+    socket.send(encodeMessage(address, args.map(parseArgument)), Number(port), host, (err) => {
+        if (err) console.error(err.message);
+        socket.close();
+    });
+}
+
+const [command, ...rest] = process.argv.slice(2);
+
+if (command === 'listen') {
+    listen(Number(rest[0] || 9001));
+} else if (command === 'send' && rest[0]) {
+    send(rest[0], rest.slice(1));
+} else {
+    console.log('Usage: node server/osc-tool.mjs listen [port] | send <address> [args...] [--to host:port]');
+    process.exit(1);
+}
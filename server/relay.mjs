@@ -0,0 +1,58 @@
+// relay.mjs - Local jam-session relay: passes messages between clients in the same room
+//
+//   node server/relay.mjs [port]
+//
+// Clients connect to ws://localhost:8787/<room>. The relay doesn't read or
+// keep the synth state - clients answer each other's hello with a snapshot.
+
+import { createServer } from 'node:http';
+import { acceptWebSocket } from './websocket.mjs';
+
+const port = Number(process.argv[2] || process.env.PORT || 8787);
+
+// room name -> Set of connections
+const rooms = new Map();
+
+// A path that doesn't parse or decode (a stray %) names its room as it was sent
+function roomOf(url) {
+    let name;
+    try {
+        name = decodeURIComponent(new URL(url, 'http://localhost').pathname.slice(1));
+    } catch (err) {
+        name = url.replace(/^\/+/, '');
+    }
+    return name || 'default';
+}
+
+const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('Jam relay - connect with a WebSocket to ws://localhost:' + port + '/<room>\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const connection = acceptWebSocket(request, socket);
+    if (!connection) return;
+
+    const room = roomOf(request.url);
+    if (!rooms.has(room)) rooms.set(room, new Set());
+    const members = rooms.get(room);
+    members.add(connection);
+    console.log(`+ ${room} (${members.size} connected)`);
+
+    // Everyone else in the room gets it as is
+    connection.on('message', (message) => {
+        members.forEach(member => {
+            if (member !== connection) member.send(message);
+        });
+    });
+
+    connection.on('close', () => {
+        members.delete(connection);
+        if (members.size === 0) rooms.delete(room);
+        console.log(`- ${room} (${members.size} connected)`);
+    });
+});
+
+server.listen(port, () => {
+    console.log('Jam relay listening on ws://localhost:' + port);
+});
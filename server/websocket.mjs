@@ -0,0 +1,191 @@
+// websocket.mjs - Minimal WebSocket server side (RFC 6455), no dependencies
+
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+// Largest message accepted, so a bad client can't exhaust memory
+const MAX_MESSAGE = 1 << 20;
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode; // final frame, never fragmented
+
+    return Buffer.concat([header, payload]);
+}
+
+// One accepted connection. Emits 'message' (string for text frames, Buffer
+// for binary) and 'close'.
+export class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // { opcode, parts } while a message is split
+        this.closed = false;
+
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    // Strings go as text frames, Buffers as binary
+    send(data) {
+        if (this.closed) return;
+
+        if (typeof data === 'string') {
+            this.socket.write(encodeFrame(OPCODES.text, Buffer.from(data)));
+        } else {
+            this.socket.write(encodeFrame(OPCODES.binary, data));
+        }
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.socket.end(encodeFrame(OPCODES.close, payload));
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+
+        this.closed = true;
+        this.socket.destroy();
+        this.emit('close');
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        // Parse every complete frame; a partial one waits for more data
+        while (!this.closed) {
+            const frame = this.parseFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    parseFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const final = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        if (length > MAX_MESSAGE) {
+            this.close(1009);
+            return null;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+
+        this.buffer = buffer.subarray(offset + length);
+        return { final, opcode, payload };
+    }
+
+    handleFrame({ final, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.ping:
+                this.socket.write(encodeFrame(OPCODES.pong, payload));
+                return;
+
+            case OPCODES.pong:
+                return;
+
+            case OPCODES.close:
+                this.close();
+                return;
+
+            case OPCODES.continuation:
+                if (!this.fragments) return;
+                this.fragments.parts.push(payload);
+                if (final) {
+                    const { opcode: first, parts } = this.fragments;
+                    this.fragments = null;
+                    this.deliver(first, Buffer.concat(parts));
+                }
+                return;
+
+            default:
+                if (final) {
+                    this.deliver(opcode, payload);
+                } else {
+                    this.fragments = { opcode, parts: [payload] };
+                }
+        }
+    }
+
+    deliver(opcode, payload) {
+        this.emit('message', opcode === OPCODES.text ? payload.toString('utf8') : payload);
+    }
+}
+
+// For an http server's 'upgrade' event. Returns the connection, or null
+// (having refused the socket) if the request isn't a WebSocket handshake.
+export function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = createHash('sha1').update(key + GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n'
+    );
+    socket.setNoDelay(true);
+
+    return new WebSocketConnection(socket);
+}
@@ -0,0 +1,86 @@
+// midi.test.mjs - CC mapping and MIDI learn, driven through MockMidiInput
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MidiController, MockMidiInput } from '../js/midi.js';
+import { ParameterRegistry } from '../js/params.js';
+
+function createRig() {
+    const values = { cutoff: 1000, mix: 0.5 };
+    const params = new ParameterRegistry();
+    params.register('cutoff', {
+        label: 'Cutoff', min: 20, max: 20000, curve: 'exponential',
+        get: () => values.cutoff, set: (value) => { values.cutoff = value; }
+    });
+    params.register('mix', {
+        label: 'Mix', min: 0, max: 1,
+        get: () => values.mix, set: (value) => { values.mix = value; }
+    });
+
+    const notes = [];
+    const audio = {
+        noteOn: (note, velocity) => notes.push(['on', note, velocity]),
+        noteOff: (note) => notes.push(['off', note]),
+        allNotesOff: () => notes.push(['all'])
+    };
+
+    const input = new MockMidiInput();
+    const midi = new MidiController(audio, params, input, null);
+    return { values, notes, input, midi };
+}
+
+test('CC values scale across a linear parameter', async () => {
+    const { values, input, midi } = createRig();
+    await midi.enable();
+    midi.bind('0:1', 'mix');
+
+    input.controlChange(1, 0);
+    assert.equal(values.mix, 0);
+    input.controlChange(1, 127);
+    assert.equal(values.mix, 1);
+    input.controlChange(1, 64);
+    assert.ok(Math.abs(values.mix - 64 / 127) < 1e-9);
+});
+
+test('CC values scale geometrically across an exponential parameter', async () => {
+    const { values, input, midi } = createRig();
+    await midi.enable();
+    midi.bind('0:74', 'cutoff');
+
+    input.controlChange(74, 0);
+    assert.ok(Math.abs(values.cutoff - 20) < 1e-9);
+    input.controlChange(74, 127);
+    assert.ok(Math.abs(values.cutoff - 20000) < 1e-6);
+    input.controlChange(74, 64);
+    assert.ok(Math.abs(values.cutoff - 20 * Math.pow(1000, 64 / 127)) < 1e-6);
+});
+
+test('learn binds the next controller, one controller per parameter', async () => {
+    const { values, input, midi } = createRig();
+    await midi.enable();
+
+    midi.learn('mix');
+    input.controlChange(7, 127, 2);
+    assert.deepEqual(midi.bindings, { '2:7': 'mix' });
+    assert.equal(values.mix, 1);
+    assert.equal(midi.learnTarget, null);
+
+    midi.learn('mix');
+    input.controlChange(8, 0);
+    assert.deepEqual(midi.bindings, { '0:8': 'mix' });
+
+    // Unbound controllers change nothing
+    input.controlChange(7, 127, 2);
+    assert.equal(values.mix, 0);
+});
+
+test('notes play with velocity, and velocity 0 or CC 123 stops them', async () => {
+    const { notes, input, midi } = createRig();
+    await midi.enable();
+
+    input.noteOn(60, 127);
+    input.noteOn(64, 0);
+    input.noteOff(60);
+    input.controlChange(123, 0);
+    assert.deepEqual(notes, [['on', 60, 1], ['off', 64], ['off', 60], ['all']]);
+});
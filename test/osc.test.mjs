@@ -0,0 +1,165 @@
+// osc.test.mjs - OSC encoding and decoding, and the WebSocket <-> UDP bridge
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createSocket } from 'node:dgram';
+import { request, createServer } from 'node:http';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+import { encodeMessage, encodeBundle, decodePacket } from '../js/osc.js';
+import { WebSocketConnection } from '../server/websocket.mjs';
+
+const BRIDGE = fileURLToPath(new URL('../server/osc-bridge.mjs', import.meta.url));
+
+function roundTrip(args) {
+    return decodePacket(encodeMessage('/geo/test', args)).args;
+}
+
+test('every type tag survives a round trip', () => {
+    assert.deepEqual(roundTrip([{ type: 'i', value: -42 }]), [-42]);
+    assert.deepEqual(roundTrip([0.5]), [0.5]);
+    assert.deepEqual(roundTrip([{ type: 'f', value: 0.1 }]), [Math.fround(0.1)]);
+    assert.deepEqual(roundTrip([{ type: 'd', value: 0.1 }]), [0.1]);
+    assert.deepEqual(roundTrip(['drone']), ['drone']);
+    assert.deepEqual(roundTrip([new Uint8Array([1, 2, 3, 4, 5])]), [new Uint8Array([1, 2, 3, 4, 5])]);
+    assert.deepEqual(roundTrip([true, false, null]), [true, false, null]);
+
+    // All of them at once, still in order
+    const args = [{ type: 'i', value: 7 }, 2, { type: 'd', value: Math.PI }, 'x', new Uint8Array([9]), true, false, null];
+    assert.deepEqual(roundTrip(args), [7, 2, Math.PI, 'x', new Uint8Array([9]), true, false, null]);
+});
+
+test('strings are null-terminated and padded to four bytes', () => {
+    // Address + ',s' type tag (4 bytes) + the string argument
+    [[3, 4], [4, 8], [5, 8]].forEach(([length, size]) => {
+        const text = 'abcde'.slice(0, length);
+        const bytes = encodeMessage('/' + text.slice(1), [text]);
+
+        assert.equal(bytes.length, size + 4 + size);
+        assert.equal(bytes[length], 0);
+        assert.ok(bytes.subarray(length, size).every(b => b === 0));
+        assert.deepEqual(decodePacket(bytes), { address: '/' + text.slice(1), args: [text] });
+    });
+});
+
+test('blobs carry their length and pad to four bytes', () => {
+    [0, 1, 3, 4, 5].forEach(length => {
+        const blob = new Uint8Array(length).map((_, i) => i + 1);
+        const bytes = encodeMessage('/b', [blob]);
+
+        // '/b' (4) + ',b' (4) + length (4) + padded data
+        assert.equal(bytes.length, 12 + ((length + 3) & ~3));
+        assert.deepEqual(decodePacket(bytes).args, [blob]);
+    });
+});
+
+test('bundles nest and keep their timetags', () => {
+    const inner = encodeBundle([encodeMessage('/geo/note', [{ type: 'i', value: 60 }])], 5n);
+    const outer = encodeBundle([encodeMessage('/geo/pitch', [440]), inner], 7n);
+
+    assert.deepEqual(decodePacket(outer), {
+        timetag: 7n,
+        elements: [
+            { address: '/geo/pitch', args: [440] },
+            { timetag: 5n, elements: [{ address: '/geo/note', args: [60] }] }
+        ]
+    });
+
+    // An ArrayBuffer is read the same way
+    assert.deepEqual(decodePacket(outer.slice().buffer), decodePacket(outer));
+});
+
+test('malformed packets throw', () => {
+    const message = encodeMessage('/geo/pitch', [440]);
+    assert.throws(() => decodePacket(message.subarray(0, message.length - 2)), /Truncated/);
+    assert.throws(() => decodePacket(new Uint8Array([0x2f, 0x61])), /Unterminated/);
+    assert.throws(() => decodePacket(encodeMessage('/x', [{ type: 'q', value: 1 }])), /Unsupported/);
+
+    const bundle = encodeBundle([message]);
+    assert.throws(() => decodePacket(bundle.subarray(0, bundle.length - 4)), /Truncated/);
+});
+
+// Ports nothing is using right now
+async function freeTcpPort() {
+    const server = createServer();
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const { port } = server.address();
+    server.close();
+    await once(server, 'close');
+    return port;
+}
+
+async function freeUdpPort() {
+    const socket = createSocket('udp4');
+    socket.bind(0, '127.0.0.1');
+    await once(socket, 'listening');
+    const { port } = socket.address();
+    socket.close();
+    await once(socket, 'close');
+    return port;
+}
+
+// Client side of the bridge's WebSocket, reusing the server's frame handling
+async function connect(port) {
+    const req = request({
+        port,
+        host: '127.0.0.1',
+        headers: {
+            Connection: 'Upgrade',
+            Upgrade: 'websocket',
+            'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+            'Sec-WebSocket-Version': '13'
+        }
+    });
+    req.end();
+    const [, socket] = await once(req, 'upgrade');
+    return new WebSocketConnection(socket);
+}
+
+test('the bridge passes packets between WebSocket clients and UDP', async (t) => {
+    const wsPort = await freeTcpPort();
+    const udpPort = await freeUdpPort();
+
+    // Where the bridge sends what the app streams out
+    const target = createSocket('udp4');
+    target.bind(0, '127.0.0.1');
+    await once(target, 'listening');
+    t.after(() => target.close());
+
+    const bridge = spawn(process.execPath, [BRIDGE, String(wsPort), String(udpPort), '127.0.0.1:' + target.address().port], {
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    t.after(() => bridge.kill());
+
+    await new Promise((resolve, reject) => {
+        let output = '';
+        bridge.stdout.on('data', (data) => {
+            output += data;
+            if (output.includes('OSC bridge on')) resolve();
+        });
+        bridge.on('exit', (code) => reject(new Error('Bridge exited with ' + code)));
+    });
+
+    const client = await connect(wsPort);
+    t.after(() => client.close());
+
+    // UDP in -> every WebSocket client
+    const sender = createSocket('udp4');
+    t.after(() => sender.close());
+    const incoming = encodeMessage('/geo/pitch', [440]);
+    sender.send(incoming, udpPort, '127.0.0.1');
+    const [fromUdp] = await once(client, 'message');
+    assert.deepEqual(decodePacket(fromUdp), { address: '/geo/pitch', args: [440] });
+
+    // Binary WebSocket messages -> UDP out; text messages aren't OSC
+    const outgoing = encodeBundle([encodeMessage('/geo/audio/level', [0.25])]);
+    client.send('not osc');
+    client.send(Buffer.from(outgoing));
+    const [fromWs] = await once(target, 'message');
+    assert.deepEqual(decodePacket(fromWs), {
+        timetag: 1n,
+        elements: [{ address: '/geo/audio/level', args: [0.25] }]
+    });
+});
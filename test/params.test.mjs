@@ -0,0 +1,89 @@
+// params.test.mjs - Parameter registry ranges and normalization
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ParameterRegistry } from '../js/params.js';
+
+function register(params, id, definition) {
+    let value = definition.min;
+    params.register(id, Object.assign({
+        label: id,
+        get: () => value,
+        set: (next) => { value = next; }
+    }, definition));
+}
+
+test('setValue clamps to the parameter range and notifies', () => {
+    const params = new ParameterRegistry();
+    register(params, 'q', { min: 0.1, max: 30 });
+    const changes = [];
+    params.onChange((id, value) => changes.push([id, value]));
+
+    params.setValue('q', 100);
+    assert.equal(params.getValue('q'), 30);
+    params.setValue('q', -5);
+    assert.equal(params.getValue('q'), 0.1);
+    assert.deepEqual(changes, [['q', 30], ['q', 0.1]]);
+
+    // Unknown ids are ignored
+    params.setValue('missing', 1);
+    assert.equal(params.getValue('missing'), undefined);
+});
+
+test('setValue leaves locked parameters alone', () => {
+    const params = new ParameterRegistry();
+    register(params, 'q', { min: 0, max: 10 });
+    params.isLocked = (id) => id === 'q';
+
+    params.setValue('q', 5);
+    assert.equal(params.getValue('q'), 0);
+});
+
+test('normalized values round-trip on linear and exponential curves', () => {
+    const linear = { min: -4, max: 4, curve: 'linear' };
+    const exponential = { min: 20, max: 20000, curve: 'exponential' };
+
+    [0, 0.25, 0.5, 0.9, 1].forEach(n => {
+        [linear, exponential].forEach(param => {
+            const value = ParameterRegistry.fromNormalized(param, n);
+            assert.ok(Math.abs(ParameterRegistry.toNormalized(param, value) - n) < 1e-12);
+        });
+    });
+
+    assert.equal(ParameterRegistry.fromNormalized(linear, 0.5), 0);
+    assert.ok(Math.abs(ParameterRegistry.fromNormalized(exponential, 0.5) - Math.sqrt(20 * 20000)) < 1e-9);
+
+    // Out-of-range input is clamped before scaling
+    assert.equal(ParameterRegistry.fromNormalized(linear, 2), 4);
+    assert.equal(ParameterRegistry.fromNormalized(linear, -1), -4);
+});
+
+test('setNormalized goes through the clamp', () => {
+    const params = new ParameterRegistry();
+    register(params, 'mix', { min: 0, max: 1 });
+
+    params.setNormalized('mix', 0.3);
+    assert.ok(Math.abs(params.getValue('mix') - 0.3) < 1e-12);
+    assert.ok(Math.abs(params.getNormalized('mix') - 0.3) < 1e-12);
+});
+
+test('per-shape parameters run on the shape they are asked for', () => {
+    const shapes = [{ id: 1 }, { id: 2 }];
+    const scene = {
+        shapes,
+        selectedShape: shapes[0],
+        getShape: (id) => shapes.find(s => s.id === id),
+        selectShape(id) { this.selectedShape = this.getShape(id); }
+    };
+    const params = new ParameterRegistry(scene);
+    register(params, 'pitch', { min: 110, max: 1760, perShape: true });
+    register(params, 'mix', { min: 0, max: 1 });
+
+    assert.equal(params.shapeFor('pitch'), 1);
+    assert.equal(params.shapeFor('mix'), null);
+
+    assert.equal(params.withShape(2, () => scene.selectedShape.id), 2);
+    assert.equal(scene.selectedShape.id, 1);
+    assert.equal(params.withShape(3, () => 'ran'), undefined);
+    assert.equal(params.withShape(null, () => scene.selectedShape.id), 1);
+});
@@ -0,0 +1,97 @@
+// render.test.mjs - Seeded noise, reverb impulse renders and WAV encoding
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { createRandom } from '../js/random.js';
+import { renderImpulse, SPACES } from '../js/impulse.js';
+import { encodeWav } from '../js/render.js';
+
+// Just enough of an AudioBuffer for encodeWav
+function createBuffer(channels, sampleRate = 44100) {
+    return {
+        numberOfChannels: channels.length,
+        length: channels[0].length,
+        sampleRate,
+        getChannelData: (c) => channels[c]
+    };
+}
+
+function sha256(bytes) {
+    return createHash('sha256').update(new Uint8Array(bytes)).digest('hex');
+}
+
+function text(view, offset, length) {
+    let result = '';
+    for (let i = 0; i < length; i++) result += String.fromCharCode(view.getUint8(offset + i));
+    return result;
+}
+
+test('mulberry32 gives the same numbers for the same seed', () => {
+    const random = createRandom(1);
+    assert.deepEqual([random(), random(), random()], [0.6270739405881613, 0.002735721180215478, 0.5274470399599522]);
+
+    const again = createRandom(1);
+    const other = createRandom(2);
+    const first = again();
+    assert.equal(first, 0.6270739405881613);
+    assert.notEqual(other(), first);
+});
+
+// Changes to the noise, the impulse shaping or the encoder show up here
+test('a seeded room impulse renders to the same WAV every time', () => {
+    const { left, right } = renderImpulse(Object.assign({ sampleRate: 8000, seed: 1 }, SPACES.room));
+    const buffer = createBuffer([left, right], 8000);
+
+    assert.equal(sha256(encodeWav(buffer, 16)), '41dbd4269449c0e246e52b7da4a5cdc53ab8c8535c9fa634b488f672808cc69c');
+    assert.equal(sha256(encodeWav(buffer, 24)), 'a681867bf32dc64113736327f0bc0e0b344152fd73ee2eef70a90be936fb1c74');
+});
+
+for (const bitDepth of [16, 24]) {
+    test(bitDepth + '-bit WAV header describes the buffer', () => {
+        const buffer = createBuffer([new Float32Array(3), new Float32Array(3)], 48000);
+        const view = new DataView(encodeWav(buffer, bitDepth));
+        const blockAlign = 2 * bitDepth / 8;
+
+        assert.equal(view.byteLength, 44 + 3 * blockAlign);
+        assert.equal(text(view, 0, 4), 'RIFF');
+        assert.equal(view.getUint32(4, true), 36 + 3 * blockAlign);
+        assert.equal(text(view, 8, 4), 'WAVE');
+        assert.equal(text(view, 12, 4), 'fmt ');
+        assert.equal(view.getUint32(16, true), 16);
+        assert.equal(view.getUint16(20, true), 1);
+        assert.equal(view.getUint16(22, true), 2);
+        assert.equal(view.getUint32(24, true), 48000);
+        assert.equal(view.getUint32(28, true), 48000 * blockAlign);
+        assert.equal(view.getUint16(32, true), blockAlign);
+        assert.equal(view.getUint16(34, true), bitDepth);
+        assert.equal(text(view, 36, 4), 'data');
+        assert.equal(view.getUint32(40, true), 3 * blockAlign);
+    });
+}
+
+test('16-bit samples are interleaved, scaled and clipped', () => {
+    const buffer = createBuffer([
+        new Float32Array([0, 1, 0.5]),
+        new Float32Array([-1, 2, -0.5])
+    ]);
+    const view = new DataView(encodeWav(buffer, 16));
+
+    const samples = [];
+    for (let offset = 44; offset < view.byteLength; offset += 2) {
+        samples.push(view.getInt16(offset, true));
+    }
+    assert.deepEqual(samples, [0, -32767, 32767, 32767, 16384, -16383]);
+});
+
+test('24-bit samples are packed little-endian in three bytes', () => {
+    const buffer = createBuffer([new Float32Array([1, -1, 0.5, -2])]);
+    const bytes = Array.from(new Uint8Array(encodeWav(buffer, 24), 44));
+
+    assert.deepEqual(bytes, [
+        0xff, 0xff, 0x7f, // 8388607
+        0x01, 0x00, 0x80, // -8388607
+        0x00, 0x00, 0x40, // 4194304
+        0x01, 0x00, 0x80  // clipped to -1
+    ]);
+});
@@ -0,0 +1,173 @@
+// sources.test.mjs - File player transport and the microphone path, on a stub context
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FilePlayer, MicrophoneInput } from '../js/sources.js';
+
+// Records what the sources do to their nodes; time only moves when told to
+function createContext() {
+    const context = {
+        currentTime: 0,
+        sources: [],
+
+        async decodeAudioData(data) {
+            return { duration: data.byteLength };
+        },
+
+        createBufferSource() {
+            const node = {
+                buffer: null,
+                loop: false,
+                onended: null,
+                started: null,
+                stopped: false,
+                connectedTo: null,
+                connect(destination) { this.connectedTo = destination; },
+                disconnect() { this.connectedTo = null; },
+                start(when, offset) { this.started = { when, offset }; },
+                stop() { this.stopped = true; }
+            };
+            context.sources.push(node);
+            return node;
+        },
+
+        createMediaStreamSource(stream) {
+            return {
+                stream,
+                connectedTo: null,
+                connect(destination) { this.connectedTo = destination; },
+                disconnect() { this.connectedTo = null; }
+            };
+        }
+    };
+    return context;
+}
+
+async function createPlayer(seconds = 10) {
+    const context = createContext();
+    const destination = { name: 'input' };
+    const player = new FilePlayer(context, destination);
+    await player.load(new ArrayBuffer(seconds), 'loop.wav');
+    return { context, destination, player };
+}
+
+test('a loaded file plays from the start into the destination', async () => {
+    const { context, destination, player } = await createPlayer();
+    assert.equal(player.name, 'loop.wav');
+    assert.equal(player.duration, 10);
+
+    context.currentTime = 1;
+    player.play();
+    const [node] = context.sources;
+    assert.equal(node.connectedTo, destination);
+    assert.deepEqual(node.started, { when: 1, offset: 0 });
+    assert.equal(player.isPlaying, true);
+
+    // Playing again while playing does nothing
+    player.play();
+    assert.equal(context.sources.length, 1);
+});
+
+test('pause keeps the playhead and play resumes from it on a fresh node', async () => {
+    const { context, player } = await createPlayer();
+    player.play();
+
+    context.currentTime = 3;
+    player.pause();
+    assert.equal(player.getCurrentTime(), 3);
+    assert.equal(context.sources[0].stopped, true);
+    assert.equal(context.sources[0].connectedTo, null);
+
+    context.currentTime = 5;
+    player.play();
+    assert.deepEqual(context.sources[1].started, { when: 5, offset: 3 });
+
+    context.currentTime = 6;
+    assert.equal(player.getCurrentTime(), 4);
+});
+
+test('seek moves the playhead, clamped, and restarts a playing file', async () => {
+    const { context, player } = await createPlayer();
+
+    player.seek(20);
+    assert.equal(player.getCurrentTime(), 10);
+    assert.equal(context.sources.length, 0);
+
+    player.play();
+    assert.equal(context.sources[0].started.offset, 0);
+
+    player.seek(-1);
+    player.seek(7);
+    assert.equal(context.sources.length, 3);
+    assert.deepEqual(context.sources[2].started, { when: 0, offset: 7 });
+});
+
+test('looping wraps the playhead, and only a finished node ends playback', async () => {
+    const { context, player } = await createPlayer();
+    let ended = 0;
+    player.onEnded = () => ended++;
+
+    player.setLoop(true);
+    player.play();
+    assert.equal(context.sources[0].loop, true);
+    context.currentTime = 12;
+    assert.equal(player.getCurrentTime(), 2);
+
+    // A node stopped by seek fires onended late; it mustn't stop the new one
+    player.seek(5);
+    context.sources[0].onended();
+    assert.equal(player.isPlaying, true);
+    assert.equal(ended, 0);
+
+    context.sources[1].onended();
+    assert.equal(player.isPlaying, false);
+    assert.equal(player.getCurrentTime(), 0);
+    assert.equal(ended, 1);
+});
+
+test('the microphone opens without voice processing and closes its tracks', async () => {
+    const requests = [];
+    const tracks = [{ stopped: false, stop() { this.stopped = true; } }];
+    const stream = { getTracks: () => tracks };
+    const previous = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    Object.defineProperty(globalThis, 'navigator', {
+        configurable: true,
+        value: {
+            mediaDevices: {
+                getUserMedia: async (constraints) => {
+                    requests.push(constraints);
+                    return stream;
+                }
+            }
+        }
+    });
+
+    try {
+        const destination = { name: 'input' };
+        const mic = new MicrophoneInput(createContext(), destination);
+        assert.equal(mic.isOpen, false);
+
+        await mic.open();
+        await mic.open();
+        assert.equal(mic.isOpen, true);
+        assert.equal(requests.length, 1);
+        assert.deepEqual(requests[0], {
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+        });
+
+        const node = mic.node;
+        assert.equal(node.stream, stream);
+        assert.equal(node.connectedTo, destination);
+
+        mic.close();
+        assert.equal(mic.isOpen, false);
+        assert.equal(node.connectedTo, null);
+        assert.equal(tracks[0].stopped, true);
+    } finally {
+        if (previous) {
+            Object.defineProperty(globalThis, 'navigator', previous);
+        } else {
+            delete globalThis.navigator;
+        }
+    }
+});